@@ -3,18 +3,65 @@
  * Handles storage, message passing, and rule management
  */
 
+importScripts(
+  '/src/utils/url-matcher.js',
+  '/src/utils/json-path.js',
+  '/src/utils/request-matcher.js',
+  '/src/utils/graphql-matcher.js',
+  '/src/utils/rule-order.js',
+  '/src/utils/latency.js',
+  '/src/utils/template-engine.js',
+  '/src/utils/fake-data.js',
+  '/src/utils/response-sequence.js',
+  '/src/utils/chaos.js',
+  '/src/utils/resource-store.js',
+  '/src/utils/response-handler.js',
+  '/src/utils/http-status-codes.js',
+  '/src/utils/response-transform.js',
+  '/src/utils/request-rewrite.js',
+  '/src/utils/rule-schema.js',
+  '/src/utils/rule-bundle.js',
+  '/src/utils/body-store.js'
+);
+
+// Offscreen document hosting the sandbox that runs response handlers
+const OFFSCREEN_URL = '/src/offscreen/offscreen.html';
+
 // Storage keys
 const STORAGE_KEYS = {
+  // Index of the rules; large response bodies live in the BodyStore
   RULES: 'mockRules',
+  // Schema version of the stored rules; missing for rules saved before versioning
+  SCHEMA_VERSION: 'rulesSchemaVersion',
+  // The rules as they were before the last schema upgrade
+  RULES_BACKUP: 'mockRulesBackup',
   ENABLED: 'globalEnabled',
+  NETWORK_MULTIPLIER: 'networkMultiplier',
+  CHAOS_SETTINGS: 'chaosSettings',
+  RESOURCE_STATE: 'resourceState',
+  HANDLER_STATE: 'handlerState',
+  // Kept in session storage, so sequences restart with the browser
+  SEQUENCE_COUNTERS: 'sequenceCounters',
+  CHAOS_CALLS: 'chaosCalls',
+  HANDLER_ERRORS: 'handlerErrors',
 };
 
-// Initialize default state on install
+// Rule types
+const RULE_TYPES = {
+  HTTP: 'http',
+  GRAPHQL: 'graphql',
+  RESOURCE: 'resource',
+};
+
+// Initialize default state on install, and upgrade stored rules on update
 chrome.runtime.onInstalled.addListener(async () => {
-  const existing = await chrome.storage.local.get([STORAGE_KEYS.RULES, STORAGE_KEYS.ENABLED]);
+  const existing = await chrome.storage.local.get([STORAGE_KEYS.RULES, STORAGE_KEYS.ENABLED, STORAGE_KEYS.SCHEMA_VERSION]);
   
   if (!existing[STORAGE_KEYS.RULES]) {
-    await chrome.storage.local.set({ [STORAGE_KEYS.RULES]: [] });
+    await chrome.storage.local.set({ [STORAGE_KEYS.RULES]: [], [STORAGE_KEYS.SCHEMA_VERSION]: RULE_SCHEMA_VERSION });
+  } else {
+    await migrateStoredRules(existing[STORAGE_KEYS.RULES], existing[STORAGE_KEYS.SCHEMA_VERSION] || 0);
+    await offloadStoredBodies();
   }
   
   if (existing[STORAGE_KEYS.ENABLED] === undefined) {
@@ -24,6 +71,53 @@ chrome.runtime.onInstalled.addListener(async () => {
   console.log('Mock your APIs extension installed');
 });
 
+/**
+ * Upgrade stored rules to the current schema version
+ * The rules are backed up before upgrading, and rules that are invalid after the upgrade
+ * are kept but disabled, so an upgrade never loses a saved mock.
+ */
+async function migrateStoredRules(rules, version) {
+  if (version === RULE_SCHEMA_VERSION) return;
+  
+  let migrated;
+  try {
+    migrated = RuleSchema.migrate(rules, version);
+  } catch (error) {
+    // Leave the rules as they are rather than save half-upgraded ones
+    console.error('Stored rules were not upgraded:', error);
+    return;
+  }
+  
+  migrated = migrated.map((rule, index) => {
+    const errors = RuleSchema.validate(rule);
+    if (errors.length === 0) return rule;
+    
+    console.warn(`${RuleSchema.label(rule, index)} is invalid after upgrading and was disabled: ${errors.join('; ')}`);
+    return RuleSchema.isObject(rule) ? { ...rule, enabled: false } : rule;
+  });
+  
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.RULES_BACKUP]: { schemaVersion: version, rules, savedAt: Date.now() },
+  });
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.RULES]: migrated,
+    [STORAGE_KEYS.SCHEMA_VERSION]: RULE_SCHEMA_VERSION,
+  });
+  
+  console.log(`Upgraded ${migrated.length} rules from schema ${version} to ${RULE_SCHEMA_VERSION}`);
+}
+
+/**
+ * Move large bodies of rules saved before the body store existed out of chrome.storage
+ */
+async function offloadStoredBodies() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.RULES);
+  const rules = result[STORAGE_KEYS.RULES] || [];
+  if (!rules.some(rule => BodyStore.split(rule).bodies)) return;
+  
+  await chrome.storage.local.set({ [STORAGE_KEYS.RULES]: await BodyStore.save(rules) });
+}
+
 // Message handler for communication with DevTools and content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   handleMessage(message, sender)
@@ -45,11 +139,20 @@ async function handleMessage(message, sender) {
   
   switch (type) {
     case 'GET_RULES':
-      return await getRules();
+      return await getRules(payload);
+    
+    case 'GET_RULE':
+      return await getRule(payload.id);
     
     case 'ADD_RULE':
       return await addRule(payload);
     
+    case 'ADD_RULES':
+      return await addRules(payload.rules);
+    
+    case 'IMPORT_RULES':
+      return await importRules(payload);
+    
     case 'UPDATE_RULE':
       return await updateRule(payload);
     
@@ -59,15 +162,57 @@ async function handleMessage(message, sender) {
     case 'TOGGLE_RULE':
       return await toggleRule(payload.id);
     
+    case 'REORDER_RULES':
+      return await reorderRules(payload.ids);
+    
     case 'GET_GLOBAL_ENABLED':
       return await getGlobalEnabled();
     
     case 'SET_GLOBAL_ENABLED':
       return await setGlobalEnabled(payload.enabled);
     
+    case 'GET_NETWORK_MULTIPLIER':
+      return await getNetworkMultiplier();
+    
+    case 'SET_NETWORK_MULTIPLIER':
+      return await setNetworkMultiplier(payload.multiplier);
+    
+    case 'GET_CHAOS_SETTINGS':
+      return await getChaosSettings();
+    
+    case 'SET_CHAOS_SETTINGS':
+      return await setChaosSettings(payload.settings);
+    
+    case 'GET_SEQUENCE_COUNTERS':
+      return { counters: await getSequenceCounters() };
+    
+    case 'RESET_SEQUENCES':
+      return await resetSequences(payload && payload.id);
+    
+    case 'GET_RESOURCE_STATE':
+      return await getResourceState();
+    
+    case 'RESET_RESOURCE':
+      return await resetResource(payload && payload.id);
+    
+    case 'CHECK_HANDLER':
+      return await checkHandler(payload.code);
+    
+    case 'GET_HANDLER_ERRORS':
+      return await getHandlerErrors();
+    
+    case 'RESET_HANDLER_STATE':
+      return await resetHandlerState(payload && payload.id);
+    
     case 'CHECK_MOCK':
       return await checkMock(payload);
     
+    case 'HANDLER_RESULT':
+      return await getHandlerResult(payload.id);
+    
+    case 'TRANSFORM_RESPONSE':
+      return await transformResponse(payload);
+    
     case 'CLEAR_ALL_RULES':
       return await clearAllRules();
     
@@ -77,11 +222,26 @@ async function handleMessage(message, sender) {
 }
 
 /**
- * Get all mock rules
+ * Get all mock rules in evaluation order
+ * Large response bodies are left out unless `withBodies` is set; see getRule().
+ */
+async function getRules({ withBodies = false } = {}) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.RULES);
+  const rules = RuleOrder.sort(result[STORAGE_KEYS.RULES] || []);
+  return { rules: withBodies ? await BodyStore.loadAll(rules) : rules };
+}
+
+/**
+ * Get one mock rule with all of its response bodies
  */
-async function getRules() {
+async function getRule(ruleId) {
   const result = await chrome.storage.local.get(STORAGE_KEYS.RULES);
-  return { rules: result[STORAGE_KEYS.RULES] || [] };
+  const rule = (result[STORAGE_KEYS.RULES] || []).find(r => r.id === ruleId);
+  if (!rule) {
+    throw new Error(`Rule not found: ${ruleId}`);
+  }
+  
+  return { rule: await BodyStore.load(rule) };
 }
 
 /**
@@ -91,32 +251,127 @@ async function addRule(ruleData) {
   const result = await chrome.storage.local.get(STORAGE_KEYS.RULES);
   const rules = result[STORAGE_KEYS.RULES] || [];
   
-  const newRule = {
+  const newRule = createRule(ruleData, RuleOrder.next(rules));
+  RuleSchema.assertValid(newRule);
+  
+  rules.push(...await BodyStore.save([newRule]));
+  await chrome.storage.local.set({ [STORAGE_KEYS.RULES]: rules });
+  
+  // Notify all tabs about the rule change
+  notifyTabs({ type: 'RULES_UPDATED' });
+  
+  return { success: true, rule: newRule };
+}
+
+/**
+ * Add several mock rules at once, after all existing rules and in the given order
+ * Imports use this so hundreds of rules cost one storage write.
+ */
+async function addRules(rulesData) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.RULES);
+  const rules = result[STORAGE_KEYS.RULES] || [];
+  
+  const order = RuleOrder.next(rules);
+  const newRules = rulesData.map((ruleData, index) => createRule(ruleData, order + index));
+  RuleSchema.assertAllValid(newRules);
+  
+  rules.push(...await BodyStore.save(newRules));
+  await chrome.storage.local.set({ [STORAGE_KEYS.RULES]: rules });
+  
+  // Notify all tabs about the rule change
+  notifyTabs({ type: 'RULES_UPDATED' });
+  
+  return { success: true, rules: newRules };
+}
+
+/**
+ * Import the rules of a bundle with one of the IMPORT_STRATEGIES
+ * Imported rules keep their ids, so importing a bundle again updates the rules it created.
+ * Rules from older bundles are upgraded first; nothing is imported if any rule is invalid.
+ */
+async function importRules({ rules: rulesData, strategy, schemaVersion = 0 }) {
+  if (!Object.values(IMPORT_STRATEGIES).includes(strategy)) {
+    throw new Error(`Unknown import strategy: ${strategy}`);
+  }
+  
+  const result = await chrome.storage.local.get(STORAGE_KEYS.RULES);
+  const existing = result[STORAGE_KEYS.RULES] || [];
+  
+  const incoming = RuleSchema.migrate(rulesData, schemaVersion).map(ruleData => ({
+    ...createRule(ruleData, 0),
+    id: ruleData.id || generateId(),
+    createdAt: ruleData.createdAt || Date.now(),
+    ...(ruleData.updatedAt ? { updatedAt: ruleData.updatedAt } : {}),
+  }));
+  RuleSchema.assertAllValid(incoming);
+  const plan = RuleBundle.plan(existing, incoming, strategy);
+  
+  // Existing rules stay indexed, so only the imported rules' bodies are written
+  const rules = await BodyStore.save(RuleBundle.apply(existing, plan, generateId), existing);
+  await chrome.storage.local.set({ [STORAGE_KEYS.RULES]: rules });
+  if (plan.removed > 0) {
+    await BodyStore.prune(rules.map(rule => rule.id));
+  }
+  
+  // Replaced rules start over, like edited ones
+  if (plan.removed > 0) {
+    await resetSequences();
+    await resetResource();
+    await resetHandlerState();
+  }
+  for (const { rule } of plan.entries.filter(entry => entry.action === 'replace')) {
+    await resetSequences(rule.id);
+    await resetResource(rule.id);
+    await resetHandlerState(rule.id);
+  }
+  
+  // Notify all tabs about the rule change
+  notifyTabs({ type: 'RULES_UPDATED' });
+  
+  return { success: true, ...RuleBundle.summarize(plan) };
+}
+
+/**
+ * Build a stored rule from rule data, filling in defaults
+ */
+function createRule(ruleData, order) {
+  return {
     id: generateId(),
-    enabled: true,
+    enabled: ruleData.enabled !== false,
+    order,
+    type: ruleData.type || RULE_TYPES.HTTP,
     name: ruleData.name || null,
+    // Only rules written as templates are rendered; recorded and imported bodies are served as they are
+    templated: ruleData.templated === true,
     request: {
       url: ruleData.request.url,
+      matchMode: ruleData.request.matchMode || URL_MATCH_MODES.EXACT,
+      queryMode: ruleData.request.queryMode || UrlMatcher.defaultQueryMode(ruleData.request.matchMode),
       method: ruleData.request.method || 'GET',
       headers: ruleData.request.headers || {},
+      headerConditions: ruleData.request.headerConditions || [],
       body: ruleData.request.body || null,
+      bodyMatchMode: ruleData.request.bodyMatchMode || BODY_MATCH_MODES.NONE,
     },
+    graphql: ruleData.graphql || null,
+    resource: ruleData.resource || null,
+    handler: ruleData.handler || null,
+    transform: ruleData.transform || null,
+    rewrite: ruleData.rewrite || null,
+    sequence: ruleData.sequence || null,
     response: {
       status: ruleData.response.status || 200,
       statusText: ruleData.response.statusText || 'OK',
       headers: ruleData.response.headers || { 'Content-Type': 'application/json' },
       body: ruleData.response.body || '',
+      bodyEncoding: ruleData.response.bodyEncoding || null,
+      delay: ruleData.response.delay || null,
+      failure: ruleData.response.failure || null,
+      seed: ruleData.response.seed || null,
+      weight: ruleData.response.weight ?? null,
     },
     createdAt: Date.now(),
   };
-  
-  rules.push(newRule);
-  await chrome.storage.local.set({ [STORAGE_KEYS.RULES]: rules });
-  
-  // Notify all tabs about the rule change
-  notifyTabs({ type: 'RULES_UPDATED' });
-  
-  return { success: true, rule: newRule };
 }
 
 /**
@@ -131,18 +386,27 @@ async function updateRule(ruleData) {
     throw new Error(`Rule not found: ${ruleData.id}`);
   }
   
-  rules[index] = {
-    ...rules[index],
+  // The update may leave out the response, so start from the whole stored rule
+  const updated = {
+    ...await BodyStore.load(rules[index]),
     ...ruleData,
     updatedAt: Date.now(),
   };
+  // The update replaces whole fields, so a partial request or response would break the rule
+  RuleSchema.assertValid(updated);
+  [rules[index]] = await BodyStore.save([updated], [rules[index]]);
   
   await chrome.storage.local.set({ [STORAGE_KEYS.RULES]: rules });
   
+  // An edited sequence, resource or handler starts over
+  await resetSequences(ruleData.id);
+  await resetResource(ruleData.id);
+  await resetHandlerState(ruleData.id);
+  
   // Notify all tabs about the rule change
   notifyTabs({ type: 'RULES_UPDATED' });
   
-  return { success: true, rule: rules[index] };
+  return { success: true, rule: updated };
 }
 
 /**
@@ -159,6 +423,10 @@ async function deleteRule(ruleId) {
   }
   
   await chrome.storage.local.set({ [STORAGE_KEYS.RULES]: filteredRules });
+  await BodyStore.remove([ruleId]);
+  await resetSequences(ruleId);
+  await resetResource(ruleId);
+  await resetHandlerState(ruleId);
   
   // Notify all tabs about the rule change
   notifyTabs({ type: 'RULES_UPDATED' });
@@ -187,6 +455,33 @@ async function toggleRule(ruleId) {
   return { success: true, enabled: rule.enabled };
 }
 
+/**
+ * Reorder rules to match the given list of rule ids
+ * Rules missing from the list keep their relative order after the listed ones.
+ */
+async function reorderRules(ruleIds) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.RULES);
+  const rules = RuleOrder.sort(result[STORAGE_KEYS.RULES] || []);
+  
+  const byId = new Map(rules.map(rule => [rule.id, rule]));
+  const ordered = ruleIds.map(id => byId.get(id)).filter(Boolean);
+  const listed = new Set(ordered.map(rule => rule.id));
+  rules.forEach(rule => {
+    if (!listed.has(rule.id)) ordered.push(rule);
+  });
+  
+  ordered.forEach((rule, index) => {
+    rule.order = index;
+  });
+  
+  await chrome.storage.local.set({ [STORAGE_KEYS.RULES]: ordered });
+  
+  // Notify all tabs about the rule change
+  notifyTabs({ type: 'RULES_UPDATED' });
+  
+  return { success: true };
+}
+
 /**
  * Get global enabled state
  */
@@ -207,9 +502,59 @@ async function setGlobalEnabled(enabled) {
   return { success: true, enabled };
 }
 
+/**
+ * Get the global slow network multiplier applied to rule delays
+ */
+async function getNetworkMultiplier() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.NETWORK_MULTIPLIER);
+  return { multiplier: result[STORAGE_KEYS.NETWORK_MULTIPLIER] || 1 };
+}
+
+/**
+ * Set the global slow network multiplier
+ */
+async function setNetworkMultiplier(multiplier) {
+  const value = Number(multiplier);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid network multiplier: ${multiplier}`);
+  }
+  
+  await chrome.storage.local.set({ [STORAGE_KEYS.NETWORK_MULTIPLIER]: value });
+  
+  return { success: true, multiplier: value };
+}
+
+/**
+ * Get the chaos mode settings
+ */
+async function getChaosSettings() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.CHAOS_SETTINGS);
+  return { settings: Chaos.normalize(result[STORAGE_KEYS.CHAOS_SETTINGS]) };
+}
+
+/**
+ * Save the chaos mode settings
+ * Saving restarts the seeded fault stream, so a seed replays the same faults from here
+ */
+async function setChaosSettings(settings) {
+  const error = Chaos.validate(settings);
+  if (error) {
+    throw new Error(error);
+  }
+  
+  const value = Chaos.normalize(settings);
+  await chrome.storage.local.set({ [STORAGE_KEYS.CHAOS_SETTINGS]: value });
+  
+  chaosCallsLoading = Promise.resolve(0);
+  await chrome.storage.session.set({ [STORAGE_KEYS.CHAOS_CALLS]: 0 });
+  
+  return { success: true, settings: value };
+}
+
 /**
  * Check if a request should be mocked
- * Matches on both URL and HTTP method
+ * Matches on URL, HTTP method, header conditions, request body and GraphQL operation,
+ * then lets chaos mode inject a fault
  */
 async function checkMock(requestInfo) {
   const globalResult = await chrome.storage.local.get(STORAGE_KEYS.ENABLED);
@@ -218,37 +563,541 @@ async function checkMock(requestInfo) {
   }
   
   const rulesResult = await chrome.storage.local.get(STORAGE_KEYS.RULES);
-  const rules = rulesResult[STORAGE_KEYS.RULES] || [];
+  const rules = RuleOrder.sort(rulesResult[STORAGE_KEYS.RULES] || []);
+  const { settings: chaos } = await getChaosSettings();
+  
+  const method = requestInfo.method.toUpperCase();
+  let graphqlOperation;
   
-  // Find matching rule by URL and method
-  const matchingRule = rules.find(rule => {
-    if (!rule.enabled) return false;
+  // Find the first matching rule in evaluation order
+  for (let rule of rules) {
+    if (!rule.enabled) continue;
     
-    // Match URL exactly
-    const urlMatch = rule.request.url === requestInfo.url;
+    const isGraphQL = rule.type === RULE_TYPES.GRAPHQL;
+    const isResource = rule.type === RULE_TYPES.RESOURCE;
     
-    // Match HTTP method (case-insensitive)
-    const methodMatch = rule.request.method.toUpperCase() === requestInfo.method.toUpperCase();
+    // Match HTTP method (case-insensitive); GraphQL operations may use GET or POST
+    // and resources handle every method themselves
+    if (isGraphQL) {
+      if (method !== 'GET' && method !== 'POST') continue;
+    } else if (!isResource && rule.request.method.toUpperCase() !== method) {
+      continue;
+    }
     
-    return urlMatch && methodMatch;
-  });
-  
-  if (matchingRule) {
-    return {
+    // Match URL according to the rule's match mode
+    // GraphQL endpoints ignore the query string, which carries the operation for GET requests;
+    // resources match their collection URL and the URL of each item in it
+    const urlRequest = isGraphQL ? { ...rule.request, queryMode: QUERY_MATCH_MODES.IGNORE } : rule.request;
+    const match = isResource
+      ? ResourceStore.route(rule.request, requestInfo.url)
+      : UrlMatcher.match(urlRequest, requestInfo.url);
+    if (!match) continue;
+    
+    // Match the GraphQL operation, parsing the request only once
+    if (isGraphQL) {
+      if (graphqlOperation === undefined) {
+        graphqlOperation = GraphQLMatcher.parseRequest(requestInfo);
+      }
+      if (!GraphQLMatcher.match(rule.graphql, graphqlOperation)) continue;
+    }
+    
+    // Match header conditions, if any
+    if (!RequestMatcher.matchHeaders(rule.request.headerConditions, requestInfo.headers)) continue;
+    
+    // Match request body, if the rule uses it; resources read the body instead
+    if (!isResource && !RequestMatcher.matchBody(rule.request.bodyMatchMode, rule.request.body, requestInfo.body)) continue;
+    
+    // Only the rule that matched pays for loading its response bodies
+    rule = await BodyStore.load(rule);
+    
+    // Pick the response for this call; sequences count the calls each rule has matched
+    // Weighted picks follow the chaos seed, so they can be replayed too
+    let response = rule.response;
+    if (ResponseSequence.isSequence(rule)) {
+      const callIndex = await nextCallIndex(rule.id);
+      const random = FakeData.createRandom(chaos.seed ? `${chaos.seed}:${rule.id}:${callIndex}` : null);
+      response = ResponseSequence.select(rule, callIndex, random);
+      if (!response) {
+        return { shouldMock: false };
+      }
+    }
+    
+    const { multiplier } = await getNetworkMultiplier();
+    const fault = await sampleChaos(chaos);
+    
+    // Modify rules let the page make the real request, then send the response back to
+    // TRANSFORM_RESPONSE; only chaos latency delays them
+    if (!isResource && !rule.handler && rule.transform && !(fault && fault.response)) {
+      return {
+        shouldMock: false,
+        modify: { ruleId: rule.id, needsBody: ResponseTransform.needsBody(rule.transform) },
+        ruleId: rule.id,
+        params: match.params,
+        delay: fault ? fault.delay : 0,
+        chaos: fault ? fault.fault : null,
+      };
+    }
+    
+    // Rewrite rules send a changed request to the network instead
+    if (!isResource && !rule.handler && rule.rewrite && !(fault && fault.response)) {
+      let rewrite;
+      try {
+        rewrite = RequestRewrite.apply(rule.rewrite, requestInfo, match.params);
+      } catch (error) {
+        console.warn(`Could not rewrite the request for rule ${rule.id}, sending it unchanged:`, error);
+        return { shouldMock: false, ruleId: rule.id, delay: fault ? fault.delay : 0, chaos: fault ? fault.fault : null };
+      }
+      return {
+        shouldMock: false,
+        rewrite,
+        ruleId: rule.id,
+        params: match.params,
+        delay: fault ? fault.delay : 0,
+        chaos: fault ? fault.fault : null,
+      };
+    }
+    
+    // Handlers may return their own delay
+    const mocked = (served) => ({
       shouldMock: true,
-      response: matchingRule.response,
-      ruleId: matchingRule.id,
-    };
+      response: served,
+      ruleId: rule.id,
+      params: match.params,
+      delay: Latency.sample(served.delay || response.delay, multiplier) + (fault && fault.delay || 0),
+      chaos: fault ? fault.fault : null,
+    });
+    
+    // An injected error replaces the response, so it never changes a resource's or handler's state
+    if (fault && fault.response) {
+      return mocked(fault.response);
+    }
+    if (isResource) {
+      return mocked(await handleResourceRequest(rule, match.id, requestInfo));
+    }
+    if (rule.handler) {
+      // The page waits only briefly for a mock check, so it collects the handler's
+      // response with a HANDLER_RESULT message it waits longer for
+      const result = runRuleHandler(rule, requestInfo, match.params)
+        .then(served => (served ? mocked(served) : { shouldMock: false }));
+      return { shouldMock: false, pendingHandler: trackPendingHandler(result), ruleId: rule.id };
+    }
+    if (!rule.templated) {
+      return mocked(response);
+    }
+    return mocked(buildResponse(response, TemplateEngine.createRequestContext(requestInfo, match.params)));
+  }
+  
+  // Unmocked requests can still be hit by chaos; latency is applied before the real request
+  if (chaos.includeUnmatched) {
+    const fault = await sampleChaos(chaos);
+    if (fault && fault.response) {
+      return { shouldMock: true, response: fault.response, ruleId: null, delay: 0, chaos: fault.fault };
+    }
+    if (fault) {
+      return { shouldMock: false, delay: fault.delay, chaos: fault.fault };
+    }
   }
   
   return { shouldMock: false };
 }
 
+/**
+ * Apply a modify rule's transform to the real response the page received
+ * Failures keep the real response and report why in `message`.
+ * @param {Object} payload - { ruleId, response } where response is { status, statusText, headers, body }
+ */
+async function transformResponse({ ruleId, response }) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.RULES);
+  const rule = (result[STORAGE_KEYS.RULES] || []).find(r => r.id === ruleId);
+  
+  // The rule may have been edited or removed since the request started
+  if (!rule || !rule.transform) {
+    return { response };
+  }
+  
+  try {
+    return { response: ResponseTransform.apply(rule.transform, response) };
+  } catch (error) {
+    console.warn(`Could not modify the response for rule ${ruleId}:`, error);
+    return { response, message: error.message };
+  }
+}
+
+// Resource requests are handled one at a time, so concurrent writes can't lose changes
+let resourceQueue = Promise.resolve();
+
+/**
+ * Handle a request to a resource rule against its stored state
+ * A collection is created from its seed data on first use.
+ */
+function handleResourceRequest(rule, id, requestInfo) {
+  const run = resourceQueue.then(async () => {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.RESOURCE_STATE);
+    const states = result[STORAGE_KEYS.RESOURCE_STATE] || {};
+    const state = states[rule.id] || ResourceStore.createState(rule.resource);
+    
+    const { response, changed } = ResourceStore.handle(state, rule.resource, {
+      method: requestInfo.method,
+      id,
+      body: requestInfo.body,
+    });
+    
+    if (changed || !states[rule.id]) {
+      states[rule.id] = state;
+      await chrome.storage.local.set({ [STORAGE_KEYS.RESOURCE_STATE]: states });
+    }
+    
+    return response;
+  });
+  
+  resourceQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Get the stored items of every resource rule that has been used, by rule id
+ */
+async function getResourceState() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.RESOURCE_STATE);
+  return { states: result[STORAGE_KEYS.RESOURCE_STATE] || {} };
+}
+
+/**
+ * Reset one resource to its seed data, or all resources when no id is given
+ */
+function resetResource(ruleId) {
+  const run = resourceQueue.then(async () => {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.RESOURCE_STATE);
+    const states = result[STORAGE_KEYS.RESOURCE_STATE] || {};
+    
+    if (ruleId) {
+      delete states[ruleId];
+    } else {
+      Object.keys(states).forEach(id => delete states[id]);
+    }
+    
+    await chrome.storage.local.set({ [STORAGE_KEYS.RESOURCE_STATE]: states });
+    return { success: true };
+  });
+  
+  resourceQueue = run.catch(() => {});
+  return run;
+}
+
+// Handlers run one at a time, so each call sees the state the previous one left
+let handlerQueue = Promise.resolve();
+
+// Results of running handlers, by id, until the page collects them with HANDLER_RESULT
+const pendingHandlers = new Map();
+let pendingHandlerCounter = 0;
+
+/**
+ * Keep a running handler's result for the page to collect
+ * Results the page never asks for, e.g. because it navigated away, are dropped.
+ * @param {Promise} result - Resolves with the CHECK_MOCK result for the request
+ * @returns {string} Id to pass to HANDLER_RESULT
+ */
+function trackPendingHandler(result) {
+  const id = `handler_${Date.now()}_${++pendingHandlerCounter}`;
+  pendingHandlers.set(id, result);
+  setTimeout(() => pendingHandlers.delete(id), HANDLER_TIMEOUT_MS * 2);
+  return id;
+}
+
+/**
+ * Wait for the result of a handler started by a mock check
+ */
+async function getHandlerResult(id) {
+  const result = pendingHandlers.get(id);
+  if (!result) {
+    return { shouldMock: false };
+  }
+  
+  pendingHandlers.delete(id);
+  return await result;
+}
+
+/**
+ * Run a rule's response handler in the sandbox
+ * Errors are recorded for the DevTools panel and served as a 500 response.
+ * @returns {Object|null} Response, or null when the handler lets the request through
+ */
+function runRuleHandler(rule, requestInfo, params) {
+  const deadline = Date.now() + HANDLER_TIMEOUT_MS;
+  
+  const run = handlerQueue.then(async () => {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.HANDLER_STATE);
+    const states = result[STORAGE_KEYS.HANDLER_STATE] || {};
+    
+    try {
+      const { response, state } = await callSandbox('RUN_HANDLER', {
+        code: rule.handler,
+        request: TemplateEngine.createRequestContext(requestInfo, params).request,
+        state: states[rule.id] || {},
+        ruleId: rule.id,
+        seed: rule.response.seed,
+      }, deadline);
+      
+      states[rule.id] = state;
+      await chrome.storage.local.set({ [STORAGE_KEYS.HANDLER_STATE]: states });
+      await setHandlerError(rule.id, null);
+      
+      return response;
+    } catch (error) {
+      console.warn(`Handler error in rule ${rule.id}:`, error);
+      await setHandlerError(rule.id, error.message);
+      return ResponseHandler.errorResponse(error.message);
+    }
+  });
+  
+  handlerQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Check that handler source compiles to a function
+ */
+async function checkHandler(code) {
+  try {
+    await callSandbox('CHECK_HANDLER', { code });
+    return { valid: true };
+  } catch (error) {
+    return { valid: false, message: error.message };
+  }
+}
+
+/**
+ * Send a message to the sandbox through the offscreen document
+ * A sandbox that doesn't answer in time may be stuck in a loop, so it is closed and
+ * the next call starts a fresh one.
+ * @param {number} deadline - Time by which the sandbox must answer; defaults to HANDLER_TIMEOUT_MS from now
+ * @throws {Error} If the sandbox reports an error or doesn't answer in time
+ */
+async function callSandbox(type, payload, deadline = Date.now() + HANDLER_TIMEOUT_MS) {
+  if (Date.now() >= deadline) {
+    throw new Error(`Handler timed out after ${HANDLER_TIMEOUT_MS}ms waiting for other handlers`);
+  }
+  
+  let timer;
+  let timedOut = false;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      reject(new Error(`Handler timed out after ${HANDLER_TIMEOUT_MS}ms`));
+    }, Math.max(0, deadline - Date.now()));
+  });
+  
+  try {
+    const reply = await Promise.race([
+      ensureOffscreenDocument().then(() => chrome.runtime.sendMessage({ target: 'offscreen', type, payload })),
+      timeout,
+    ]);
+    if (!reply) {
+      throw new Error('The handler sandbox did not respond');
+    }
+    if (reply.error) {
+      throw new Error(reply.error);
+    }
+    return reply.result;
+  } catch (error) {
+    if (timedOut) {
+      await closeOffscreenDocument();
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+let offscreenCreating = null;
+
+/**
+ * Create the offscreen document hosting the sandbox, unless it already exists
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)],
+  });
+  if (contexts.length > 0) return;
+  
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['IFRAME_SCRIPTING'],
+      justification: 'Run user-written mock response handlers in a sandboxed page',
+    }).finally(() => {
+      offscreenCreating = null;
+    });
+  }
+  await offscreenCreating;
+}
+
+/**
+ * Close the offscreen document, e.g. when a handler never returned
+ */
+async function closeOffscreenDocument() {
+  try {
+    await offscreenCreating;
+    await chrome.offscreen.closeDocument();
+  } catch (e) {
+    // The document failed to start or is already closed
+  }
+}
+
+/**
+ * Record or clear the last error of a rule's handler
+ */
+async function setHandlerError(ruleId, message) {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.HANDLER_ERRORS);
+  const errors = result[STORAGE_KEYS.HANDLER_ERRORS] || {};
+  
+  if (!message && !errors[ruleId]) return;
+  
+  if (message) {
+    errors[ruleId] = { message, at: Date.now() };
+  } else {
+    delete errors[ruleId];
+  }
+  
+  await chrome.storage.session.set({ [STORAGE_KEYS.HANDLER_ERRORS]: errors });
+}
+
+/**
+ * Get the last handler error of each rule, by rule id
+ */
+async function getHandlerErrors() {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.HANDLER_ERRORS);
+  return { errors: result[STORAGE_KEYS.HANDLER_ERRORS] || {} };
+}
+
+/**
+ * Clear one handler's state and error, or every handler's when no id is given
+ */
+function resetHandlerState(ruleId) {
+  const run = handlerQueue.then(async () => {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.HANDLER_STATE);
+    const states = result[STORAGE_KEYS.HANDLER_STATE] || {};
+    
+    if (ruleId) {
+      delete states[ruleId];
+      await setHandlerError(ruleId, null);
+    } else {
+      Object.keys(states).forEach(id => delete states[id]);
+      await chrome.storage.session.set({ [STORAGE_KEYS.HANDLER_ERRORS]: {} });
+    }
+    
+    await chrome.storage.local.set({ [STORAGE_KEYS.HANDLER_STATE]: states });
+    return { success: true };
+  });
+  
+  handlerQueue = run.catch(() => {});
+  return run;
+}
+
+// In-memory copy of the chaos call count, for the same reason as the sequence counters
+let chaosCallsLoading = null;
+
+/**
+ * Decide whether chaos mode injects a fault into this request
+ * Seeded chaos derives each call's randomness from the seed and the call number.
+ */
+async function sampleChaos(settings) {
+  if (!settings.enabled) return null;
+  if (!settings.seed) return Chaos.sample(settings);
+  
+  if (!chaosCallsLoading) {
+    chaosCallsLoading = chrome.storage.session.get(STORAGE_KEYS.CHAOS_CALLS)
+      .then(result => result[STORAGE_KEYS.CHAOS_CALLS] || 0);
+  }
+  
+  // Claim the call number before awaiting, so concurrent requests get distinct numbers
+  const calls = chaosCallsLoading.then(count => count + 1);
+  chaosCallsLoading = calls;
+  const callIndex = (await calls) - 1;
+  await chrome.storage.session.set({ [STORAGE_KEYS.CHAOS_CALLS]: callIndex + 1 });
+  
+  return Chaos.sample(settings, FakeData.createRandom(`${settings.seed}:${callIndex}`));
+}
+
+// In-memory copy of the sequence counters, so concurrent requests can't lose increments
+let sequenceCountersLoading = null;
+
+/**
+ * Get the number of calls each sequence rule has matched, by rule id
+ */
+function getSequenceCounters() {
+  if (!sequenceCountersLoading) {
+    sequenceCountersLoading = chrome.storage.session.get(STORAGE_KEYS.SEQUENCE_COUNTERS)
+      .then(result => result[STORAGE_KEYS.SEQUENCE_COUNTERS] || {});
+  }
+  return sequenceCountersLoading;
+}
+
+/**
+ * Count a call to a sequence rule
+ * @returns {number} Zero-based index of this call
+ */
+async function nextCallIndex(ruleId) {
+  const counters = await getSequenceCounters();
+  const index = counters[ruleId] || 0;
+  counters[ruleId] = index + 1;
+  await chrome.storage.session.set({ [STORAGE_KEYS.SEQUENCE_COUNTERS]: counters });
+  return index;
+}
+
+/**
+ * Restart one rule's sequence, or all sequences when no id is given
+ */
+async function resetSequences(ruleId) {
+  const counters = await getSequenceCounters();
+  
+  if (ruleId) {
+    delete counters[ruleId];
+  } else {
+    Object.keys(counters).forEach(id => delete counters[id]);
+  }
+  
+  await chrome.storage.session.set({ [STORAGE_KEYS.SEQUENCE_COUNTERS]: counters });
+  return { success: true };
+}
+
+/**
+ * Build the mock response for a matched templated rule
+ * Renders templates in the body and header values, seeding fake data if the response has a seed
+ */
+function buildResponse(response, context) {
+  const render = (text) => {
+    try {
+      return TemplateEngine.render(text, context, { random: FakeData.createRandom(response.seed) });
+    } catch (e) {
+      console.warn('Template error, serving the raw text:', e);
+      return text;
+    }
+  };
+  
+  const headers = {};
+  for (const [key, value] of Object.entries(response.headers || {})) {
+    headers[key] = render(value);
+  }
+  
+  return {
+    ...response,
+    headers,
+    // Binary bodies are base64 text, which holds no templates
+    body: response.bodyEncoding === 'base64' ? response.body : render(response.body),
+  };
+}
+
 /**
  * Clear all mock rules
  */
 async function clearAllRules() {
   await chrome.storage.local.set({ [STORAGE_KEYS.RULES]: [] });
+  await BodyStore.clear();
+  await resetSequences();
+  await resetResource();
+  await resetHandlerState();
   
   // Notify all tabs about the rule change
   notifyTabs({ type: 'RULES_UPDATED' });
@@ -12,6 +12,10 @@
   const pendingRequests = new Map();
   let requestCounter = 0;
 
+  // Query params commonly appended to defeat caching; they never take part in matching.
+  // The same list as CACHE_BUSTER_PARAMS in url-matcher.js, which page scripts can't load.
+  const CACHE_BUSTER_PARAMS = ['_', '_t', '_ts', '_dc', '_cb', 'cb', 'cachebust', 'cachebuster', 'cache_bust', 'nocache'];
+
   /**
    * Generate unique request ID
    */
@@ -20,31 +24,282 @@
   }
 
   /**
-   * Check if a request should be mocked
-   * Returns a promise that resolves with the mock check result
+   * Normalize a request URL for matching
+   * Resolves relative URLs and strips cache-buster query params
+   */
+  function normalizeUrl(url) {
+    try {
+      const parsed = new URL(url, window.location.origin);
+      const params = parsed.searchParams;
+      const busters = CACHE_BUSTER_PARAMS.filter(name => params.has(name));
+      if (busters.length > 0) {
+        busters.forEach(name => params.delete(name));
+        parsed.search = params.toString();
+      }
+      return parsed.href;
+    } catch (e) {
+      // Keep original if URL parsing fails
+      return url;
+    }
+  }
+
+  /**
+   * Resolve a request URL against the page, keeping every query param
+   * Rewritten requests go to this URL; normalizeUrl() is only for matching.
+   */
+  function resolveUrl(url) {
+    try {
+      return new URL(url, window.location.origin).href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * Collect request headers from fetch arguments into a plain object
+   */
+  function collectFetchHeaders(input, init) {
+    const headers = {};
+    const addHeaders = (source) => {
+      try {
+        new Headers(source).forEach((value, key) => {
+          headers[key] = value;
+        });
+      } catch (e) {
+        // Ignore headers the browser would reject anyway
+      }
+    };
+
+    if (input instanceof Request) addHeaders(input.headers);
+    if (init && init.headers) addHeaders(init.headers);
+
+    return headers;
+  }
+
+  /**
+   * Serialize a fetch or XHR request body to a string for matching
+   * Returns null for bodies that can't be read without consuming them (e.g. streams)
+   */
+  async function serializeBody(body) {
+    if (body === undefined || body === null) return null;
+
+    try {
+      if (typeof body === 'string') return body;
+      if (body instanceof URLSearchParams) return body.toString();
+      if (body instanceof FormData) {
+        const params = new URLSearchParams();
+        for (const [key, value] of body.entries()) {
+          if (typeof value === 'string') params.append(key, value);
+        }
+        return params.toString();
+      }
+      if (body instanceof Blob) return await body.text();
+      if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+        return new TextDecoder().decode(body);
+      }
+      if (typeof Document !== 'undefined' && body instanceof Document) {
+        return new XMLSerializer().serializeToString(body);
+      }
+    } catch (e) {
+      // Fall through to unreadable body
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the body of a fetch call from init or a Request object
    */
-  function checkMock(url, method) {
+  async function collectFetchBody(input, init) {
+    if (init && init.body !== undefined) {
+      return serializeBody(init.body);
+    }
+
+    if (input instanceof Request && !['GET', 'HEAD'].includes(input.method)) {
+      try {
+        return await input.clone().text();
+      } catch (e) {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a mock response's body as a Response or Blob takes it
+   * @returns {string|Uint8Array} The text, or the bytes of a base64 encoded binary body
+   */
+  function mockBody({ body, bodyEncoding }) {
+    if (bodyEncoding !== 'base64') return body || '';
+    return Uint8Array.from(atob(body || ''), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Create the error a fetch rejects with when it is aborted
+   */
+  function createAbortError(signal) {
+    return (signal && signal.reason) || new DOMException('The user aborted a request.', 'AbortError');
+  }
+
+  /**
+   * Wait for a simulated response delay
+   * Rejects with an AbortError if the request's signal aborts first, like a real fetch.
+   * An infinite delay only ends when the signal aborts.
+   */
+  function waitForDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createAbortError(signal));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError(signal));
+      };
+      const timer = Number.isFinite(ms) ? setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms) : null;
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Send a message to the service worker through the content script
+   * Resolves with `{ shouldMock: false }` if no reply arrives in time.
+   */
+  function sendToExtension(type, payload, timeoutMs) {
     return new Promise((resolve) => {
       const requestId = generateRequestId();
       
-      // Set up timeout for mock check
       const timeout = setTimeout(() => {
         pendingRequests.delete(requestId);
         resolve({ shouldMock: false });
-      }, 1000); // 1 second timeout
+      }, timeoutMs);
 
       pendingRequests.set(requestId, { resolve, timeout });
 
       // Send message to content script
       window.postMessage({
         source: 'api-mocker-injected',
-        type: 'CHECK_MOCK',
+        type: type,
         requestId: requestId,
-        payload: { url, method }
+        payload: payload
       }, '*');
     });
   }
 
+  /**
+   * Check if a request should be mocked
+   * Returns a promise that resolves with the mock check result
+   */
+  async function checkMock(requestInfo) {
+    const result = await sendToExtension('CHECK_MOCK', requestInfo, 1000); // 1 second timeout
+
+    // A rule with a response handler answers at once and sends the response when the
+    // handler is done. Handlers get 5 seconds, so wait a little longer than that; a slow
+    // handler's response is still served rather than the request going to the network.
+    if (result.pendingHandler) {
+      return sendToExtension('HANDLER_RESULT', { id: result.pendingHandler }, 6000);
+    }
+    return result;
+  }
+
+  /**
+   * Have a modify rule transform a real response
+   * Resolves with the transformed response, or null to keep the real one.
+   */
+  async function transformResponse(modify, response, label) {
+    // Large bodies take longer to pass around, so allow 5 seconds rather than the
+    // 1 second a mock check gets
+    const result = await sendToExtension('TRANSFORM_RESPONSE', { ruleId: modify.ruleId, response }, 5000);
+
+    if (result.message || result.error) {
+      console.warn(`[Mock your APIs] Could not modify ${label}: ${result.message || result.error}`);
+      return null;
+    }
+    if (result.response) {
+      console.log(`[Mock your APIs] Modified ${label}`);
+    }
+    return result.response || null;
+  }
+
+  /**
+   * Build the fetch options for a rewritten request
+   * Options of a Request input carry over, and a Request body is kept unless the rule replaces it.
+   */
+  async function buildRewrittenInit(input, init, rewrite) {
+    const rewritten = {};
+    if (input instanceof Request) {
+      ['cache', 'credentials', 'integrity', 'keepalive', 'mode', 'redirect', 'referrer', 'referrerPolicy', 'signal']
+        .forEach(key => {
+          rewritten[key] = input[key];
+        });
+    }
+    Object.assign(rewritten, init, { method: rewrite.method, headers: rewrite.headers });
+
+    if (['GET', 'HEAD'].includes(rewrite.method)) {
+      delete rewritten.body;
+    } else if (rewrite.body !== null) {
+      rewritten.body = rewrite.body;
+    } else if (init.body === undefined && input instanceof Request) {
+      rewritten.body = await input.clone().arrayBuffer();
+    }
+
+    return rewritten;
+  }
+
+  /**
+   * Apply a modify rule to a real fetch response
+   * Opaque responses can't be read, so they are returned unchanged.
+   */
+  async function modifyFetchResponse(realResponse, modify, label) {
+    if (realResponse.type === 'opaque' || realResponse.type === 'opaqueredirect') {
+      return realResponse;
+    }
+
+    const headers = {};
+    realResponse.headers.forEach((value, key) => {
+      headers[key] = value;
+    });
+
+    let body = null;
+    if (modify.needsBody) {
+      try {
+        body = await realResponse.clone().text();
+      } catch (e) {
+        return realResponse;
+      }
+    }
+
+    const modified = await transformResponse(modify, {
+      status: realResponse.status,
+      statusText: realResponse.statusText,
+      headers,
+      body
+    }, label);
+    if (!modified) return realResponse;
+
+    try {
+      // Without body changes the real body stream is passed on untouched, so binary data survives
+      const hasBody = ![204, 205, 304].includes(modified.status);
+      const response = new Response(hasBody ? (modify.needsBody ? modified.body : realResponse.body) : null, {
+        status: modified.status,
+        statusText: modified.statusText,
+        headers: new Headers(modified.headers)
+      });
+      Object.defineProperty(response, 'url', { value: realResponse.url });
+      Object.defineProperty(response, 'redirected', { value: realResponse.redirected });
+      return response;
+    } catch (e) {
+      console.warn(`[Mock your APIs] Could not modify ${label}: ${e.message}`);
+      return realResponse;
+    }
+  }
+
   /**
    * Listen for mock responses from content script
    */
@@ -72,8 +327,10 @@
    * Override fetch
    */
   window.fetch = async function(input, init = {}) {
-    // Extract URL and method
+    // Extract URL, method, headers and body
     let url, method;
+    const requestHeaders = collectFetchHeaders(input, init);
+    const requestBody = await collectFetchBody(input, init);
     
     if (input instanceof Request) {
       url = input.url;
@@ -83,20 +340,45 @@
       method = init.method || 'GET';
     }
 
-    // Normalize URL (handle relative URLs)
-    try {
-      url = new URL(url, window.location.origin).href;
-    } catch (e) {
-      // Keep original if URL parsing fails
-    }
+    // Normalize URL (handle relative URLs and cache busters)
+    const originalUrl = resolveUrl(url);
+    url = normalizeUrl(url);
 
     // Check if this request should be mocked
-    const mockCheck = await checkMock(url, method.toUpperCase());
+    const mockCheck = await checkMock({
+      url,
+      originalUrl,
+      method: method.toUpperCase(),
+      headers: requestHeaders,
+      body: requestBody
+    });
+    const signal = init.signal || (input instanceof Request ? input.signal : null);
+
+    if (mockCheck.chaos) {
+      console.log(`[Mock your APIs] Chaos mode injected ${mockCheck.chaos} into ${method} ${url}`);
+    }
 
     if (mockCheck.shouldMock && mockCheck.response) {
-      console.log(`[Mock your APIs] Mocking ${method} ${url}`);
+      console.log(`[Mock your APIs] Mocking ${method} ${url}${mockCheck.delay ? ` after ${mockCheck.delay}ms` : ''}`);
+      
+      // Simulate response latency
+      if (mockCheck.delay > 0) {
+        await waitForDelay(mockCheck.delay, signal);
+      }
+      
+      // Simulate network failures the way the browser reports them
+      switch (mockCheck.response.failure) {
+        case 'network-error':
+          throw new TypeError('Failed to fetch');
+        case 'timeout':
+          // Hang until the caller gives up
+          await waitForDelay(Infinity, signal);
+          break;
+        case 'abort':
+          throw createAbortError(null);
+      }
       
-      const { status, statusText, headers, body } = mockCheck.response;
+      const { status, statusText, headers } = mockCheck.response;
       
       // Create mock response
       const responseHeaders = new Headers(headers || {});
@@ -106,11 +388,26 @@
         headers: responseHeaders
       };
 
-      // Return mock response
-      return new Response(body || '', responseInit);
+      // Return mock response; 204, 205 and 304 responses can't have a body
+      const hasBody = ![204, 205, 304].includes(responseInit.status);
+      return new Response(hasBody ? mockBody(mockCheck.response) : null, responseInit);
     }
 
-    // Not mocked, proceed with original fetch
+    // Not mocked, proceed with original fetch; chaos mode may still delay it
+    if (mockCheck.delay > 0) {
+      await waitForDelay(mockCheck.delay, signal);
+    }
+
+    if (mockCheck.rewrite) {
+      const { url: newUrl, method: newMethod } = mockCheck.rewrite;
+      console.log(`[Mock your APIs] Rewriting ${method} ${url} to ${newMethod} ${newUrl}`);
+      return originalFetch.call(this, newUrl, await buildRewrittenInit(input, init, mockCheck.rewrite));
+    }
+
+    if (mockCheck.modify) {
+      const realResponse = await originalFetch.apply(this, arguments);
+      return modifyFetchResponse(realResponse, mockCheck.modify, `${method} ${url}`);
+    }
     return originalFetch.apply(this, arguments);
   };
 
@@ -122,7 +419,11 @@
     const xhrInfo = {
       method: 'GET',
       url: '',
+      originalUrl: '',
+      headers: {},
       async: true,
+      user: undefined,
+      password: undefined,
       mocked: false,
       mockResponse: null
     };
@@ -135,36 +436,84 @@
     // Override open
     xhr.open = function(method, url, async = true, user, password) {
       xhrInfo.method = method.toUpperCase();
-      xhrInfo.url = url;
+      xhrInfo.url = normalizeUrl(String(url));
+      xhrInfo.originalUrl = resolveUrl(String(url));
+      xhrInfo.headers = {};
       xhrInfo.async = async;
-
-      // Normalize URL
-      try {
-        xhrInfo.url = new URL(url, window.location.origin).href;
-      } catch (e) {
-        // Keep original if URL parsing fails
-      }
+      xhrInfo.user = user;
+      xhrInfo.password = password;
 
       return originalOpen(method, url, async, user, password);
     };
 
+    // Override setRequestHeader to record headers for matching
+    xhr.setRequestHeader = function(name, value) {
+      const key = String(name).toLowerCase();
+      const existing = xhrInfo.headers[key];
+      xhrInfo.headers[key] = existing !== undefined ? `${existing}, ${value}` : String(value);
+      return originalSetRequestHeader(name, value);
+    };
+
     // Override send
     xhr.send = async function(body) {
       // Check if this request should be mocked
-      const mockCheck = await checkMock(xhrInfo.url, xhrInfo.method);
+      const mockCheck = await checkMock({
+        url: xhrInfo.url,
+        originalUrl: xhrInfo.originalUrl,
+        method: xhrInfo.method,
+        headers: xhrInfo.headers,
+        body: await serializeBody(body)
+      });
+
+      if (mockCheck.chaos) {
+        console.log(`[Mock your APIs] Chaos mode injected ${mockCheck.chaos} into XHR ${xhrInfo.method} ${xhrInfo.url}`);
+      }
 
       if (mockCheck.shouldMock && mockCheck.response) {
-        console.log(`[Mock your APIs] Mocking XHR ${xhrInfo.method} ${xhrInfo.url}`);
+        console.log(`[Mock your APIs] Mocking XHR ${xhrInfo.method} ${xhrInfo.url}${mockCheck.delay ? ` after ${mockCheck.delay}ms` : ''}`);
         
         xhrInfo.mocked = true;
         xhrInfo.mockResponse = mockCheck.response;
 
+        // Binary bodies are exposed as the XHR's responseType asks, not as text
+        const { bodyEncoding, headers } = mockCheck.response;
+        const replay = bodyEncoding === 'base64'
+          ? await createXHRResponse(xhr.responseType, mockBody(mockCheck.response), headers)
+          : null;
+
         // Simulate XHR lifecycle for mocked request
-        simulateMockedXHR(xhr, xhrInfo.mockResponse);
+        simulateMockedXHR(xhr, xhrInfo.mockResponse, mockCheck.delay || 0, replay);
         return;
       }
 
-      // Not mocked, proceed with original send
+      // Not mocked, proceed with original send; chaos mode may still delay it
+      if (mockCheck.delay > 0) {
+        await waitForDelay(mockCheck.delay, null);
+      }
+
+      if (mockCheck.rewrite) {
+        const { url, method, headers, body: newBody } = mockCheck.rewrite;
+        console.log(`[Mock your APIs] Rewriting XHR ${xhrInfo.method} ${xhrInfo.url} to ${method} ${url}`);
+
+        // Reopening clears the request headers, so the rewritten set is applied afresh.
+        // It also fires a readystatechange the page never caused; a capturing listener on the
+        // XHR itself runs before the page's listeners and onreadystatechange, and stops it.
+        const suppress = (event) => event.stopImmediatePropagation();
+        xhr.addEventListener('readystatechange', suppress, true);
+        try {
+          originalOpen(method, url, xhrInfo.async, xhrInfo.user, xhrInfo.password);
+        } finally {
+          xhr.removeEventListener('readystatechange', suppress, true);
+        }
+        Object.entries(headers).forEach(([name, value]) => originalSetRequestHeader(name, value));
+        return originalSend(['GET', 'HEAD'].includes(method) ? null : newBody !== null ? newBody : body);
+      }
+
+      if (mockCheck.modify) {
+        xhrInfo.mocked = true;
+        modifyXHR(xhr, xhrInfo, body, mockCheck.modify);
+        return;
+      }
       return originalSend(body);
     };
 
@@ -188,11 +537,161 @@
   window.XMLHttpRequest.LOADING = 3;
   window.XMLHttpRequest.DONE = 4;
 
+  /**
+   * Make an XHR's real request with fetch, then replay the modified response on the XHR
+   * The response has to be complete before the page sees any of it, which the native
+   * XHR can't provide.
+   */
+  async function modifyXHR(xhr, xhrInfo, body, modify) {
+    const label = `XHR ${xhrInfo.method} ${xhrInfo.url}`;
+    let mockResponse;
+    let replay;
+
+    // The fetch stands in for the native request, so abort() and the XHR timeout stop it
+    // and end the XHR as they would a native one
+    const controller = new AbortController();
+    let ended = false;
+    const end = (type) => {
+      if (ended) return;
+      ended = true;
+      controller.abort();
+      failXHR(xhr, type);
+    };
+    xhr.abort = () => end('abort');
+    const timer = xhr.timeout > 0 ? setTimeout(() => end('timeout'), xhr.timeout) : null;
+
+    try {
+      const realResponse = await originalFetch(xhrInfo.originalUrl || xhrInfo.url, {
+        method: xhrInfo.method,
+        headers: xhrInfo.headers,
+        body: ['GET', 'HEAD'].includes(xhrInfo.method) ? undefined : body,
+        credentials: xhr.withCredentials ? 'include' : 'same-origin',
+        signal: controller.signal
+      });
+
+      const headers = {};
+      realResponse.headers.forEach((value, key) => {
+        headers[key] = value;
+      });
+      // The raw bytes, so binary bodies reach the page unchanged
+      const blob = await realResponse.blob();
+      const realInfo = {
+        status: realResponse.status,
+        statusText: realResponse.statusText,
+        headers,
+        body: modify.needsBody ? await blob.text() : null
+      };
+
+      const modified = await transformResponse(modify, realInfo, label);
+      mockResponse = modified || realInfo;
+      // Only a transform that changed the body replaces the real one
+      const content = modified && modify.needsBody ? modified.body : blob;
+      replay = {
+        ...(await createXHRResponse(xhr.responseType, content, mockResponse.headers)),
+        responseURL: realResponse.url
+      };
+    } catch (e) {
+      mockResponse = { failure: 'network-error' };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (ended) return;
+    simulateMockedXHR(xhr, mockResponse, 0, replay);
+  }
+
+  /**
+   * End an XHR without a response, as the browser does for errors, timeouts and aborts
+   * @param {string} type - Event to fire: "error", "timeout" or "abort"
+   */
+  function failXHR(xhr, type) {
+    const defineReadOnly = (prop, value) => {
+      Object.defineProperty(xhr, prop, {
+        get: () => value,
+        configurable: true
+      });
+    };
+    const fireEvent = (eventType) => {
+      try {
+        xhr.dispatchEvent(eventType === 'readystatechange' ? new Event(eventType) : new ProgressEvent(eventType));
+      } catch (e) {
+        // Ignore if dispatchEvent fails
+      }
+    };
+
+    defineReadOnly('status', 0);
+    defineReadOnly('statusText', '');
+    defineReadOnly('response', '');
+    defineReadOnly('responseText', '');
+    xhr.getAllResponseHeaders = () => '';
+    xhr.getResponseHeader = () => null;
+
+    defineReadOnly('readyState', 4);
+    fireEvent('readystatechange');
+    fireEvent(type);
+    fireEvent('loadend');
+
+    // An aborted request is reset to UNSENT without another readystatechange
+    if (type === 'abort') {
+      defineReadOnly('readyState', 0);
+    }
+  }
+
+  /**
+   * Convert a response body to what an XHR with the given responseType exposes
+   * @param {string} responseType - The XHR's responseType
+   * @param {string|Uint8Array|Blob} content - Body text or bytes, or the raw body
+   * @param {Object} headers - Response headers, for the body's MIME type
+   * @returns {Promise<Object>} { response, responseText } where responseText is undefined
+   *   for types whose responseText can't be read
+   */
+  async function createXHRResponse(responseType, content, headers) {
+    const header = Object.entries(headers || {}).find(([name]) => name.toLowerCase() === 'content-type');
+    const contentType = header ? header[1] : '';
+    const blob = content instanceof Blob ? content : new Blob([content || ''], { type: contentType });
+
+    switch (responseType) {
+      case 'arraybuffer':
+        return { response: await blob.arrayBuffer(), responseText: undefined };
+      case 'blob':
+        return { response: blob, responseText: undefined };
+      case 'json': {
+        // An XHR answers an unparseable JSON body with null
+        let response = null;
+        try {
+          response = JSON.parse(await blob.text());
+        } catch (e) {
+          // Keep null
+        }
+        return { response, responseText: undefined };
+      }
+      case 'document': {
+        // Only HTML and XML bodies become documents
+        const mimeType = contentType.split(';')[0].trim().toLowerCase();
+        const parseable = mimeType === 'text/html' || /[/+]xml$/.test(mimeType);
+        const response = parseable
+          ? new DOMParser().parseFromString(await blob.text(), mimeType === 'text/html' ? 'text/html' : 'application/xml')
+          : null;
+        return { response, responseText: undefined };
+      }
+      default: {
+        const text = await blob.text();
+        return { response: text, responseText: text };
+      }
+    }
+  }
+
   /**
    * Simulate XHR lifecycle for mocked requests
+   * The simulated latency is spent between OPENED and HEADERS_RECEIVED.
+   * Failure responses end the request with an error, timeout or abort instead of a load.
+   * @param {Object} replay - For a real response passed on or a binary mock body:
+   *   { response, responseText, responseURL } from createXHRResponse(), used instead of the mock's text body
    */
-  function simulateMockedXHR(xhr, mockResponse) {
-    const { status, statusText, headers, body } = mockResponse;
+  function simulateMockedXHR(xhr, mockResponse, delay = 0, replay = null) {
+    const { status, statusText, headers, body, failure } = mockResponse;
+    const timers = [];
+    let finished = false;
 
     // Create property descriptors for read-only properties
     const defineReadOnly = (obj, prop, value) => {
@@ -202,12 +701,76 @@
       });
     };
 
+    // Dispatching also invokes the matching on* handler
+    const fireEvent = (type) => {
+      const event = type === 'readystatechange' ? new Event(type) : new ProgressEvent(type);
+      try {
+        xhr.dispatchEvent(event);
+      } catch (e) {
+        // Ignore if dispatchEvent fails
+      }
+    };
+
+    const setReadyState = (state) => {
+      defineReadOnly(xhr, 'readyState', state);
+      fireEvent('readystatechange');
+    };
+
+    const schedule = (callback, ms) => {
+      timers.push(setTimeout(() => {
+        if (!finished) callback();
+      }, ms));
+    };
+
+    // End the request without a response, as the browser does for errors, timeouts and aborts
+    const fail = (type) => {
+      if (finished) return;
+      finished = true;
+      timers.forEach(clearTimeout);
+      failXHR(xhr, type);
+    };
+
+    // The native request was never sent, so abort() and timeout have to be simulated too
+    xhr.abort = () => fail('abort');
+    if (xhr.timeout > 0) {
+      schedule(() => fail('timeout'), xhr.timeout);
+    }
+
+    // OPENED
+    schedule(() => setReadyState(1), 5);
+
+    if (failure) {
+      if (failure === 'network-error') {
+        schedule(() => fail('error'), 5 + delay);
+      } else if (failure === 'abort') {
+        schedule(() => fail('abort'), 5 + delay);
+      }
+      // A hanging request only ends through abort() or the XHR timeout
+      return;
+    }
+
     // Set up response properties
     defineReadOnly(xhr, 'status', status || 200);
     defineReadOnly(xhr, 'statusText', statusText || 'OK');
-    defineReadOnly(xhr, 'response', body || '');
-    defineReadOnly(xhr, 'responseText', body || '');
-    defineReadOnly(xhr, 'responseURL', '');
+    if (replay) {
+      defineReadOnly(xhr, 'response', replay.response);
+      if (replay.responseText === undefined) {
+        // As with a native XHR, responseText is only readable for text responses
+        Object.defineProperty(xhr, 'responseText', {
+          get: () => {
+            throw new DOMException(`The value is only accessible if the object's 'responseType' is '' or 'text' (was '${xhr.responseType}').`, 'InvalidStateError');
+          },
+          configurable: true
+        });
+      } else {
+        defineReadOnly(xhr, 'responseText', replay.responseText);
+      }
+      defineReadOnly(xhr, 'responseURL', replay.responseURL || '');
+    } else {
+      defineReadOnly(xhr, 'response', body || '');
+      defineReadOnly(xhr, 'responseText', body || '');
+      defineReadOnly(xhr, 'responseURL', '');
+    }
 
     // Build headers string
     let headersStr = '';
@@ -237,48 +800,25 @@
       return null;
     };
 
-    // Simulate state changes asynchronously
-    setTimeout(() => {
-      // OPENED
-      defineReadOnly(xhr, 'readyState', 1);
-      if (xhr.onreadystatechange) xhr.onreadystatechange();
-
-      setTimeout(() => {
-        // HEADERS_RECEIVED
-        defineReadOnly(xhr, 'readyState', 2);
-        if (xhr.onreadystatechange) xhr.onreadystatechange();
-
-        setTimeout(() => {
-          // LOADING
-          defineReadOnly(xhr, 'readyState', 3);
-          if (xhr.onreadystatechange) xhr.onreadystatechange();
-
-          setTimeout(() => {
-            // DONE
-            defineReadOnly(xhr, 'readyState', 4);
-            if (xhr.onreadystatechange) xhr.onreadystatechange();
-            
-            // Fire load event
-            if (xhr.onload) {
-              xhr.onload(new ProgressEvent('load'));
-            }
-            
-            // Fire loadend event
-            if (xhr.onloadend) {
-              xhr.onloadend(new ProgressEvent('loadend'));
-            }
-
-            // Dispatch events
-            try {
-              xhr.dispatchEvent(new ProgressEvent('load'));
-              xhr.dispatchEvent(new ProgressEvent('loadend'));
-            } catch (e) {
-              // Ignore if dispatchEvent fails
-            }
-          }, 5);
+    // Simulate the remaining state changes asynchronously
+    schedule(() => {
+      // HEADERS_RECEIVED
+      setReadyState(2);
+
+      schedule(() => {
+        // LOADING
+        setReadyState(3);
+
+        schedule(() => {
+          // DONE
+          finished = true;
+          timers.forEach(clearTimeout);
+          setReadyState(4);
+          fireEvent('load');
+          fireEvent('loadend');
         }, 5);
       }, 5);
-    }, 5);
+    }, 10 + delay);
   }
 
   console.log('[Mock your APIs] Request interceptor loaded');
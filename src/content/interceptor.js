@@ -23,11 +23,11 @@
 
     const { type, payload, requestId } = event.data;
 
-    if (type === 'CHECK_MOCK') {
+    if (type === 'CHECK_MOCK' || type === 'HANDLER_RESULT' || type === 'TRANSFORM_RESPONSE') {
       try {
         // Forward the request to the service worker
         const response = await chrome.runtime.sendMessage({
-          type: 'CHECK_MOCK',
+          type: type,
           payload: payload
         });
 
@@ -6,6 +6,21 @@
 let currentRules = [];
 let editingRuleId = null;
 let statusDropdown = null;
+let draggedRuleId = null;
+let sequenceCounters = {};
+let resourceStates = {};
+let handlerErrors = {};
+const expandedResources = new Set();
+
+// Responses captured while recording, oldest first
+let recordedEntries = [];
+let recordCounter = 0;
+let isRecording = false;
+const MAX_RECORDED_ENTRIES = 200;
+
+// Rules read from an import file
+let bundleRules = [];
+let bundleSchemaVersion = 0;
 
 // DOM Elements
 const elements = {
@@ -24,16 +39,30 @@ const elements = {
   
   // Request
   methodSelect: document.getElementById('methodSelect'),
+  matchModeSelect: document.getElementById('matchModeSelect'),
+  queryModeSelect: document.getElementById('queryModeSelect'),
   urlInput: document.getElementById('urlInput'),
   requestHeadersList: document.getElementById('requestHeadersList'),
   addRequestHeader: document.getElementById('addRequestHeader'),
+  headerConditionsList: document.getElementById('headerConditionsList'),
+  addHeaderCondition: document.getElementById('addHeaderCondition'),
   requestBody: document.getElementById('requestBody'),
+  bodyMatchModeSelect: document.getElementById('bodyMatchModeSelect'),
   
   // Response
+  failureSelect: document.getElementById('failureSelect'),
   statusDropdownContainer: document.getElementById('statusDropdownContainer'),
+  delayTypeSelect: document.getElementById('delayTypeSelect'),
+  delayMs: document.getElementById('delayMs'),
+  delayMin: document.getElementById('delayMin'),
+  delayMax: document.getElementById('delayMax'),
+  delayMean: document.getElementById('delayMean'),
+  delayStdDev: document.getElementById('delayStdDev'),
   responseHeadersList: document.getElementById('responseHeadersList'),
   addResponseHeader: document.getElementById('addResponseHeader'),
   responseBody: document.getElementById('responseBody'),
+  responseSeed: document.getElementById('responseSeed'),
+  responseTemplated: document.getElementById('responseTemplated'),
   formatJson: document.getElementById('formatJson'),
   
   // Actions
@@ -41,6 +70,33 @@ const elements = {
   saveRuleText: document.getElementById('saveRuleText'),
   cancelEdit: document.getElementById('cancelEdit'),
   clearAllRules: document.getElementById('clearAllRules'),
+  resetSequences: document.getElementById('resetSequences'),
+  
+  // Recording
+  recordToggle: document.getElementById('recordToggle'),
+  recordPanel: document.getElementById('recordPanel'),
+  recordFilter: document.getElementById('recordFilter'),
+  recordFetchOnly: document.getElementById('recordFetchOnly'),
+  recordList: document.getElementById('recordList'),
+  recordSelectAll: document.getElementById('recordSelectAll'),
+  createRecordedRules: document.getElementById('createRecordedRules'),
+  clearRecorded: document.getElementById('clearRecorded'),
+  
+  // Export and import
+  exportRules: document.getElementById('exportRules'),
+  importRules: document.getElementById('importRules'),
+  exportPanel: document.getElementById('exportPanel'),
+  exportList: document.getElementById('exportList'),
+  exportSelectAll: document.getElementById('exportSelectAll'),
+  confirmExport: document.getElementById('confirmExport'),
+  cancelExport: document.getElementById('cancelExport'),
+  importPanel: document.getElementById('importPanel'),
+  importFile: document.getElementById('importFile'),
+  importStrategy: document.getElementById('importStrategy'),
+  importSummary: document.getElementById('importSummary'),
+  importList: document.getElementById('importList'),
+  confirmImport: document.getElementById('confirmImport'),
+  cancelImport: document.getElementById('cancelImport'),
   
   // Rules List
   rulesList: document.getElementById('rulesList'),
@@ -52,11 +108,16 @@ document.addEventListener('DOMContentLoaded', init);
 
 async function init() {
   await loadGlobalState();
+  await loadSequenceCounters();
+  await loadResourceStates();
+  await loadHandlerErrors();
   await loadRules();
   setupEventListeners();
   addDefaultResponseHeader();
   setupStorageListener();
   initializeStatusDropdown();
+  updateDelayFields();
+  updateFailureFields();
 }
 
 /**
@@ -82,10 +143,26 @@ function setupStorageListener() {
       
       // Reload rules if they changed
       if (changes.mockRules) {
-        currentRules = changes.mockRules.newValue || [];
+        currentRules = RuleOrder.sort(changes.mockRules.newValue || []);
         renderRulesList();
         updateRuleCount();
       }
+      
+      // Re-render resource state as requests change it
+      if (changes.resourceState) {
+        resourceStates = changes.resourceState.newValue || {};
+        filterRules();
+      }
+    }
+    
+    // Sequence call counters and handler errors live in session storage
+    if (namespace === 'session' && changes.sequenceCounters) {
+      sequenceCounters = changes.sequenceCounters.newValue || {};
+      filterRules();
+    }
+    if (namespace === 'session' && changes.handlerErrors) {
+      handlerErrors = changes.handlerErrors.newValue || {};
+      filterRules();
     }
   });
 }
@@ -99,12 +176,36 @@ async function loadGlobalState() {
   updateToggleLabel();
 }
 
+/**
+ * Load how many times each sequence rule has been called
+ */
+async function loadSequenceCounters() {
+  const response = await sendMessage({ type: 'GET_SEQUENCE_COUNTERS' });
+  sequenceCounters = response.counters || {};
+}
+
+/**
+ * Load the stored items of the resource rules
+ */
+async function loadResourceStates() {
+  const response = await sendMessage({ type: 'GET_RESOURCE_STATE' });
+  resourceStates = response.states || {};
+}
+
+/**
+ * Load the last error of each rule's response handler
+ */
+async function loadHandlerErrors() {
+  const response = await sendMessage({ type: 'GET_HANDLER_ERRORS' });
+  handlerErrors = response.errors || {};
+}
+
 /**
  * Load all rules from storage
  */
 async function loadRules() {
   const response = await sendMessage({ type: 'GET_RULES' });
-  currentRules = response.rules || [];
+  currentRules = RuleOrder.sort(response.rules || []);
   renderRulesList();
   updateRuleCount();
 }
@@ -151,10 +252,22 @@ function setupEventListeners() {
   // Add headers
   elements.addRequestHeader.addEventListener('click', () => addHeaderRow('requestHeadersList'));
   elements.addResponseHeader.addEventListener('click', () => addHeaderRow('responseHeadersList'));
+  elements.addHeaderCondition.addEventListener('click', () => addConditionRow('headerConditionsList'));
   
   // Format JSON
   elements.formatJson.addEventListener('click', formatResponseJson);
   
+  // Path templates match any query string unless the query mode was chosen
+  elements.matchModeSelect.addEventListener('change', () => {
+    if (elements.queryModeSelect.value !== QUERY_MATCH_MODES.SUBSET) {
+      elements.queryModeSelect.value = UrlMatcher.defaultQueryMode(elements.matchModeSelect.value);
+    }
+  });
+  
+  // Delay type and outcome
+  elements.delayTypeSelect.addEventListener('change', updateDelayFields);
+  elements.failureSelect.addEventListener('change', updateFailureFields);
+  
   // Save rule
   elements.saveRule.addEventListener('click', saveRule);
   
@@ -164,6 +277,33 @@ function setupEventListeners() {
   // Clear all rules
   elements.clearAllRules.addEventListener('click', clearAllRules);
   
+  // Reset all response sequences
+  elements.resetSequences.addEventListener('click', () => resetSequences());
+  
+  // Record real responses from the inspected page
+  elements.recordToggle.addEventListener('click', toggleRecording);
+  elements.recordSelectAll.addEventListener('change', selectAllRecorded);
+  elements.createRecordedRules.addEventListener('click', createRecordedRules);
+  elements.clearRecorded.addEventListener('click', clearRecorded);
+  chrome.devtools.network.onRequestFinished.addListener(recordRequest);
+  
+  // Share rules as files
+  elements.exportRules.addEventListener('click', openExportPanel);
+  elements.exportList.addEventListener('change', updateExportActions);
+  elements.exportSelectAll.addEventListener('change', () => {
+    elements.exportList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = elements.exportSelectAll.checked;
+    });
+    updateExportActions();
+  });
+  elements.confirmExport.addEventListener('click', exportRules);
+  elements.cancelExport.addEventListener('click', () => elements.exportPanel.classList.remove('show'));
+  elements.importRules.addEventListener('click', openImportPanel);
+  elements.importFile.addEventListener('change', loadImportFile);
+  elements.importStrategy.addEventListener('change', renderImportPreview);
+  elements.confirmImport.addEventListener('click', importRules);
+  elements.cancelImport.addEventListener('click', closeImportPanel);
+  
   // Search rules
   elements.searchRules.addEventListener('input', filterRules);
   
@@ -234,15 +374,24 @@ function clearForm() {
   elements.ruleName.value = '';
   elements.curlInput.value = '';
   elements.methodSelect.value = 'GET';
+  elements.matchModeSelect.value = 'exact';
+  elements.queryModeSelect.value = 'exact';
   elements.urlInput.value = '';
   elements.requestHeadersList.innerHTML = '';
+  elements.headerConditionsList.innerHTML = '';
   elements.requestBody.value = '';
+  elements.bodyMatchModeSelect.value = 'none';
   if (statusDropdown) {
     statusDropdown.setValue(200);
   }
+  populateDelayFields(null);
+  elements.failureSelect.value = '';
+  updateFailureFields();
   elements.responseHeadersList.innerHTML = '';
   addDefaultResponseHeader();
   elements.responseBody.value = '';
+  elements.responseSeed.value = '';
+  elements.responseTemplated.checked = true;
   
   // Reset edit state
   editingRuleId = null;
@@ -267,6 +416,93 @@ function addHeaderRow(listId, key = '', value = '') {
   list.appendChild(row);
 }
 
+/**
+ * Add a header condition row to the specified list
+ */
+function addConditionRow(listId, condition = {}) {
+  const list = document.getElementById(listId);
+  const operator = condition.operator || 'equals';
+  const row = document.createElement('div');
+  row.className = 'key-value-row condition-row';
+  row.innerHTML = `
+    <input type="text" class="form-input header-key" placeholder="Header name" value="${escapeHtml(condition.name || '')}">
+    <select class="form-select condition-operator">
+      <option value="equals">Equals</option>
+      <option value="contains">Contains</option>
+      <option value="regex">Matches regex</option>
+      <option value="present">Is present</option>
+      <option value="absent">Is absent</option>
+    </select>
+    <input type="text" class="form-input header-value" placeholder="Value" value="${escapeHtml(condition.value || '')}">
+    <button class="btn btn-ghost btn-icon remove-header" title="Remove">×</button>
+  `;
+  
+  const operatorSelect = row.querySelector('.condition-operator');
+  const valueInput = row.querySelector('.header-value');
+  const updateValueVisibility = () => {
+    valueInput.style.visibility = ['present', 'absent'].includes(operatorSelect.value) ? 'hidden' : 'visible';
+  };
+  operatorSelect.value = operator;
+  operatorSelect.addEventListener('change', updateValueVisibility);
+  updateValueVisibility();
+  
+  row.querySelector('.remove-header').addEventListener('click', () => row.remove());
+  list.appendChild(row);
+}
+
+/**
+ * Hide the status, headers and body inputs when the rule simulates a network failure
+ */
+function updateFailureFields() {
+  const isFailure = Boolean(elements.failureSelect.value);
+  document.querySelectorAll('.editor-panel .response-only').forEach(field => {
+    field.style.display = isFailure ? 'none' : '';
+  });
+}
+
+/**
+ * Show the delay inputs used by the selected delay type
+ */
+function updateDelayFields() {
+  const type = elements.delayTypeSelect.value;
+  document.querySelectorAll('.editor-panel .delay-field').forEach(field => {
+    field.style.display = field.dataset.delayTypes.split(' ').includes(type) ? '' : 'none';
+  });
+}
+
+/**
+ * Fill the delay inputs from a rule's delay setting
+ */
+function populateDelayFields(delay) {
+  const value = (field) => (delay && delay[field] !== undefined ? delay[field] : '');
+  elements.delayTypeSelect.value = delay ? delay.type : 'none';
+  elements.delayMs.value = value('ms');
+  elements.delayMin.value = value('min');
+  elements.delayMax.value = value('max');
+  elements.delayMean.value = value('mean');
+  elements.delayStdDev.value = value('stdDev');
+  updateDelayFields();
+}
+
+/**
+ * Read the delay setting from the delay inputs
+ * @returns {Object|null} Delay setting, or null for no delay
+ */
+function collectDelay() {
+  const type = elements.delayTypeSelect.value;
+  switch (type) {
+    case 'fixed':
+      return { type, ms: parseFloat(elements.delayMs.value) };
+    case 'range':
+    case 'longtail':
+      return { type, min: parseFloat(elements.delayMin.value), max: parseFloat(elements.delayMax.value) };
+    case 'normal':
+      return { type, mean: parseFloat(elements.delayMean.value), stdDev: parseFloat(elements.delayStdDev.value) };
+    default:
+      return null;
+  }
+}
+
 /**
  * Add default Content-Type header for response
  */
@@ -293,6 +529,8 @@ function formatResponseJson() {
 async function saveRule() {
   const url = elements.urlInput.value.trim();
   const method = elements.methodSelect.value;
+  const matchMode = elements.matchModeSelect.value;
+  const queryMode = elements.queryModeSelect.value;
   const name = elements.ruleName.value.trim();
   
   if (!url) {
@@ -300,6 +538,12 @@ async function saveRule() {
     return;
   }
   
+  const urlError = UrlMatcher.validate(url, matchMode);
+  if (urlError) {
+    showNotification(urlError, 'error');
+    return;
+  }
+  
   // Collect request headers
   const requestHeaders = {};
   elements.requestHeadersList.querySelectorAll('.key-value-row').forEach(row => {
@@ -310,6 +554,37 @@ async function saveRule() {
     }
   });
   
+  // Collect header conditions
+  const headerConditions = [];
+  elements.headerConditionsList.querySelectorAll('.condition-row').forEach(row => {
+    const conditionName = row.querySelector('.header-key').value.trim();
+    const operator = row.querySelector('.condition-operator').value;
+    const value = row.querySelector('.header-value').value;
+    if (conditionName) {
+      headerConditions.push({ name: conditionName, operator, value: ['present', 'absent'].includes(operator) ? '' : value });
+    }
+  });
+  
+  const conditionsError = RequestMatcher.validateHeaderConditions(headerConditions);
+  if (conditionsError) {
+    showNotification(conditionsError, 'error');
+    return;
+  }
+  
+  const bodyMatchMode = elements.bodyMatchModeSelect.value;
+  const bodyError = RequestMatcher.validateBody(bodyMatchMode, elements.requestBody.value);
+  if (bodyError) {
+    showNotification(bodyError, 'error');
+    return;
+  }
+  
+  const delay = collectDelay();
+  const delayError = Latency.validate(delay);
+  if (delayError) {
+    showNotification(delayError, 'error');
+    return;
+  }
+  
   // Collect response headers
   const responseHeaders = {};
   elements.responseHeadersList.querySelectorAll('.key-value-row').forEach(row => {
@@ -320,6 +595,15 @@ async function saveRule() {
     }
   });
   
+  const templated = elements.responseTemplated.checked;
+  const templateError = templated && [elements.responseBody.value, ...Object.values(responseHeaders)]
+    .map(text => TemplateEngine.validate(text))
+    .find(Boolean);
+  if (templateError) {
+    showNotification(templateError, 'error');
+    return;
+  }
+  
   // Get status from dropdown and validate
   let statusValue;
   
@@ -355,20 +639,38 @@ async function saveRule() {
   
   const ruleData = {
     name: name || null,
+    templated,
     request: {
       url,
+      matchMode,
+      queryMode,
       method,
       headers: requestHeaders,
+      headerConditions,
       body: elements.requestBody.value || null,
+      bodyMatchMode,
     },
     response: {
       status: statusValue.code,
       statusText: statusValue.text,
       headers: responseHeaders,
       body: elements.responseBody.value || '',
+      delay,
+      failure: elements.failureSelect.value || null,
+      seed: elements.responseSeed.value.trim() || null,
     },
   };
   
+  // The panel edits only the first response of a sequence; keep its weight
+  const editingRule = editingRuleId && currentRules.find(r => r.id === editingRuleId);
+  if (editingRule && typeof editingRule.response.weight === 'number') {
+    ruleData.response.weight = editingRule.response.weight;
+  }
+  // A binary body is edited as its base64 text
+  if (editingRule && editingRule.response.bodyEncoding) {
+    ruleData.response.bodyEncoding = editingRule.response.bodyEncoding;
+  }
+  
   try {
     if (editingRuleId) {
       // Update existing rule
@@ -412,6 +714,389 @@ async function clearAllRules() {
   }
 }
 
+/**
+ * Restart response sequences from their first response
+ * @param {string} [ruleId] - Rule to reset; all rules when omitted
+ */
+async function resetSequences(ruleId) {
+  try {
+    await sendMessage({ type: 'RESET_SEQUENCES', payload: ruleId ? { id: ruleId } : null });
+    await loadSequenceCounters();
+    filterRules();
+    showNotification(ruleId ? 'Sequence reset' : 'All sequences reset', 'success');
+  } catch (error) {
+    showNotification(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Reset a resource rule's collection to its seed data
+ */
+async function resetResource(ruleId) {
+  try {
+    await sendMessage({ type: 'RESET_RESOURCE', payload: { id: ruleId } });
+    await loadResourceStates();
+    filterRules();
+    showNotification('Resource reset to its seed data', 'success');
+  } catch (error) {
+    showNotification(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Clear a handler rule's state and last error
+ */
+async function resetHandlerState(ruleId) {
+  try {
+    await sendMessage({ type: 'RESET_HANDLER_STATE', payload: { id: ruleId } });
+    await loadHandlerErrors();
+    filterRules();
+    showNotification('Handler state reset', 'success');
+  } catch (error) {
+    showNotification(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Start or stop recording network traffic
+ */
+function toggleRecording() {
+  isRecording = !isRecording;
+  elements.recordToggle.textContent = isRecording ? '■ Stop' : '● Record';
+  elements.recordToggle.classList.toggle('recording', isRecording);
+  renderRecordedEntries();
+}
+
+/**
+ * Capture a finished request from the Network panel if it passes the filters
+ */
+function recordRequest(entry) {
+  if (!isRecording) return;
+  
+  const { url } = entry.request;
+  if (!/^https?:/i.test(url)) return;
+  if (elements.recordFetchOnly.checked && !['fetch', 'xhr'].includes(entry._resourceType)) return;
+  
+  const filter = elements.recordFilter.value.trim().toLowerCase();
+  if (filter && !url.toLowerCase().includes(filter)) return;
+  
+  entry.getContent((content, encoding) => {
+    // Binary bodies are kept base64 encoded; a body that can't be read is listed but can't be selected
+    const body = HarConverter.contentOf(content, encoding, entry.response.content.mimeType);
+    recordedEntries.push({ id: ++recordCounter, entry, body, selected: false });
+    if (recordedEntries.length > MAX_RECORDED_ENTRIES) {
+      recordedEntries.shift();
+    }
+    renderRecordedEntries();
+  });
+}
+
+/**
+ * Render the recorded requests
+ */
+function renderRecordedEntries() {
+  elements.recordPanel.classList.toggle('show', isRecording || recordedEntries.length > 0);
+  
+  if (recordedEntries.length === 0) {
+    elements.recordList.innerHTML = `
+      <div class="record-empty">${isRecording ? 'Recording… use the page to capture its requests' : 'Nothing recorded'}</div>
+    `;
+  } else {
+    elements.recordList.innerHTML = recordedEntries.map(({ id, entry, body, selected }) => `
+      <label class="record-entry ${body === null ? 'disabled' : ''}" title="${escapeHtml(entry.request.url)}">
+        <input type="checkbox" data-record-id="${id}" ${selected ? 'checked' : ''} ${body === null ? 'disabled' : ''}>
+        <span class="rule-method method-${entry.request.method.toLowerCase()}">${escapeHtml(entry.request.method)}</span>
+        <span class="rule-status status-${getStatusClass(entry.response.status)}">${entry.response.status}</span>
+        <span class="record-url">${escapeHtml(entry.request.url)}</span>
+        ${body === null ? '<span class="record-note">no body</span>' : ''}
+        ${body && body.bodyEncoding ? '<span class="record-note">binary</span>' : ''}
+      </label>
+    `).join('');
+    
+    elements.recordList.querySelectorAll('input[data-record-id]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const recorded = recordedEntries.find(item => item.id === Number(checkbox.dataset.recordId));
+        if (recorded) recorded.selected = checkbox.checked;
+        updateRecordActions();
+      });
+    });
+    
+    // Keep the newest request in view
+    elements.recordList.scrollTop = elements.recordList.scrollHeight;
+  }
+  
+  updateRecordActions();
+}
+
+/**
+ * Update the create button and the select-all checkbox for the current selection
+ */
+function updateRecordActions() {
+  const selectable = recordedEntries.filter(item => item.body !== null);
+  const selected = selectable.filter(item => item.selected).length;
+  
+  elements.createRecordedRules.textContent = selected > 0 ? `Create Rules (${selected})` : 'Create Rules';
+  elements.createRecordedRules.disabled = selected === 0;
+  elements.recordSelectAll.checked = selectable.length > 0 && selected === selectable.length;
+}
+
+/**
+ * Select or deselect every recorded request that can become a rule
+ */
+function selectAllRecorded() {
+  recordedEntries.forEach(item => {
+    item.selected = item.body !== null && elements.recordSelectAll.checked;
+  });
+  renderRecordedEntries();
+}
+
+/**
+ * Turn the selected recorded requests into mock rules
+ */
+async function createRecordedRules() {
+  const selected = recordedEntries.filter(item => item.selected && item.body !== null);
+  if (selected.length === 0) return;
+  
+  // Created entries leave the list, so a failure part way through can be retried
+  const created = [];
+  try {
+    for (const item of selected) {
+      await sendMessage({ type: 'ADD_RULE', payload: HarConverter.toRule(item.entry, item.body) });
+      created.push(item);
+    }
+    showNotification(`Created ${created.length} rule${created.length === 1 ? '' : 's'} from recorded traffic`, 'success');
+  } catch (error) {
+    showNotification(`Error: ${error.message}`, 'error');
+  }
+  
+  recordedEntries = recordedEntries.filter(item => !created.includes(item));
+  renderRecordedEntries();
+}
+
+/**
+ * Discard the recorded requests
+ */
+function clearRecorded() {
+  recordedEntries = [];
+  renderRecordedEntries();
+}
+
+/**
+ * Render a rule as a line of the export and import lists
+ */
+function createRuleEntry(rule, { checkbox = '', note = '', isConflict = false } = {}) {
+  const methodLabel = rule.type === 'graphql' ? 'GQL' : rule.type === 'resource' ? 'REST' : rule.request.method;
+  const methodClass = rule.type === 'graphql' ? 'method-graphql' : rule.type === 'resource' ? 'method-resource' : `method-${rule.request.method.toLowerCase()}`;
+  
+  return `
+    <label class="record-entry" title="${escapeHtml(rule.name || rule.request.url)}">
+      ${checkbox}
+      <span class="rule-method ${methodClass}">${escapeHtml(methodLabel)}</span>
+      <span class="record-url">${escapeHtml(rule.request.url)}</span>
+      ${note ? `<span class="record-note ${isConflict ? 'conflict' : ''}">${escapeHtml(note)}</span>` : ''}
+    </label>
+  `;
+}
+
+/**
+ * Show the export list with every rule checked
+ */
+function openExportPanel() {
+  closeImportPanel();
+  
+  elements.exportList.innerHTML = currentRules.length === 0
+    ? '<div class="record-empty">No rules to export</div>'
+    : currentRules.map(rule => createRuleEntry(rule, {
+      checkbox: `<input type="checkbox" value="${escapeHtml(rule.id)}" checked>`,
+    })).join('');
+  
+  updateExportActions();
+  elements.exportPanel.classList.add('show');
+}
+
+/**
+ * Get the rules checked for export
+ */
+function getExportSelection() {
+  const ids = new Set([...elements.exportList.querySelectorAll('input:checked')].map(checkbox => checkbox.value));
+  return currentRules.filter(rule => ids.has(rule.id));
+}
+
+function updateExportActions() {
+  const count = getExportSelection().length;
+  elements.exportSelectAll.checked = count > 0 && count === currentRules.length;
+  elements.confirmExport.disabled = count === 0;
+  elements.confirmExport.textContent = count > 0 ? `Export (${count})` : 'Export';
+}
+
+/**
+ * Download the checked rules as a rules file
+ */
+async function exportRules() {
+  const ids = new Set(getExportSelection().map(rule => rule.id));
+  if (ids.size === 0) return;
+  
+  // The rule list leaves out large bodies
+  let rules;
+  try {
+    const response = await sendMessage({ type: 'GET_RULES', payload: { withBodies: true } });
+    rules = response.rules.filter(rule => ids.has(rule.id));
+  } catch (error) {
+    console.error('Error exporting rules:', error);
+    showNotification(`Error: ${error.message}`, 'error');
+    return;
+  }
+  
+  const manifest = chrome.runtime.getManifest();
+  const bundle = RuleBundle.create(rules, { name: manifest.name, version: manifest.version });
+  const url = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `mock-rules-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  
+  elements.exportPanel.classList.remove('show');
+  showNotification(`Exported ${rules.length} rule${rules.length === 1 ? '' : 's'}`, 'success');
+}
+
+/**
+ * Show the import controls
+ */
+function openImportPanel() {
+  elements.exportPanel.classList.remove('show');
+  bundleRules = [];
+  elements.importFile.value = '';
+  elements.importStrategy.value = IMPORT_STRATEGIES.MERGE;
+  renderImportPreview();
+  elements.importPanel.classList.add('show');
+}
+
+function closeImportPanel() {
+  elements.importPanel.classList.remove('show');
+  bundleRules = [];
+}
+
+/**
+ * Read the chosen rules file
+ */
+async function loadImportFile() {
+  const file = elements.importFile.files[0];
+  if (!file) return;
+  
+  try {
+    const bundle = RuleBundle.parse(await file.text());
+    bundleRules = bundle.rules;
+    bundleSchemaVersion = bundle.schemaVersion;
+  } catch (error) {
+    bundleRules = [];
+    showNotification(error.message, 'error');
+  }
+  
+  renderImportPreview();
+}
+
+/**
+ * Show what the import would do to each rule, including conflicts with existing rules
+ */
+function renderImportPreview() {
+  const plan = RuleBundle.plan(currentRules, bundleRules, elements.importStrategy.value);
+  const counts = RuleBundle.summarize(plan);
+  
+  elements.importSummary.textContent = bundleRules.length === 0 ? '' : [
+    `${counts.add} to add`,
+    counts.replace > 0 ? `${counts.replace} to replace` : '',
+    counts.skip > 0 ? `${counts.skip} to skip` : '',
+    counts.removed > 0 ? `all ${counts.removed} existing rules deleted` : '',
+  ].filter(Boolean).join(', ');
+  
+  elements.importList.innerHTML = bundleRules.length === 0
+    ? '<div class="record-empty">Choose a rules file exported from this extension</div>'
+    : plan.entries.map(entry => createRuleEntry(entry.rule, {
+      note: RuleBundle.describeEntry(entry),
+      isConflict: Boolean(entry.conflict),
+    })).join('');
+  
+  const changes = counts.add + counts.replace;
+  elements.confirmImport.disabled = changes === 0;
+  elements.confirmImport.textContent = changes > 0 ? `Import (${changes})` : 'Import';
+}
+
+/**
+ * Import the rules file with the chosen strategy
+ */
+async function importRules() {
+  const strategy = elements.importStrategy.value;
+  if (bundleRules.length === 0) return;
+  
+  if (strategy === IMPORT_STRATEGIES.REPLACE && currentRules.length > 0 &&
+      !confirm(`Delete all ${currentRules.length} existing rules and import ${bundleRules.length}?`)) {
+    return;
+  }
+  
+  try {
+    const result = await sendMessage({ type: 'IMPORT_RULES', payload: { rules: bundleRules, strategy, schemaVersion: bundleSchemaVersion } });
+    await loadRules();
+    closeImportPanel();
+    showNotification(`Imported ${result.add + result.replace} rule${result.add + result.replace === 1 ? '' : 's'}` +
+      (result.skip > 0 ? `, skipped ${result.skip}` : ''), 'success');
+  } catch (error) {
+    showNotification(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Check whether a rule's response comes from a handler function
+ */
+function isHandlerRule(rule) {
+  return rule.type !== 'resource' && Boolean(rule.handler);
+}
+
+/**
+ * Check whether a rule changes the real response instead of mocking it
+ */
+function isModifyRule(rule) {
+  return rule.type !== 'resource' && !rule.handler && Boolean(rule.transform);
+}
+
+/**
+ * Check whether a rule sends a changed request to the network instead of mocking it
+ */
+function isRewriteRule(rule) {
+  return rule.type !== 'resource' && !rule.handler && !rule.transform && Boolean(rule.rewrite);
+}
+
+/**
+ * Show or hide a resource rule's stored items
+ */
+function toggleResourceState(ruleId) {
+  if (!expandedResources.delete(ruleId)) {
+    expandedResources.add(ruleId);
+  }
+  filterRules();
+}
+
+/**
+ * Get a resource rule's current items; unused resources still hold their seed data
+ */
+function getResourceItems(rule) {
+  const state = resourceStates[rule.id] || ResourceStore.createState(rule.resource);
+  return state.items;
+}
+
+/**
+ * Describe where a sequence rule is, e.g. "step 2/3"
+ */
+function getSequenceProgress(rule) {
+  if (ResponseSequence.isWeighted(rule)) {
+    return `weighted, ${sequenceCounters[rule.id] || 0} calls`;
+  }
+  
+  const steps = ResponseSequence.steps(rule).length;
+  const step = ResponseSequence.stepIndex(rule, sequenceCounters[rule.id] || 0);
+  return step === null ? `passthrough (${steps} served)` : `step ${step + 1}/${steps}`;
+}
+
 /**
  * Render the rules list
  */
@@ -427,26 +1112,70 @@ function renderRulesList(rules = currentRules) {
     return;
   }
   
+  // Priority and shadowing are relative to all rules, not just the filtered ones
+  const shadowedRules = RuleOrder.findShadowed(currentRules);
+  const priorityOf = (rule) => currentRules.indexOf(rule) + 1;
+  
   elements.rulesList.innerHTML = rules.map(rule => `
-    <div class="rule-card ${rule.enabled ? '' : 'disabled'}" data-rule-id="${rule.id}">
+    <div class="rule-card ${rule.enabled ? '' : 'disabled'}" data-rule-id="${rule.id}" draggable="true">
       ${rule.name ? `<div class="rule-name">${escapeHtml(rule.name)}</div>` : ''}
       <div class="rule-header">
-        <div class="rule-method method-${rule.request.method.toLowerCase()}">${rule.request.method}</div>
+        <span class="drag-handle" title="Drag to change priority">⋮⋮</span>
+        <span class="rule-priority" title="Rules are checked in this order; the first match wins">#${priorityOf(rule)}</span>
+        ${rule.type === 'graphql'
+          ? '<div class="rule-method method-graphql">GQL</div>'
+          : rule.type === 'resource'
+            ? '<div class="rule-method method-resource">REST</div>'
+            : `<div class="rule-method method-${rule.request.method.toLowerCase()}">${rule.request.method}</div>`}
+        ${rule.request.matchMode && rule.request.matchMode !== 'exact' ? `<span class="match-mode-badge">${escapeHtml(rule.request.matchMode)}</span>` : ''}
         <div class="rule-url" title="${escapeHtml(rule.request.url)}">${truncateUrl(rule.request.url)}</div>
         <label class="toggle-switch toggle-sm">
           <input type="checkbox" class="rule-toggle" ${rule.enabled ? 'checked' : ''}>
           <span class="toggle-slider"></span>
         </label>
       </div>
+      ${shadowedRules.has(rule.id) ? `
+        <div class="rule-warning">
+          ⚠ Never matches: shadowed by #${priorityOf(shadowedRules.get(rule.id))} ${escapeHtml(shadowedRules.get(rule.id).name || shadowedRules.get(rule.id).request.url)}
+        </div>
+      ` : ''}
+      ${isHandlerRule(rule) && handlerErrors[rule.id] ? `
+        <div class="rule-warning" title="${escapeHtml(handlerErrors[rule.id].message)}">
+          ⚠ Handler error at ${new Date(handlerErrors[rule.id].at).toLocaleTimeString()}: ${escapeHtml(handlerErrors[rule.id].message)}
+        </div>
+      ` : ''}
       <div class="rule-details">
-        <span class="rule-status status-${getStatusClass(rule.response.status)}">
+        ${rule.type === 'resource'
+          ? `<span class="rule-resource" title="Items currently in the collection">🗃 ${getResourceItems(rule).length} items</span>`
+          : isHandlerRule(rule)
+          ? '<span class="rule-handler" title="Response built by a handler function">ƒ handler</span>'
+          : isModifyRule(rule)
+          ? `<span class="rule-modify" title="Changes the real response">✎ ${escapeHtml(ResponseTransform.describe(rule.transform))}</span>`
+          : isRewriteRule(rule)
+          ? `<span class="rule-rewrite" title="Sends a changed request to the network">↪ ${escapeHtml(RequestRewrite.describe(rule.rewrite))}</span>`
+          : rule.response.failure
+          ? `<span class="rule-status status-failure">${getFailureLabel(rule.response.failure)}</span>`
+          : `<span class="rule-status status-${getStatusClass(rule.response.status)}">
           ${rule.response.status} ${rule.response.statusText}
-        </span>
+        </span>`}
+        ${!isModifyRule(rule) && !isRewriteRule(rule) && rule.response.delay ? `<span class="rule-delay" title="Response delay">⏱ ${escapeHtml(Latency.describe(rule.response.delay))}</span>` : ''}
+        ${!isHandlerRule(rule) && ResponseSequence.isSequence(rule) ? `<span class="rule-sequence" title="Response served on the next call">⇢ ${getSequenceProgress(rule)}</span>` : ''}
         <span class="rule-date">${formatDate(rule.createdAt)}</span>
       </div>
+      ${rule.type === 'resource' && expandedResources.has(rule.id)
+        ? `<pre class="resource-state">${escapeHtml(JSON.stringify(getResourceItems(rule), null, 2))}</pre>`
+        : ''}
       <div class="rule-actions">
-        <button class="btn btn-ghost btn-sm edit-rule">Edit</button>
+        ${rule.type === 'resource'
+          ? `<button class="btn btn-ghost btn-sm toggle-resource-state">${expandedResources.has(rule.id) ? 'Hide State' : 'State'}</button>
+        <button class="btn btn-ghost btn-sm reset-resource" title="Restore the seed data">Reset</button>`
+          : isHandlerRule(rule)
+          ? '<button class="btn btn-ghost btn-sm reset-handler" title="Clear ctx.state and the last error">Reset</button>'
+          : isModifyRule(rule) || isRewriteRule(rule)
+          ? ''
+          : '<button class="btn btn-ghost btn-sm edit-rule">Edit</button>'}
         <button class="btn btn-ghost btn-sm duplicate-rule">Duplicate</button>
+        ${ResponseSequence.isSequence(rule) ? '<button class="btn btn-ghost btn-sm reset-sequence">Reset</button>' : ''}
         <button class="btn btn-ghost btn-sm delete-rule">Delete</button>
       </div>
     </div>
@@ -462,12 +1191,71 @@ function renderRulesList(rules = currentRules) {
       await loadRules();
     });
     
-    card.querySelector('.edit-rule').addEventListener('click', () => editRule(ruleId));
+    // Resource, handler, modify and rewrite rules are edited in the Rules Editor
+    card.querySelector('.edit-rule')?.addEventListener('click', () => editRule(ruleId));
+    card.querySelector('.toggle-resource-state')?.addEventListener('click', () => toggleResourceState(ruleId));
+    card.querySelector('.reset-resource')?.addEventListener('click', () => resetResource(ruleId));
+    card.querySelector('.reset-handler')?.addEventListener('click', () => resetHandlerState(ruleId));
     card.querySelector('.duplicate-rule').addEventListener('click', () => duplicateRule(ruleId));
     card.querySelector('.delete-rule').addEventListener('click', () => deleteRule(ruleId));
+    card.querySelector('.reset-sequence')?.addEventListener('click', () => resetSequences(ruleId));
+    
+    setupCardDragAndDrop(card, ruleId);
+  });
+}
+
+/**
+ * Make a rule card draggable to change rule priority
+ */
+function setupCardDragAndDrop(card, ruleId) {
+  card.addEventListener('dragstart', (e) => {
+    draggedRuleId = ruleId;
+    e.dataTransfer.effectAllowed = 'move';
+    card.classList.add('dragging');
+  });
+  
+  card.addEventListener('dragend', () => {
+    draggedRuleId = null;
+    card.classList.remove('dragging');
+  });
+  
+  card.addEventListener('dragover', (e) => {
+    if (!draggedRuleId || draggedRuleId === ruleId) return;
+    e.preventDefault();
+    card.classList.add('drag-over');
+  });
+  
+  card.addEventListener('dragleave', () => card.classList.remove('drag-over'));
+  
+  card.addEventListener('drop', (e) => {
+    e.preventDefault();
+    card.classList.remove('drag-over');
+    if (draggedRuleId && draggedRuleId !== ruleId) {
+      moveRule(draggedRuleId, ruleId);
+    }
   });
 }
 
+/**
+ * Move a rule to the position of another rule and persist the new order
+ */
+async function moveRule(sourceId, targetId) {
+  const ids = currentRules.map(r => r.id);
+  const from = ids.indexOf(sourceId);
+  const to = ids.indexOf(targetId);
+  if (from === -1 || to === -1) return;
+  
+  ids.splice(from, 1);
+  ids.splice(to, 0, sourceId);
+  
+  try {
+    await sendMessage({ type: 'REORDER_RULES', payload: { ids } });
+    await loadRules();
+  } catch (error) {
+    showNotification(`Error: ${error.message}`, 'error');
+  }
+}
+
 /**
  * Filter rules based on search
  */
@@ -481,6 +1269,7 @@ function filterRules() {
   
   const filtered = currentRules.filter(rule => 
     rule.request.url.toLowerCase().includes(query) ||
+    (rule.graphql?.operationName && rule.graphql.operationName.toLowerCase().includes(query)) ||
     rule.request.method.toLowerCase().includes(query) ||
     (rule.name && rule.name.toLowerCase().includes(query))
   );
@@ -491,15 +1280,24 @@ function filterRules() {
 /**
  * Edit a rule
  */
-function editRule(ruleId) {
-  const rule = currentRules.find(r => r.id === ruleId);
-  if (!rule) return;
+async function editRule(ruleId) {
+  // The rule list leaves out large bodies, so fetch the whole rule
+  let rule;
+  try {
+    ({ rule } = await sendMessage({ type: 'GET_RULE', payload: { id: ruleId } }));
+  } catch (error) {
+    console.error('Error loading rule:', error);
+    showNotification(`Error: ${error.message}`, 'error');
+    return;
+  }
   
   editingRuleId = ruleId;
   
   // Fill form with rule data
   elements.ruleName.value = rule.name || '';
   elements.methodSelect.value = rule.request.method;
+  elements.matchModeSelect.value = rule.request.matchMode || 'exact';
+  elements.queryModeSelect.value = rule.request.queryMode || 'exact';
   elements.urlInput.value = rule.request.url;
   
   // Request headers
@@ -510,13 +1308,24 @@ function editRule(ruleId) {
     }
   }
   
+  // Header conditions
+  elements.headerConditionsList.innerHTML = '';
+  (rule.request.headerConditions || []).forEach(condition => {
+    addConditionRow('headerConditionsList', condition);
+  });
+  
   elements.requestBody.value = rule.request.body || '';
+  elements.bodyMatchModeSelect.value = rule.request.bodyMatchMode || 'none';
   
   // Set status dropdown
   if (statusDropdown) {
     statusDropdown.setValue(rule.response.status);
   }
   
+  populateDelayFields(rule.response.delay);
+  elements.failureSelect.value = rule.response.failure || '';
+  updateFailureFields();
+  
   // Response headers
   elements.responseHeadersList.innerHTML = '';
   if (rule.response.headers) {
@@ -526,6 +1335,8 @@ function editRule(ruleId) {
   }
   
   elements.responseBody.value = rule.response.body || '';
+  elements.responseSeed.value = rule.response.seed || '';
+  elements.responseTemplated.checked = rule.templated === true;
   
   // Update UI
   elements.saveRuleText.textContent = 'Update Rule';
@@ -540,26 +1351,43 @@ function editRule(ruleId) {
  */
 async function duplicateRule(ruleId) {
   try {
-    const rule = currentRules.find(r => r.id === ruleId);
-    if (!rule) {
-      showNotification('Rule not found', 'error');
-      return;
-    }
+    const { rule } = await sendMessage({ type: 'GET_RULE', payload: { id: ruleId } });
     
     // Create a copy of the rule with new ID and updated name
     const duplicatedRule = {
+      type: rule.type,
       name: rule.name ? `${rule.name} (Copy)` : null,
+      templated: rule.templated === true,
       request: {
         url: rule.request.url,
+        matchMode: rule.request.matchMode,
+        queryMode: rule.request.queryMode,
         method: rule.request.method,
         headers: { ...rule.request.headers },
+        headerConditions: (rule.request.headerConditions || []).map(c => ({ ...c })),
         body: rule.request.body,
+        bodyMatchMode: rule.request.bodyMatchMode,
       },
+      graphql: rule.graphql ? { ...rule.graphql } : null,
+      resource: rule.resource ? { ...rule.resource } : null,
+      handler: rule.handler || null,
+      transform: rule.transform ? ResponseTransform.clone(ResponseTransform.normalize(rule.transform)) : null,
+      rewrite: rule.rewrite
+        ? { ...rule.rewrite, setHeaders: { ...rule.rewrite.setHeaders }, removeHeaders: [...(rule.rewrite.removeHeaders || [])] }
+        : null,
+      sequence: rule.sequence
+        ? { ...rule.sequence, responses: rule.sequence.responses.map(response => ({ ...response, headers: { ...response.headers } })) }
+        : null,
       response: {
         status: rule.response.status,
         statusText: rule.response.statusText,
         headers: { ...rule.response.headers },
         body: rule.response.body,
+        bodyEncoding: rule.response.bodyEncoding || null,
+        delay: rule.response.delay ? { ...rule.response.delay } : null,
+        failure: rule.response.failure || null,
+        seed: rule.response.seed || null,
+        weight: rule.response.weight ?? null,
       },
     };
     
@@ -708,6 +1536,14 @@ function getStatusClass(code) {
   return 'unknown';
 }
 
+/**
+ * Get the card label for a simulated network failure
+ */
+function getFailureLabel(failure) {
+  const labels = { 'network-error': 'Network error', timeout: 'Hangs', abort: 'Aborted' };
+  return labels[failure] || failure;
+}
+
 /**
  * Helper: Truncate URL for display
  */
@@ -0,0 +1,48 @@
+/**
+ * Offscreen Document - Relays handler requests from the service worker to the sandbox
+ *
+ * Service workers can't host the sandboxed page, so this document embeds it
+ * and forwards messages both ways.
+ */
+
+const sandboxFrame = document.getElementById('sandbox');
+const pending = new Map();
+let messageCounter = 0;
+
+// Resolves once the sandbox has loaded and can receive messages
+const sandboxReady = new Promise((resolve) => {
+  sandboxFrame.addEventListener('load', resolve, { once: true });
+});
+
+/**
+ * Send a message to the sandbox and wait for its reply
+ */
+async function callSandbox(type, payload) {
+  await sandboxReady;
+
+  return new Promise((resolve) => {
+    const id = `sandbox_${Date.now()}_${++messageCounter}`;
+    pending.set(id, resolve);
+    sandboxFrame.contentWindow.postMessage({ id, type, payload }, '*');
+  });
+}
+
+window.addEventListener('message', (event) => {
+  if (event.source !== sandboxFrame.contentWindow) return;
+
+  const { id } = event.data || {};
+  const resolve = pending.get(id);
+  if (resolve) {
+    pending.delete(id);
+    resolve(event.data);
+  }
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return false;
+
+  callSandbox(message.type, message.payload).then(sendResponse);
+
+  // Return true to indicate async response
+  return true;
+});
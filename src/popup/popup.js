@@ -13,6 +13,14 @@ const activeRulesEl = document.getElementById('activeRules');
 const shortcutKey = document.getElementById('shortcutKey');
 const shortcutKeyAlt = document.getElementById('shortcutKeyAlt');
 const openRulesEditorBtn = document.getElementById('openRulesEditorBtn');
+const networkMultiplierSelect = document.getElementById('networkMultiplier');
+const chaosToggle = document.getElementById('chaosToggle');
+const chaosOptions = document.getElementById('chaosOptions');
+const chaosRateSelect = document.getElementById('chaosRate');
+const chaosScopeSelect = document.getElementById('chaosScope');
+const chaosMaxLatencySelect = document.getElementById('chaosMaxLatency');
+const chaosFaultInputs = document.querySelectorAll('.chaos-fault');
+const chaosSeedInput = document.getElementById('chaosSeed');
 
 // Detect OS for keyboard shortcuts
 const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
@@ -42,6 +50,14 @@ async function loadState() {
     const enabledResponse = await chrome.runtime.sendMessage({ type: 'GET_GLOBAL_ENABLED' });
     updateStatusUI(enabledResponse.enabled);
     
+    // Get slow network multiplier
+    const multiplierResponse = await chrome.runtime.sendMessage({ type: 'GET_NETWORK_MULTIPLIER' });
+    updateMultiplierUI(multiplierResponse.multiplier);
+    
+    // Get chaos mode settings
+    const chaosResponse = await chrome.runtime.sendMessage({ type: 'GET_CHAOS_SETTINGS' });
+    updateChaosUI(chaosResponse.settings);
+    
     // Get rules count
     const rulesResponse = await chrome.runtime.sendMessage({ type: 'GET_RULES' });
     const rules = rulesResponse.rules || [];
@@ -73,6 +89,56 @@ function updateStatusUI(enabled) {
   }
 }
 
+// Select the slow network multiplier, adding an option for custom values
+function updateMultiplierUI(multiplier) {
+  const value = multiplier || 1;
+  selectOption(networkMultiplierSelect, value, `${value}×`);
+}
+
+// Select an option, adding it first for values set elsewhere
+function selectOption(select, value, label) {
+  const text = String(value);
+  if (!Array.from(select.options).some(option => option.value === text)) {
+    select.add(new Option(label, text));
+  }
+  select.value = text;
+}
+
+// Show the chaos mode settings
+function updateChaosUI(settings) {
+  chaosToggle.checked = settings.enabled;
+  chaosOptions.classList.toggle('show', settings.enabled);
+  selectOption(chaosRateSelect, settings.rate, `${settings.rate}%`);
+  chaosScopeSelect.value = settings.includeUnmatched ? 'all' : 'matched';
+  selectOption(chaosMaxLatencySelect, settings.maxLatency, `${settings.maxLatency}ms`);
+  chaosFaultInputs.forEach(input => {
+    input.checked = settings.faults.includes(input.value);
+  });
+  if (document.activeElement !== chaosSeedInput) {
+    chaosSeedInput.value = settings.seed || '';
+  }
+}
+
+// Save the chaos mode settings from the form
+async function saveChaosSettings() {
+  const settings = {
+    enabled: chaosToggle.checked,
+    rate: Number(chaosRateSelect.value),
+    includeUnmatched: chaosScopeSelect.value === 'all',
+    maxLatency: Number(chaosMaxLatencySelect.value),
+    faults: Array.from(chaosFaultInputs).filter(input => input.checked).map(input => input.value),
+    seed: chaosSeedInput.value.trim(),
+  };
+  
+  chaosOptions.classList.toggle('show', settings.enabled);
+  
+  try {
+    await chrome.runtime.sendMessage({ type: 'SET_CHAOS_SETTINGS', payload: { settings } });
+  } catch (error) {
+    console.error('Error saving chaos settings:', error);
+  }
+}
+
 // Setup event listeners
 function setupEventListeners() {
   // Global toggle
@@ -92,6 +158,22 @@ function setupEventListeners() {
     }
   });
   
+  // Slow network multiplier
+  networkMultiplierSelect.addEventListener('change', async (e) => {
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'SET_NETWORK_MULTIPLIER',
+        payload: { multiplier: Number(e.target.value) }
+      });
+    } catch (error) {
+      console.error('Error setting network multiplier:', error);
+    }
+  });
+  
+  // Chaos mode
+  [chaosToggle, chaosRateSelect, chaosScopeSelect, chaosMaxLatencySelect, chaosSeedInput, ...chaosFaultInputs]
+    .forEach(input => input.addEventListener('change', saveChaosSettings));
+  
   // Collapsible help section
   const helpHeader = document.getElementById('helpHeader');
   const helpContent = document.getElementById('helpContent');
@@ -116,6 +198,12 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
     if (changes.globalEnabled) {
       updateStatusUI(changes.globalEnabled.newValue);
     }
+    if (changes.networkMultiplier) {
+      updateMultiplierUI(changes.networkMultiplier.newValue);
+    }
+    if (changes.chaosSettings) {
+      updateChaosUI(changes.chaosSettings.newValue);
+    }
     if (changes.mockRules) {
       const rules = changes.mockRules.newValue || [];
       const activeCount = rules.filter(r => r.enabled).length;
@@ -7,6 +7,17 @@ let allRules = [];
 let filteredRules = [];
 let editingRuleId = null;
 let statusDropdown = null;
+let shadowedRules = new Map();
+let draggedRuleId = null;
+let responseSteps = [];
+let activeStep = 0;
+let harEntries = [];
+let openApiSpec = null;
+let openApiOperations = [];
+let importedCollection = null;
+let collectionEnvironments = [];
+let bundleRules = [];
+let bundleSchemaVersion = 0;
 
 // DOM Elements
 const elements = {
@@ -16,6 +27,64 @@ const elements = {
   totalRulesBadge: document.getElementById('totalRulesBadge'),
   activeRulesBadge: document.getElementById('activeRulesBadge'),
   addRuleBtn: document.getElementById('addRuleBtn'),
+  importHarBtn: document.getElementById('importHarBtn'),
+  exportHarBtn: document.getElementById('exportHarBtn'),
+  importRulesBtn: document.getElementById('importRulesBtn'),
+  exportRulesBtn: document.getElementById('exportRulesBtn'),
+  importOpenApiBtn: document.getElementById('importOpenApiBtn'),
+  importCollectionBtn: document.getElementById('importCollectionBtn'),
+  
+  // Rules export and import
+  exportRulesModal: document.getElementById('exportRulesModal'),
+  closeExportRulesModal: document.getElementById('closeExportRulesModal'),
+  cancelExportRulesBtn: document.getElementById('cancelExportRulesBtn'),
+  confirmExportRulesBtn: document.getElementById('confirmExportRulesBtn'),
+  exportRulesSelectAll: document.getElementById('exportRulesSelectAll'),
+  exportRulesList: document.getElementById('exportRulesList'),
+  importRulesModal: document.getElementById('importRulesModal'),
+  closeImportRulesModal: document.getElementById('closeImportRulesModal'),
+  cancelImportRulesBtn: document.getElementById('cancelImportRulesBtn'),
+  confirmImportRulesBtn: document.getElementById('confirmImportRulesBtn'),
+  importRulesFileInput: document.getElementById('importRulesFileInput'),
+  importRulesStrategy: document.getElementById('importRulesStrategy'),
+  importRulesSummary: document.getElementById('importRulesSummary'),
+  importRulesPreview: document.getElementById('importRulesPreview'),
+  
+  // HAR import
+  harModal: document.getElementById('harModal'),
+  closeHarModal: document.getElementById('closeHarModal'),
+  cancelHarBtn: document.getElementById('cancelHarBtn'),
+  confirmHarImportBtn: document.getElementById('confirmHarImportBtn'),
+  harFileInput: document.getElementById('harFileInput'),
+  harHostFilter: document.getElementById('harHostFilter'),
+  harMimeFilter: document.getElementById('harMimeFilter'),
+  harStatusFilter: document.getElementById('harStatusFilter'),
+  harDedupe: document.getElementById('harDedupe'),
+  harSummary: document.getElementById('harSummary'),
+  harPreview: document.getElementById('harPreview'),
+  
+  // OpenAPI import
+  openApiModal: document.getElementById('openApiModal'),
+  closeOpenApiModal: document.getElementById('closeOpenApiModal'),
+  cancelOpenApiBtn: document.getElementById('cancelOpenApiBtn'),
+  confirmOpenApiImportBtn: document.getElementById('confirmOpenApiImportBtn'),
+  openApiFileInput: document.getElementById('openApiFileInput'),
+  openApiSource: document.getElementById('openApiSource'),
+  openApiBaseUrl: document.getElementById('openApiBaseUrl'),
+  openApiSummary: document.getElementById('openApiSummary'),
+  openApiPreview: document.getElementById('openApiPreview'),
+  
+  // Collection import
+  collectionModal: document.getElementById('collectionModal'),
+  closeCollectionModal: document.getElementById('closeCollectionModal'),
+  cancelCollectionBtn: document.getElementById('cancelCollectionBtn'),
+  confirmCollectionImportBtn: document.getElementById('confirmCollectionImportBtn'),
+  collectionFileInput: document.getElementById('collectionFileInput'),
+  collectionEnvInput: document.getElementById('collectionEnvInput'),
+  collectionEnvironment: document.getElementById('collectionEnvironment'),
+  collectionWithoutExamples: document.getElementById('collectionWithoutExamples'),
+  collectionSummary: document.getElementById('collectionSummary'),
+  collectionPreview: document.getElementById('collectionPreview'),
   
   // Toolbar
   searchInput: document.getElementById('searchInput'),
@@ -36,20 +105,73 @@ const elements = {
   
   // Form fields
   editRuleName: document.getElementById('editRuleName'),
+  editRuleType: document.getElementById('editRuleType'),
   editCurlInput: document.getElementById('editCurlInput'),
   editMethod: document.getElementById('editMethod'),
+  editMatchMode: document.getElementById('editMatchMode'),
+  editQueryMode: document.getElementById('editQueryMode'),
   editUrl: document.getElementById('editUrl'),
   editRequestHeaders: document.getElementById('editRequestHeaders'),
+  editHeaderConditions: document.getElementById('editHeaderConditions'),
   editRequestBody: document.getElementById('editRequestBody'),
+  graphqlSection: document.getElementById('graphqlSection'),
+  resourceSection: document.getElementById('resourceSection'),
+  editResourceIdField: document.getElementById('editResourceIdField'),
+  editResourceSeed: document.getElementById('editResourceSeed'),
+  editGraphqlOperationType: document.getElementById('editGraphqlOperationType'),
+  editGraphqlOperationName: document.getElementById('editGraphqlOperationName'),
+  editGraphqlVariables: document.getElementById('editGraphqlVariables'),
+  editGraphqlHash: document.getElementById('editGraphqlHash'),
+  editBodyMatchMode: document.getElementById('editBodyMatchMode'),
+  editResponseSource: document.getElementById('editResponseSource'),
+  handlerSection: document.getElementById('handlerSection'),
+  editHandlerCode: document.getElementById('editHandlerCode'),
+  staticResponseSection: document.getElementById('staticResponseSection'),
+  modifySection: document.getElementById('modifySection'),
+  editModifyStatus: document.getElementById('editModifyStatus'),
+  editModifyRemoveHeaders: document.getElementById('editModifyRemoveHeaders'),
+  editModifySetHeaders: document.getElementById('editModifySetHeaders'),
+  addModifyHeaderBtn: document.getElementById('addModifyHeaderBtn'),
+  editModifyMergePatch: document.getElementById('editModifyMergePatch'),
+  editModifyJsonPatch: document.getElementById('editModifyJsonPatch'),
+  editModifyPathOps: document.getElementById('editModifyPathOps'),
+  rewriteSection: document.getElementById('rewriteSection'),
+  editRewriteUrl: document.getElementById('editRewriteUrl'),
+  editRewriteMethod: document.getElementById('editRewriteMethod'),
+  editRewriteRemoveHeaders: document.getElementById('editRewriteRemoveHeaders'),
+  editRewriteSetHeaders: document.getElementById('editRewriteSetHeaders'),
+  addRewriteHeaderBtn: document.getElementById('addRewriteHeaderBtn'),
+  editRewriteBody: document.getElementById('editRewriteBody'),
+  sequenceTabs: document.getElementById('sequenceTabs'),
+  sequenceOptions: document.getElementById('sequenceOptions'),
+  editSequenceMode: document.getElementById('editSequenceMode'),
+  sequenceEndGroup: document.getElementById('sequenceEndGroup'),
+  editSequenceEnd: document.getElementById('editSequenceEnd'),
+  weightGroup: document.getElementById('weightGroup'),
+  editResponseWeight: document.getElementById('editResponseWeight'),
+  editFailure: document.getElementById('editFailure'),
   statusDropdownContainer: document.getElementById('statusDropdownContainer'),
+  editDelayType: document.getElementById('editDelayType'),
+  editDelayMs: document.getElementById('editDelayMs'),
+  editDelayMin: document.getElementById('editDelayMin'),
+  editDelayMax: document.getElementById('editDelayMax'),
+  editDelayMean: document.getElementById('editDelayMean'),
+  editDelayStdDev: document.getElementById('editDelayStdDev'),
   editResponseHeaders: document.getElementById('editResponseHeaders'),
   editResponseBody: document.getElementById('editResponseBody'),
+  responsePreview: document.getElementById('responsePreview'),
+  editResponseSeed: document.getElementById('editResponseSeed'),
+  editTemplated: document.getElementById('editTemplated'),
   
   // Buttons
   parseCurlBtn: document.getElementById('parseCurlBtn'),
   addRequestHeaderBtn: document.getElementById('addRequestHeaderBtn'),
+  addHeaderConditionBtn: document.getElementById('addHeaderConditionBtn'),
   addResponseHeaderBtn: document.getElementById('addResponseHeaderBtn'),
   formatJsonBtn: document.getElementById('formatJsonBtn'),
+  previewResponseBtn: document.getElementById('previewResponseBtn'),
+  addStepBtn: document.getElementById('addStepBtn'),
+  removeStepBtn: document.getElementById('removeStepBtn'),
   
   // Notification
   notification: document.getElementById('notification'),
@@ -79,7 +201,7 @@ function setupStorageListener() {
       
       // Reload rules if they changed
       if (changes.mockRules) {
-        allRules = changes.mockRules.newValue || [];
+        allRules = RuleOrder.sort(changes.mockRules.newValue || []);
         applyFilters();
         updateStats();
       }
@@ -106,7 +228,7 @@ async function loadGlobalState() {
 async function loadRules() {
   try {
     const response = await sendMessage({ type: 'GET_RULES' });
-    allRules = response.rules || [];
+    allRules = RuleOrder.sort(response.rules || []);
     applyFilters();
     updateStats();
   } catch (error) {
@@ -129,6 +251,8 @@ function updateStats() {
  * Apply filters and search
  */
 function applyFilters() {
+  shadowedRules = RuleOrder.findShadowed(allRules);
+  
   const searchTerm = elements.searchInput.value.toLowerCase();
   const methodFilter = elements.methodFilter.value;
   const statusFilter = elements.statusFilter.value;
@@ -139,6 +263,7 @@ function applyFilters() {
     if (searchTerm) {
       const matchesSearch = 
         rule.name?.toLowerCase().includes(searchTerm) ||
+        rule.graphql?.operationName?.toLowerCase().includes(searchTerm) ||
         rule.request.url.toLowerCase().includes(searchTerm) ||
         rule.request.method.toLowerCase().includes(searchTerm);
       if (!matchesSearch) return false;
@@ -198,7 +323,7 @@ function renderRules() {
       // Edit button
       const editBtn = card.querySelector('.edit-btn');
       if (editBtn) {
-        editBtn.addEventListener('click', () => openEditModal(rule));
+        editBtn.addEventListener('click', () => editRule(rule.id));
       }
       
       // Duplicate button
@@ -212,23 +337,90 @@ function renderRules() {
       if (deleteBtn) {
         deleteBtn.addEventListener('click', () => deleteRule(rule.id));
       }
+      
+      setupCardDragAndDrop(card, rule.id);
+    }
+  });
+}
+
+/**
+ * Make a rule card draggable to change rule priority
+ */
+function setupCardDragAndDrop(card, ruleId) {
+  card.addEventListener('dragstart', (e) => {
+    draggedRuleId = ruleId;
+    e.dataTransfer.effectAllowed = 'move';
+    card.classList.add('dragging');
+  });
+  
+  card.addEventListener('dragend', () => {
+    draggedRuleId = null;
+    card.classList.remove('dragging');
+  });
+  
+  card.addEventListener('dragover', (e) => {
+    if (!draggedRuleId || draggedRuleId === ruleId) return;
+    e.preventDefault();
+    card.classList.add('drag-over');
+  });
+  
+  card.addEventListener('dragleave', () => card.classList.remove('drag-over'));
+  
+  card.addEventListener('drop', (e) => {
+    e.preventDefault();
+    card.classList.remove('drag-over');
+    if (draggedRuleId && draggedRuleId !== ruleId) {
+      moveRule(draggedRuleId, ruleId);
     }
   });
 }
 
+/**
+ * Move a rule to the position of another rule and persist the new order
+ */
+async function moveRule(sourceId, targetId) {
+  const ids = allRules.map(r => r.id);
+  const from = ids.indexOf(sourceId);
+  const to = ids.indexOf(targetId);
+  if (from === -1 || to === -1) return;
+  
+  ids.splice(from, 1);
+  ids.splice(to, 0, sourceId);
+  
+  try {
+    await sendMessage({ type: 'REORDER_RULES', payload: { ids } });
+    await loadRules();
+    showNotification('Rule priority updated', 'success');
+  } catch (error) {
+    console.error('Error reordering rules:', error);
+    showNotification('Error reordering rules', 'error');
+  }
+}
+
 /**
  * Create a rule card HTML
  */
 function createRuleCard(rule) {
-  const methodClass = `method-${rule.request.method.toLowerCase()}`;
+  const isGraphQL = rule.type === 'graphql';
+  const isResource = rule.type === 'resource';
+  const isHandler = !isResource && Boolean(rule.handler);
+  const isModify = !isResource && !isHandler && Boolean(rule.transform);
+  const isRewrite = !isResource && !isHandler && !isModify && Boolean(rule.rewrite);
+  const isPassthrough = isModify || isRewrite;
+  const methodLabel = isGraphQL ? 'GQL' : isResource ? 'REST' : rule.request.method;
+  const methodClass = isGraphQL ? 'method-graphql' : isResource ? 'method-resource' : `method-${rule.request.method.toLowerCase()}`;
   const statusClass = getStatusClass(rule.response.status);
   const createdAt = rule.createdAt ? new Date(rule.createdAt).toLocaleDateString() : 'Unknown';
+  const priority = allRules.indexOf(rule) + 1;
+  const shadowedBy = shadowedRules.get(rule.id);
   
   return `
-    <div class="rule-card ${!rule.enabled ? 'disabled' : ''}" id="rule-${rule.id}">
+    <div class="rule-card ${!rule.enabled ? 'disabled' : ''}" id="rule-${rule.id}" draggable="true">
       <div class="rule-card-header">
         <div class="rule-card-title">
-          <span class="rule-method ${methodClass}">${rule.request.method}</span>
+          <span class="drag-handle" title="Drag to change priority">⋮⋮</span>
+          <span class="rule-priority" title="Evaluation order - the first matching rule wins">#${priority}</span>
+          <span class="rule-method ${methodClass}">${methodLabel}</span>
           <h3 class="rule-name">${escapeHtml(rule.name || 'Unnamed Rule')}</h3>
         </div>
         <label class="toggle-switch toggle-sm">
@@ -240,13 +432,41 @@ function createRuleCard(rule) {
       <div class="rule-card-body">
         <div class="rule-url">
           <span class="label">URL:</span>
+          ${createMatchModeBadge(rule.request.matchMode)}
           <span class="value">${escapeHtml(rule.request.url)}</span>
         </div>
         
+        ${isGraphQL ? `
+        <div class="rule-url">
+          <span class="label">Operation:</span>
+          <span class="value">${escapeHtml(rule.graphql?.operationName || rule.graphql?.persistedQueryHash || 'Any')} (${escapeHtml(rule.graphql?.operationType || 'any')})</span>
+        </div>
+        ` : ''}
+        
+        ${shadowedBy ? `
+        <div class="rule-warning">
+          ⚠ Never matches: shadowed by #${allRules.indexOf(shadowedBy) + 1} ${escapeHtml(shadowedBy.name || shadowedBy.request.url)}
+        </div>
+        ` : ''}
+        
         <div class="rule-details">
+          ${isResource ? `
+          <span class="rule-resource">🗃 ${getResourceSummary(rule)}</span>
+          ` : isHandler ? `
+          <span class="rule-handler" title="Response built by a handler function">ƒ handler</span>
+          ` : isModify ? `
+          <span class="rule-modify" title="Changes the real response">✎ ${escapeHtml(ResponseTransform.describe(rule.transform))}</span>
+          ` : isRewrite ? `
+          <span class="rule-rewrite" title="Sends a changed request to the network">↪ ${escapeHtml(RequestRewrite.describe(rule.rewrite))}</span>
+          ` : rule.response.failure ? `
+          <span class="rule-status status-failure">${getFailureLabel(rule.response.failure)}</span>
+          ` : `
           <span class="rule-status ${statusClass}">
             ${rule.response.status} ${rule.response.statusText || 'OK'}
           </span>
+          `}
+          ${!isPassthrough && rule.response.delay ? `<span class="rule-delay" title="Response delay">⏱ ${escapeHtml(Latency.describe(rule.response.delay))}</span>` : ''}
+          ${!isHandler && !isPassthrough && ResponseSequence.isSequence(rule) ? `<span class="rule-sequence" title="Response sequence">${getSequenceSummary(rule)}</span>` : ''}
           <span class="rule-date">Created: ${createdAt}</span>
         </div>
       </div>
@@ -260,6 +480,14 @@ function createRuleCard(rule) {
   `;
 }
 
+/**
+ * Create a badge for non-exact URL match modes
+ */
+function createMatchModeBadge(matchMode) {
+  if (!matchMode || matchMode === 'exact') return '';
+  return `<span class="match-mode-badge">${escapeHtml(matchMode)}</span>`;
+}
+
 /**
  * Get status class for styling
  */
@@ -271,6 +499,34 @@ function getStatusClass(status) {
   return '';
 }
 
+/**
+ * Summarize a resource rule's settings for its card
+ */
+function getResourceSummary(rule) {
+  const resource = ResourceStore.normalize(rule.resource);
+  const seedCount = ResourceStore.createState(resource).items.length;
+  return `CRUD collection, ${seedCount} seed item${seedCount === 1 ? '' : 's'}, id field "${escapeHtml(resource.idField)}"`;
+}
+
+/**
+ * Summarize a rule's responses for its card
+ */
+function getSequenceSummary(rule) {
+  if (ResponseSequence.isWeighted(rule)) {
+    const shares = ResponseSequence.percentages(rule);
+    return `⚖ ${ResponseSequence.steps(rule).map((step, index) => `${shares[index]}% ${step.failure ? getFailureLabel(step.failure) : step.status}`).join(' / ')}`;
+  }
+  return `⇢ ${ResponseSequence.steps(rule).length} responses`;
+}
+
+/**
+ * Get the card label for a simulated network failure
+ */
+function getFailureLabel(failure) {
+  const labels = { 'network-error': 'Network error', timeout: 'Hangs', abort: 'Aborted' };
+  return labels[failure] || failure;
+}
+
 /**
  * Truncate text
  */
@@ -299,26 +555,44 @@ async function toggleRule(ruleId) {
  */
 async function duplicateRule(ruleId) {
   try {
-    const rule = allRules.find(r => r.id === ruleId);
-    if (!rule) {
-      showNotification('Rule not found', 'error');
-      return;
-    }
+    // The rule list leaves out large bodies, so fetch the whole rule
+    const { rule } = await sendMessage({ type: 'GET_RULE', payload: { id: ruleId } });
     
     // Create a copy of the rule with new ID and updated name
     const duplicatedRule = {
+      type: rule.type,
       name: rule.name ? `${rule.name} (Copy)` : null,
+      templated: rule.templated === true,
       request: {
         url: rule.request.url,
+        matchMode: rule.request.matchMode,
+        queryMode: rule.request.queryMode,
         method: rule.request.method,
         headers: { ...rule.request.headers },
+        headerConditions: (rule.request.headerConditions || []).map(c => ({ ...c })),
         body: rule.request.body,
+        bodyMatchMode: rule.request.bodyMatchMode,
       },
+      graphql: rule.graphql ? { ...rule.graphql } : null,
+      resource: rule.resource ? { ...rule.resource } : null,
+      handler: rule.handler || null,
+      transform: rule.transform ? ResponseTransform.clone(ResponseTransform.normalize(rule.transform)) : null,
+      rewrite: rule.rewrite
+        ? { ...rule.rewrite, setHeaders: { ...rule.rewrite.setHeaders }, removeHeaders: [...(rule.rewrite.removeHeaders || [])] }
+        : null,
+      sequence: rule.sequence
+        ? { ...rule.sequence, responses: rule.sequence.responses.map(response => ({ ...response, headers: { ...response.headers } })) }
+        : null,
       response: {
         status: rule.response.status,
         statusText: rule.response.statusText,
         headers: { ...rule.response.headers },
         body: rule.response.body,
+        bodyEncoding: rule.response.bodyEncoding || null,
+        delay: rule.response.delay ? { ...rule.response.delay } : null,
+        failure: rule.response.failure || null,
+        seed: rule.response.seed || null,
+        weight: rule.response.weight ?? null,
       },
     };
     
@@ -349,6 +623,19 @@ async function deleteRule(ruleId) {
   }
 }
 
+/**
+ * Open the edit modal for a stored rule, loading the bodies the rule list leaves out
+ */
+async function editRule(ruleId) {
+  try {
+    const { rule } = await sendMessage({ type: 'GET_RULE', payload: { id: ruleId } });
+    openEditModal(rule);
+  } catch (error) {
+    console.error('Error loading rule:', error);
+    showNotification(`Error: ${error.message}`, 'error');
+  }
+}
+
 /**
  * Open edit modal
  */
@@ -363,27 +650,146 @@ function openEditModal(rule = null) {
   if (rule) {
     // Populate form with rule data
     elements.editRuleName.value = rule.name || '';
+    elements.editRuleType.value = rule.type || 'http';
     elements.editCurlInput.value = ''; // Clear cURL input when editing
     elements.editMethod.value = rule.request.method;
+    elements.editMatchMode.value = rule.request.matchMode || 'exact';
+    elements.editQueryMode.value = rule.request.queryMode || 'exact';
     elements.editUrl.value = rule.request.url;
     elements.editRequestBody.value = rule.request.body || '';
-    elements.editResponseBody.value = rule.response.body || '';
+    elements.editBodyMatchMode.value = rule.request.bodyMatchMode || 'none';
+    elements.editSequenceMode.value = rule.sequence?.mode || 'ordered';
+    elements.editSequenceEnd.value = rule.sequence?.afterLast || 'last';
+    elements.editTemplated.checked = rule.templated === true;
     
     // Populate headers
     populateHeaders(elements.editRequestHeaders, rule.request.headers || {});
-    populateHeaders(elements.editResponseHeaders, rule.response.headers || {});
+    populateHeaderConditions(rule.request.headerConditions || []);
+    populateGraphqlFields(rule.graphql || {});
+    populateResourceFields(rule.resource);
+    populateResponseSource(rule);
+    
+    responseSteps = ResponseSequence.steps(rule).map(response => ({ ...response }));
   } else {
     // Clear form for new rule
     elements.ruleForm.reset();
     elements.editCurlInput.value = '';
     elements.editRequestHeaders.innerHTML = '';
-    elements.editResponseHeaders.innerHTML = '';
-    addDefaultResponseHeader();
+    elements.editHeaderConditions.innerHTML = '';
+    populateResourceFields(null);
+    populateResponseSource(null);
+    
+    responseSteps = [{ status: 200, statusText: 'OK', headers: { 'Content-Type': 'application/json' }, body: '' }];
   }
   
+  activeStep = 0;
+  populateResponseStep(responseSteps[0]);
+  renderSequenceTabs();
+  updateRuleTypeFields();
+  
   elements.editModal.classList.add('show');
 }
 
+/**
+ * Fill the response fields from one response of the sequence
+ */
+function populateResponseStep(response) {
+  if (statusDropdown) {
+    statusDropdown.setValue(response.status || 200);
+  }
+  populateHeaders(elements.editResponseHeaders, response.headers || {});
+  elements.editResponseBody.value = response.body || '';
+  elements.editResponseSeed.value = response.seed || '';
+  populateDelayFields(response.delay);
+  elements.editFailure.value = response.failure || '';
+  elements.editResponseWeight.value = response.weight ?? '';
+  updateFailureFields();
+  elements.responsePreview.classList.remove('show');
+}
+
+/**
+ * Read the response fields into a response object
+ * An unfinished status keeps the step's previous status; saveRule validates it.
+ */
+function collectResponseStep() {
+  const previous = responseSteps[activeStep] || {};
+  let status = { code: previous.status || 200, text: previous.statusText || 'OK' };
+  try {
+    status = statusDropdown.getValue();
+  } catch (error) {
+    // Keep the previous status
+  }
+  
+  const weight = elements.editResponseWeight.value.trim();
+  
+  return {
+    status: status.code,
+    statusText: status.text,
+    headers: collectHeaders(elements.editResponseHeaders),
+    body: elements.editResponseBody.value || '',
+    // A binary body is edited as its base64 text
+    bodyEncoding: previous.bodyEncoding || null,
+    delay: collectDelay(),
+    failure: elements.editFailure.value || null,
+    seed: elements.editResponseSeed.value.trim() || null,
+    weight: weight === '' ? null : Number(weight),
+  };
+}
+
+/**
+ * Render a tab per response in the sequence
+ */
+function renderSequenceTabs() {
+  const isSequence = responseSteps.length > 1;
+  const isWeighted = elements.editSequenceMode.value === SEQUENCE_MODES.WEIGHTED;
+  const shares = ResponseSequence.percentages({
+    response: responseSteps[0],
+    sequence: { responses: responseSteps.slice(1) },
+  });
+  
+  elements.sequenceTabs.innerHTML = isSequence ? responseSteps.map((step, index) => `
+    <button type="button" class="sequence-tab ${index === activeStep ? 'active' : ''}" data-step="${index}">
+      #${index + 1} ${step.failure ? escapeHtml(getFailureLabel(step.failure)) : step.status}${isWeighted ? ` · ${shares[index]}%` : ''}
+    </button>
+  `).join('') : '';
+  
+  elements.removeStepBtn.style.display = isSequence ? '' : 'none';
+  elements.sequenceOptions.style.display = isSequence ? '' : 'none';
+  elements.sequenceEndGroup.style.display = isWeighted ? 'none' : '';
+  elements.weightGroup.style.display = isWeighted ? '' : 'none';
+}
+
+/**
+ * Switch the response fields to another response of the sequence
+ */
+function selectResponseStep(index) {
+  responseSteps[activeStep] = collectResponseStep();
+  activeStep = index;
+  populateResponseStep(responseSteps[index]);
+  renderSequenceTabs();
+}
+
+/**
+ * Add a response to the sequence, starting from a copy of the current one
+ */
+function addResponseStep() {
+  responseSteps[activeStep] = collectResponseStep();
+  responseSteps.push({ ...responseSteps[activeStep] });
+  selectResponseStep(responseSteps.length - 1);
+}
+
+/**
+ * Remove the current response from the sequence
+ */
+function removeResponseStep() {
+  if (responseSteps.length <= 1) return;
+  
+  responseSteps.splice(activeStep, 1);
+  activeStep = Math.min(activeStep, responseSteps.length - 1);
+  populateResponseStep(responseSteps[activeStep]);
+  renderSequenceTabs();
+}
+
 /**
  * Populate headers list
  */
@@ -419,6 +825,219 @@ function addHeaderRow(container, key = '', value = '') {
   container.appendChild(row);
 }
 
+/**
+ * Populate GraphQL operation fields
+ */
+function populateGraphqlFields(graphql) {
+  elements.editGraphqlOperationType.value = graphql.operationType || 'any';
+  elements.editGraphqlOperationName.value = graphql.operationName || '';
+  elements.editGraphqlVariables.value = graphql.variables || '';
+  elements.editGraphqlHash.value = graphql.persistedQueryHash || '';
+}
+
+/**
+ * Show the fields relevant to the selected rule type
+ */
+function updateRuleTypeFields() {
+  const type = elements.editRuleType.value;
+  elements.graphqlSection.style.display = type === 'graphql' ? 'block' : 'none';
+  elements.resourceSection.style.display = type === 'resource' ? 'block' : 'none';
+  elements.ruleForm.querySelectorAll('.http-only').forEach(el => {
+    el.style.display = type === 'http' ? '' : 'none';
+  });
+  elements.ruleForm.querySelectorAll('.not-resource').forEach(el => {
+    el.style.display = type === 'resource' ? 'none' : '';
+  });
+}
+
+/**
+ * Populate the response source, handler code, modify and rewrite settings
+ */
+function populateResponseSource(rule) {
+  const handler = rule && rule.handler;
+  const transform = ResponseTransform.normalize(rule && rule.transform);
+  const rewrite = RequestRewrite.normalize(rule && rule.rewrite);
+  
+  elements.editResponseSource.value = handler ? 'handler'
+    : rule && rule.transform ? 'modify'
+    : rule && rule.rewrite ? 'rewrite'
+    : 'static';
+  elements.editHandlerCode.value = handler || DEFAULT_HANDLER_CODE;
+  
+  elements.editModifyStatus.value = transform.status ?? '';
+  elements.editModifyRemoveHeaders.value = transform.removeHeaders.join(', ');
+  populateHeaders(elements.editModifySetHeaders, transform.setHeaders);
+  elements.editModifyMergePatch.value = transform.mergePatch;
+  elements.editModifyJsonPatch.value = transform.jsonPatch;
+  elements.editModifyPathOps.value = transform.pathOps;
+  
+  elements.editRewriteUrl.value = rewrite.url;
+  elements.editRewriteMethod.value = rewrite.method;
+  elements.editRewriteRemoveHeaders.value = rewrite.removeHeaders.join(', ');
+  populateHeaders(elements.editRewriteSetHeaders, rewrite.setHeaders);
+  elements.editRewriteBody.value = rewrite.body ?? '';
+  
+  updateResponseSourceFields();
+}
+
+/**
+ * Show the fields of the selected response source
+ */
+function updateResponseSourceFields() {
+  const source = elements.editResponseSource.value;
+  elements.handlerSection.style.display = source === 'handler' ? 'block' : 'none';
+  elements.modifySection.style.display = source === 'modify' ? 'block' : 'none';
+  elements.rewriteSection.style.display = source === 'rewrite' ? 'block' : 'none';
+  elements.staticResponseSection.style.display = source === 'static' ? '' : 'none';
+}
+
+/**
+ * Read the modify settings into a transform
+ */
+function collectTransform() {
+  const status = elements.editModifyStatus.value.trim();
+  return {
+    status: status === '' ? null : Number(status),
+    setHeaders: collectHeaders(elements.editModifySetHeaders),
+    removeHeaders: elements.editModifyRemoveHeaders.value.split(',').map(name => name.trim()).filter(Boolean),
+    mergePatch: elements.editModifyMergePatch.value.trim(),
+    jsonPatch: elements.editModifyJsonPatch.value.trim(),
+    pathOps: elements.editModifyPathOps.value.trim(),
+  };
+}
+
+/**
+ * Read the rewrite settings; an empty body keeps the request's own
+ */
+function collectRewrite() {
+  return {
+    url: elements.editRewriteUrl.value.trim(),
+    method: elements.editRewriteMethod.value,
+    setHeaders: collectHeaders(elements.editRewriteSetHeaders),
+    removeHeaders: elements.editRewriteRemoveHeaders.value.split(',').map(name => name.trim()).filter(Boolean),
+    body: elements.editRewriteBody.value === '' ? null : elements.editRewriteBody.value,
+  };
+}
+
+/**
+ * Populate resource fields
+ */
+function populateResourceFields(resource) {
+  const { idField, seed } = ResourceStore.normalize(resource);
+  elements.editResourceIdField.value = idField;
+  elements.editResourceSeed.value = seed;
+}
+
+/**
+ * Hide the status, headers and body fields when the rule simulates a network failure
+ */
+function updateFailureFields() {
+  const isFailure = Boolean(elements.editFailure.value);
+  elements.ruleForm.querySelectorAll('.response-only').forEach(el => {
+    el.style.display = isFailure ? 'none' : '';
+  });
+}
+
+/**
+ * Show the delay inputs used by the selected delay type
+ */
+function updateDelayFields() {
+  const type = elements.editDelayType.value;
+  elements.ruleForm.querySelectorAll('.delay-field').forEach(field => {
+    field.style.display = field.dataset.delayTypes.split(' ').includes(type) ? '' : 'none';
+  });
+}
+
+/**
+ * Populate delay fields from a rule's delay setting
+ */
+function populateDelayFields(delay) {
+  const value = (field) => (delay && delay[field] !== undefined ? delay[field] : '');
+  elements.editDelayType.value = delay ? delay.type : 'none';
+  elements.editDelayMs.value = value('ms');
+  elements.editDelayMin.value = value('min');
+  elements.editDelayMax.value = value('max');
+  elements.editDelayMean.value = value('mean');
+  elements.editDelayStdDev.value = value('stdDev');
+  updateDelayFields();
+}
+
+/**
+ * Collect the delay setting from delay fields
+ * @returns {Object|null} Delay setting, or null for no delay
+ */
+function collectDelay() {
+  const type = elements.editDelayType.value;
+  switch (type) {
+    case 'fixed':
+      return { type, ms: parseFloat(elements.editDelayMs.value) };
+    case 'range':
+    case 'longtail':
+      return { type, min: parseFloat(elements.editDelayMin.value), max: parseFloat(elements.editDelayMax.value) };
+    case 'normal':
+      return { type, mean: parseFloat(elements.editDelayMean.value), stdDev: parseFloat(elements.editDelayStdDev.value) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Populate header conditions list
+ */
+function populateHeaderConditions(conditions) {
+  elements.editHeaderConditions.innerHTML = '';
+  conditions.forEach(condition => addConditionRow(elements.editHeaderConditions, condition));
+}
+
+/**
+ * Add header condition row
+ */
+function addConditionRow(container, condition = {}) {
+  const operator = condition.operator || 'equals';
+  const row = document.createElement('div');
+  row.className = 'key-value-row condition-row';
+  row.innerHTML = `
+    <input type="text" class="form-input header-key" placeholder="Header name" value="${escapeHtml(condition.name || '')}">
+    <select class="form-select condition-operator">
+      <option value="equals">Equals</option>
+      <option value="contains">Contains</option>
+      <option value="regex">Matches regex</option>
+      <option value="present">Is present</option>
+      <option value="absent">Is absent</option>
+    </select>
+    <input type="text" class="form-input header-value" placeholder="Value" value="${escapeHtml(condition.value || '')}">
+    <button type="button" class="btn btn-ghost btn-icon remove-header">×</button>
+  `;
+  
+  const operatorSelect = row.querySelector('.condition-operator');
+  const valueInput = row.querySelector('.header-value');
+  const updateValueVisibility = () => {
+    valueInput.style.visibility = ['present', 'absent'].includes(operatorSelect.value) ? 'hidden' : 'visible';
+  };
+  operatorSelect.value = operator;
+  operatorSelect.addEventListener('change', updateValueVisibility);
+  updateValueVisibility();
+  
+  row.querySelector('.remove-header').addEventListener('click', () => row.remove());
+  container.appendChild(row);
+}
+
+/**
+ * Collect header conditions from condition list
+ */
+function collectHeaderConditions(container) {
+  const conditions = [];
+  container.querySelectorAll('.condition-row').forEach(row => {
+    const name = row.querySelector('.header-key').value.trim();
+    const operator = row.querySelector('.condition-operator').value;
+    const value = row.querySelector('.header-value').value;
+    if (name) {
+      conditions.push({ name, operator, value: ['present', 'absent'].includes(operator) ? '' : value });
+    }
+  });
+  return conditions;
+}
+
 /**
  * Close edit modal
  */
@@ -433,8 +1052,12 @@ function closeEditModal() {
  * Save rule
  */
 async function saveRule() {
+  const type = elements.editRuleType.value;
   const url = elements.editUrl.value.trim();
-  const method = elements.editMethod.value;
+  const methods = { graphql: 'POST', resource: 'ANY' };
+  const method = methods[type] || elements.editMethod.value;
+  const matchMode = elements.editMatchMode.value;
+  const queryMode = elements.editQueryMode.value;
   const name = elements.editRuleName.value.trim();
   
   if (!url) {
@@ -442,9 +1065,94 @@ async function saveRule() {
     return;
   }
   
+  const urlError = UrlMatcher.validate(url, matchMode);
+  if (urlError) {
+    showNotification(urlError, 'error');
+    return;
+  }
+  
   // Collect headers
   const requestHeaders = collectHeaders(elements.editRequestHeaders);
-  const responseHeaders = collectHeaders(elements.editResponseHeaders);
+  const headerConditions = collectHeaderConditions(elements.editHeaderConditions);
+  
+  const conditionsError = RequestMatcher.validateHeaderConditions(headerConditions);
+  if (conditionsError) {
+    showNotification(conditionsError, 'error');
+    return;
+  }
+  
+  let graphql = null;
+  if (type === 'graphql') {
+    graphql = {
+      operationType: elements.editGraphqlOperationType.value,
+      operationName: elements.editGraphqlOperationName.value.trim(),
+      variables: elements.editGraphqlVariables.value.trim(),
+      persistedQueryHash: elements.editGraphqlHash.value.trim(),
+    };
+    const graphqlError = GraphQLMatcher.validate(graphql);
+    if (graphqlError) {
+      showNotification(graphqlError, 'error');
+      return;
+    }
+  }
+  
+  let resource = null;
+  if (type === 'resource') {
+    resource = {
+      idField: elements.editResourceIdField.value.trim() || 'id',
+      seed: elements.editResourceSeed.value.trim() || '[]',
+    };
+    const resourceError = ResourceStore.validate(resource);
+    if (resourceError) {
+      showNotification(resourceError, 'error');
+      return;
+    }
+  }
+  
+  // Handlers are compiled in the sandbox, the only place allowed to evaluate code
+  let handler = null;
+  if (type !== 'resource' && elements.editResponseSource.value === 'handler') {
+    handler = elements.editHandlerCode.value.trim();
+    let check = { valid: false, message: 'Handler code is required' };
+    try {
+      if (handler) {
+        check = await sendMessage({ type: 'CHECK_HANDLER', payload: { code: handler } });
+      }
+    } catch (error) {
+      check = { valid: false, message: error.message };
+    }
+    if (!check.valid) {
+      showNotification(`Handler: ${check.message}`, 'error');
+      return;
+    }
+  }
+  
+  let transform = null;
+  if (type !== 'resource' && elements.editResponseSource.value === 'modify') {
+    transform = collectTransform();
+    const transformError = ResponseTransform.validate(transform);
+    if (transformError) {
+      showNotification(transformError, 'error');
+      return;
+    }
+  }
+  
+  let rewrite = null;
+  if (type !== 'resource' && elements.editResponseSource.value === 'rewrite') {
+    rewrite = collectRewrite();
+    const rewriteError = RequestRewrite.validate(rewrite);
+    if (rewriteError) {
+      showNotification(rewriteError, 'error');
+      return;
+    }
+  }
+  
+  const bodyMatchMode = elements.editBodyMatchMode.value;
+  const bodyError = RequestMatcher.validateBody(bodyMatchMode, elements.editRequestBody.value);
+  if (bodyError) {
+    showNotification(bodyError, 'error');
+    return;
+  }
   
   // Get status from dropdown and validate
   let statusValue;
@@ -479,20 +1187,49 @@ async function saveRule() {
     return;
   }
   
+  responseSteps[activeStep] = collectResponseStep();
+  
+  const isWeighted = responseSteps.length > 1 && elements.editSequenceMode.value === SEQUENCE_MODES.WEIGHTED;
+  const weightError = isWeighted && ResponseSequence.validateWeights(responseSteps);
+  if (weightError) {
+    showNotification(weightError, 'error');
+    return;
+  }
+  
+  const templated = elements.editTemplated.checked;
+  for (const [index, step] of responseSteps.entries()) {
+    const stepError = Latency.validate(step.delay) || (templated &&
+      [step.body, ...Object.values(step.headers)].map(text => TemplateEngine.validate(text)).find(Boolean));
+    if (stepError) {
+      if (index !== activeStep) selectResponseStep(index);
+      showNotification(responseSteps.length > 1 ? `Response #${index + 1}: ${stepError}` : stepError, 'error');
+      return;
+    }
+  }
+  
   const ruleData = {
+    type,
     name: name || null,
+    templated,
     request: {
       url,
+      matchMode,
+      queryMode,
       method,
       headers: requestHeaders,
+      headerConditions,
       body: elements.editRequestBody.value || null,
+      bodyMatchMode,
     },
-    response: {
-      status: statusValue.code,
-      statusText: statusValue.text,
-      headers: responseHeaders,
-      body: elements.editResponseBody.value || '',
-    },
+    graphql,
+    resource,
+    handler,
+    transform,
+    rewrite,
+    response: responseSteps[0],
+    sequence: type !== 'resource' && !handler && !transform && !rewrite && responseSteps.length > 1
+      ? { responses: responseSteps.slice(1), mode: elements.editSequenceMode.value, afterLast: elements.editSequenceEnd.value }
+      : null,
   };
   
   try {
@@ -586,6 +1323,47 @@ function formatJson() {
   }
 }
 
+/**
+ * Render the response body template against a sample request built from the form
+ */
+function previewResponse() {
+  const preview = elements.responsePreview;
+  
+  let url;
+  try {
+    url = new URL(elements.editUrl.value.trim(), 'https://example.com').href;
+  } catch (e) {
+    url = 'https://example.com/';
+  }
+  
+  try {
+    const context = TemplateEngine.createRequestContext({
+      url,
+      method: elements.editRuleType.value === 'graphql' ? 'POST' : elements.editMethod.value,
+      headers: collectHeaders(elements.editRequestHeaders),
+      body: elements.editRequestBody.value || null,
+    });
+    const random = FakeData.createRandom(elements.editResponseSeed.value.trim());
+    let output = elements.editTemplated.checked
+      ? TemplateEngine.render(elements.editResponseBody.value, context, { random })
+      : elements.editResponseBody.value;
+    
+    try {
+      output = JSON.stringify(JSON.parse(output), null, 2);
+    } catch (e) {
+      // Not JSON, show as rendered
+    }
+    
+    preview.textContent = output;
+    preview.classList.remove('error');
+  } catch (error) {
+    preview.textContent = error.message;
+    preview.classList.add('error');
+  }
+  
+  preview.classList.add('show');
+}
+
 /**
  * Update toggle label
  */
@@ -616,16 +1394,87 @@ function setupEventListeners() {
   // Add rule button
   elements.addRuleBtn.addEventListener('click', () => openEditModal());
   
-  // Search and filters
-  elements.searchInput.addEventListener('input', debounce(applyFilters, 300));
-  elements.methodFilter.addEventListener('change', applyFilters);
-  elements.statusFilter.addEventListener('change', applyFilters);
-  elements.enabledFilter.addEventListener('change', applyFilters);
-  
-  // Modal
-  elements.closeModal.addEventListener('click', closeEditModal);
-  elements.cancelEditBtn.addEventListener('click', closeEditModal);
-  elements.saveEditBtn.addEventListener('click', saveRule);
+  // Rules export and import
+  elements.exportRulesBtn.addEventListener('click', openExportRulesModal);
+  elements.closeExportRulesModal.addEventListener('click', closeExportRulesModal);
+  elements.cancelExportRulesBtn.addEventListener('click', closeExportRulesModal);
+  elements.confirmExportRulesBtn.addEventListener('click', exportRules);
+  elements.exportRulesList.addEventListener('change', updateExportRulesActions);
+  elements.exportRulesSelectAll.addEventListener('change', () => {
+    elements.exportRulesList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = elements.exportRulesSelectAll.checked;
+    });
+    updateExportRulesActions();
+  });
+  elements.importRulesBtn.addEventListener('click', openImportRulesModal);
+  elements.closeImportRulesModal.addEventListener('click', closeImportRulesModal);
+  elements.cancelImportRulesBtn.addEventListener('click', closeImportRulesModal);
+  elements.confirmImportRulesBtn.addEventListener('click', importRules);
+  elements.importRulesFileInput.addEventListener('change', loadRulesFile);
+  elements.importRulesStrategy.addEventListener('change', renderImportRulesPreview);
+  [elements.exportRulesModal, elements.importRulesModal].forEach(modal => {
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.classList.remove('show');
+      }
+    });
+  });
+  
+  // HAR import and export
+  elements.importHarBtn.addEventListener('click', openHarModal);
+  elements.exportHarBtn.addEventListener('click', exportHar);
+  elements.closeHarModal.addEventListener('click', closeHarModal);
+  elements.cancelHarBtn.addEventListener('click', closeHarModal);
+  elements.confirmHarImportBtn.addEventListener('click', importHar);
+  elements.harFileInput.addEventListener('change', loadHarFile);
+  [elements.harHostFilter, elements.harMimeFilter, elements.harStatusFilter, elements.harDedupe].forEach(input => {
+    input.addEventListener('change', renderHarPreview);
+  });
+  elements.harModal.addEventListener('click', (e) => {
+    if (e.target === elements.harModal) {
+      closeHarModal();
+    }
+  });
+  
+  // OpenAPI import
+  elements.importOpenApiBtn.addEventListener('click', openOpenApiModal);
+  elements.closeOpenApiModal.addEventListener('click', closeOpenApiModal);
+  elements.cancelOpenApiBtn.addEventListener('click', closeOpenApiModal);
+  elements.confirmOpenApiImportBtn.addEventListener('click', importOpenApi);
+  elements.openApiFileInput.addEventListener('change', loadOpenApiFile);
+  elements.openApiSource.addEventListener('input', debounce(parseOpenApiSource, 500));
+  elements.openApiPreview.addEventListener('change', updateOpenApiActions);
+  elements.openApiModal.addEventListener('click', (e) => {
+    if (e.target === elements.openApiModal) {
+      closeOpenApiModal();
+    }
+  });
+  
+  // Postman and Insomnia import
+  elements.importCollectionBtn.addEventListener('click', openCollectionModal);
+  elements.closeCollectionModal.addEventListener('click', closeCollectionModal);
+  elements.cancelCollectionBtn.addEventListener('click', closeCollectionModal);
+  elements.confirmCollectionImportBtn.addEventListener('click', importCollection);
+  elements.collectionFileInput.addEventListener('change', loadCollectionFile);
+  elements.collectionEnvInput.addEventListener('change', loadCollectionEnvironment);
+  elements.collectionEnvironment.addEventListener('change', renderCollectionPreview);
+  elements.collectionWithoutExamples.addEventListener('change', renderCollectionPreview);
+  elements.collectionModal.addEventListener('click', (e) => {
+    if (e.target === elements.collectionModal) {
+      closeCollectionModal();
+    }
+  });
+  
+  // Search and filters
+  elements.searchInput.addEventListener('input', debounce(applyFilters, 300));
+  elements.methodFilter.addEventListener('change', applyFilters);
+  elements.statusFilter.addEventListener('change', applyFilters);
+  elements.enabledFilter.addEventListener('change', applyFilters);
+  
+  // Modal
+  elements.closeModal.addEventListener('click', closeEditModal);
+  elements.cancelEditBtn.addEventListener('click', closeEditModal);
+  elements.saveEditBtn.addEventListener('click', saveRule);
   
   // Close modal on background click
   elements.editModal.addEventListener('click', (e) => {
@@ -634,6 +1483,21 @@ function setupEventListeners() {
     }
   });
   
+  // Path templates match any query string unless the query mode was chosen
+  elements.editMatchMode.addEventListener('change', () => {
+    if (elements.editQueryMode.value !== QUERY_MATCH_MODES.SUBSET) {
+      elements.editQueryMode.value = UrlMatcher.defaultQueryMode(elements.editMatchMode.value);
+    }
+  });
+  
+  // Rule type
+  elements.editRuleType.addEventListener('change', updateRuleTypeFields);
+  elements.editResponseSource.addEventListener('change', updateResponseSourceFields);
+  elements.addModifyHeaderBtn.addEventListener('click', () => addHeaderRow(elements.editModifySetHeaders));
+  elements.addRewriteHeaderBtn.addEventListener('click', () => addHeaderRow(elements.editRewriteSetHeaders));
+  elements.editDelayType.addEventListener('change', updateDelayFields);
+  elements.editFailure.addEventListener('change', updateFailureFields);
+  
   // Parse cURL button
   elements.parseCurlBtn.addEventListener('click', parseCurl);
   
@@ -650,11 +1514,29 @@ function setupEventListeners() {
     addHeaderRow(elements.editRequestHeaders);
   });
   
+  elements.addHeaderConditionBtn.addEventListener('click', () => {
+    addConditionRow(elements.editHeaderConditions);
+  });
+  
   elements.addResponseHeaderBtn.addEventListener('click', () => {
     addHeaderRow(elements.editResponseHeaders);
   });
   
   elements.formatJsonBtn.addEventListener('click', formatJson);
+  elements.previewResponseBtn.addEventListener('click', previewResponse);
+  
+  // Response sequence
+  elements.addStepBtn.addEventListener('click', addResponseStep);
+  elements.removeStepBtn.addEventListener('click', removeResponseStep);
+  elements.sequenceTabs.addEventListener('click', (e) => {
+    const tab = e.target.closest('.sequence-tab');
+    if (tab) selectResponseStep(Number(tab.dataset.step));
+  });
+  elements.editSequenceMode.addEventListener('change', renderSequenceTabs);
+  elements.editResponseWeight.addEventListener('input', () => {
+    responseSteps[activeStep] = collectResponseStep();
+    renderSequenceTabs();
+  });
   
   // Collapsible sections
   document.querySelectorAll('.collapsible-header').forEach(header => {
@@ -671,6 +1553,587 @@ function setupEventListeners() {
   });
 }
 
+/**
+ * Render a rule as a line of the export and import lists
+ */
+function createRuleEntry(rule, { checkbox = '', note = '', isConflict = false } = {}) {
+  const methodLabel = rule.type === 'graphql' ? 'GQL' : rule.type === 'resource' ? 'REST' : rule.request.method;
+  const methodClass = rule.type === 'graphql' ? 'method-graphql' : rule.type === 'resource' ? 'method-resource' : `method-${rule.request.method.toLowerCase()}`;
+  
+  return `
+    <label class="import-entry ${rule.enabled === false ? 'disabled' : ''}">
+      ${checkbox}
+      <span class="rule-method ${methodClass}">${escapeHtml(methodLabel)}</span>
+      <span class="import-url" title="${escapeHtml(rule.request.url)}">${escapeHtml(rule.request.url)}</span>
+      <span class="import-title" title="${escapeHtml(rule.name || '')}">${escapeHtml(rule.name || '')}</span>
+      ${note ? `<span class="${isConflict ? 'import-warning' : 'import-title'}">${escapeHtml(note)}</span>` : ''}
+    </label>
+  `;
+}
+
+/**
+ * Open the export dialog with the rules matching the current filters checked
+ */
+function openExportRulesModal() {
+  const shown = new Set(filteredRules.map(rule => rule.id));
+  
+  elements.exportRulesList.innerHTML = allRules.map(rule => createRuleEntry(rule, {
+    checkbox: `<input type="checkbox" value="${escapeHtml(rule.id)}" ${shown.has(rule.id) ? 'checked' : ''}>`,
+  })).join('');
+  
+  updateExportRulesActions();
+  elements.exportRulesModal.classList.add('show');
+}
+
+function closeExportRulesModal() {
+  elements.exportRulesModal.classList.remove('show');
+}
+
+/**
+ * Get the rules checked for export
+ */
+function getExportRulesSelection() {
+  const ids = new Set([...elements.exportRulesList.querySelectorAll('input:checked')].map(checkbox => checkbox.value));
+  return allRules.filter(rule => ids.has(rule.id));
+}
+
+function updateExportRulesActions() {
+  const count = getExportRulesSelection().length;
+  elements.exportRulesSelectAll.checked = count > 0 && count === allRules.length;
+  elements.confirmExportRulesBtn.disabled = count === 0;
+  elements.confirmExportRulesBtn.textContent = count > 0 ? `Export ${count} Rules` : 'Export Rules';
+}
+
+/**
+ * Download the checked rules as a rules file
+ */
+async function exportRules() {
+  const selection = getExportRulesSelection();
+  if (selection.length === 0) return;
+  
+  try {
+    const rules = await getWholeRules(selection);
+    const manifest = chrome.runtime.getManifest();
+    const bundle = RuleBundle.create(rules, { name: manifest.name, version: manifest.version });
+    downloadFile(`mock-rules-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+    
+    closeExportRulesModal();
+    showNotification(`Exported ${rules.length} rule${rules.length === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    console.error('Error exporting rules:', error);
+    showNotification(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Open the rules import dialog
+ */
+function openImportRulesModal() {
+  bundleRules = [];
+  elements.importRulesFileInput.value = '';
+  elements.importRulesStrategy.value = IMPORT_STRATEGIES.MERGE;
+  renderImportRulesPreview();
+  elements.importRulesModal.classList.add('show');
+}
+
+function closeImportRulesModal() {
+  elements.importRulesModal.classList.remove('show');
+  bundleRules = [];
+}
+
+/**
+ * Read the chosen rules file
+ */
+async function loadRulesFile() {
+  const file = elements.importRulesFileInput.files[0];
+  if (!file) return;
+  
+  try {
+    const bundle = RuleBundle.parse(await file.text());
+    bundleRules = bundle.rules;
+    bundleSchemaVersion = bundle.schemaVersion;
+  } catch (error) {
+    bundleRules = [];
+    showNotification(error.message, 'error');
+  }
+  
+  renderImportRulesPreview();
+}
+
+/**
+ * Show what the import would do to each rule with the chosen strategy
+ */
+function renderImportRulesPreview() {
+  const plan = RuleBundle.plan(allRules, bundleRules, elements.importRulesStrategy.value);
+  const counts = RuleBundle.summarize(plan);
+  
+  elements.importRulesSummary.textContent = bundleRules.length === 0
+    ? 'Choose a rules file exported from this extension.'
+    : [
+      `${counts.add} rule${counts.add === 1 ? '' : 's'} will be added`,
+      counts.replace > 0 ? `${counts.replace} replaced` : '',
+      counts.skip > 0 ? `${counts.skip} skipped` : '',
+      counts.removed > 0 ? `all ${counts.removed} existing rules deleted` : '',
+    ].filter(Boolean).join(', ') + '.';
+  
+  elements.importRulesPreview.innerHTML = plan.entries.map(entry => createRuleEntry(entry.rule, {
+    note: RuleBundle.describeEntry(entry),
+    isConflict: Boolean(entry.conflict),
+  })).join('');
+  
+  const changes = counts.add + counts.replace;
+  elements.confirmImportRulesBtn.disabled = changes === 0;
+  elements.confirmImportRulesBtn.textContent = changes > 0 ? `Import ${changes} Rules` : 'Import Rules';
+}
+
+/**
+ * Import the rules file with the chosen strategy
+ */
+async function importRules() {
+  const strategy = elements.importRulesStrategy.value;
+  if (bundleRules.length === 0) return;
+  
+  if (strategy === IMPORT_STRATEGIES.REPLACE && allRules.length > 0 &&
+      !confirm(`Delete all ${allRules.length} existing rules and import ${bundleRules.length}?`)) {
+    return;
+  }
+  
+  try {
+    const result = await sendMessage({ type: 'IMPORT_RULES', payload: { rules: bundleRules, strategy, schemaVersion: bundleSchemaVersion } });
+    await loadRules();
+    closeImportRulesModal();
+    showNotification(`Imported ${result.add + result.replace} rule${result.add + result.replace === 1 ? '' : 's'}` +
+      (result.skip > 0 ? `, skipped ${result.skip}` : ''), 'success');
+  } catch (error) {
+    console.error('Error importing rules:', error);
+    showNotification(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Open the HAR import dialog
+ */
+function openHarModal() {
+  harEntries = [];
+  elements.harFileInput.value = '';
+  populateHarFilters();
+  renderHarPreview();
+  elements.harModal.classList.add('show');
+}
+
+/**
+ * Close the HAR import dialog
+ */
+function closeHarModal() {
+  elements.harModal.classList.remove('show');
+  harEntries = [];
+}
+
+/**
+ * Read the chosen .har file
+ */
+async function loadHarFile() {
+  const file = elements.harFileInput.files[0];
+  if (!file) return;
+  
+  try {
+    harEntries = HarConverter.parse(await file.text());
+  } catch (error) {
+    harEntries = [];
+    showNotification(error.message, 'error');
+  }
+  
+  populateHarFilters();
+  renderHarPreview();
+}
+
+/**
+ * Fill the host and MIME type filters with the values found in the file
+ */
+function populateHarFilters() {
+  const fill = (select, label, values) => {
+    select.innerHTML = `<option value="">${label}</option>` + [...new Set(values)].filter(Boolean).sort()
+      .map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+  };
+  
+  fill(elements.harHostFilter, 'All hosts', harEntries.map(entry => HarConverter.hostOf(entry)));
+  fill(elements.harMimeFilter, 'All types', harEntries.filter(entry => HarConverter.bodyOf(entry) !== null)
+    .map(entry => HarConverter.mimeTypeOf(entry)));
+  elements.harStatusFilter.value = '';
+}
+
+/**
+ * Get the entries the current filters select
+ */
+function getHarSelection() {
+  return HarConverter.filterEntries(harEntries, {
+    host: elements.harHostFilter.value,
+    mimeType: elements.harMimeFilter.value,
+    status: elements.harStatusFilter.value,
+    dedupe: elements.harDedupe.checked,
+  });
+}
+
+/**
+ * Show the rules the import would create
+ */
+function renderHarPreview() {
+  const selection = getHarSelection();
+  
+  elements.harSummary.textContent = harEntries.length === 0
+    ? 'Choose a file exported from the browser\'s Network panel.'
+    : `${selection.length} of ${harEntries.length} requests will become rules. Responses saved without their content are skipped.`;
+  
+  elements.harPreview.innerHTML = selection.map(entry => `
+    <div class="import-entry">
+      <span class="rule-method method-${entry.request.method.toLowerCase()}">${escapeHtml(entry.request.method)}</span>
+      <span class="rule-status ${getStatusClass(entry.response.status)}">${entry.response.status}</span>
+      <span class="import-url" title="${escapeHtml(entry.request.url)}">${escapeHtml(entry.request.url)}</span>
+    </div>
+  `).join('');
+  
+  elements.confirmHarImportBtn.disabled = selection.length === 0;
+  elements.confirmHarImportBtn.textContent = selection.length > 0 ? `Import ${selection.length} Rules` : 'Import Rules';
+}
+
+/**
+ * Create rules from the selected HAR entries
+ */
+async function importHar() {
+  const rules = getHarSelection().map(entry => HarConverter.toRule(entry, HarConverter.bodyOf(entry)));
+  if (rules.length === 0) return;
+  
+  try {
+    await sendMessage({ type: 'ADD_RULES', payload: { rules } });
+    await loadRules();
+    closeHarModal();
+    showNotification(`Imported ${rules.length} rule${rules.length === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    console.error('Error importing HAR:', error);
+    showNotification(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Open the OpenAPI import dialog
+ */
+function openOpenApiModal() {
+  openApiSpec = null;
+  openApiOperations = [];
+  elements.openApiFileInput.value = '';
+  elements.openApiSource.value = '';
+  elements.openApiBaseUrl.value = '';
+  renderOpenApiOperations();
+  elements.openApiModal.classList.add('show');
+}
+
+/**
+ * Close the OpenAPI import dialog
+ */
+function closeOpenApiModal() {
+  elements.openApiModal.classList.remove('show');
+  openApiSpec = null;
+  openApiOperations = [];
+}
+
+/**
+ * Read the chosen spec file into the source box
+ */
+async function loadOpenApiFile() {
+  const file = elements.openApiFileInput.files[0];
+  if (!file) return;
+  
+  elements.openApiSource.value = await file.text();
+  parseOpenApiSource();
+}
+
+/**
+ * Parse the spec in the source box and list its operations
+ */
+function parseOpenApiSource() {
+  if (!elements.openApiSource.value.trim()) {
+    openApiSpec = null;
+    openApiOperations = [];
+    renderOpenApiOperations();
+    return;
+  }
+  
+  try {
+    openApiSpec = OpenApiConverter.parse(elements.openApiSource.value);
+    openApiOperations = OpenApiConverter.operations(openApiSpec);
+    elements.openApiBaseUrl.value = OpenApiConverter.baseUrl(openApiSpec);
+    renderOpenApiOperations();
+  } catch (error) {
+    openApiSpec = null;
+    openApiOperations = [];
+    renderOpenApiOperations(error.message);
+  }
+}
+
+/**
+ * List the spec's operations, each with a checkbox and the response to mock it with
+ */
+function renderOpenApiOperations(errorMessage = '') {
+  elements.openApiPreview.innerHTML = openApiOperations.map((operation, index) => {
+    const selected = OpenApiConverter.defaultResponse(operation).key;
+    const options = operation.responses.map(({ key, status }) => `
+      <option value="${escapeHtml(key)}" ${key === selected ? 'selected' : ''}>${escapeHtml(/^\d+$/.test(key) ? `${status} ${HTTP_STATUS_CODES[status] || ''}` : key)}</option>
+    `).join('');
+    
+    return `
+      <div class="import-entry">
+        <input type="checkbox" class="openapi-include" data-index="${index}" checked>
+        <span class="rule-method method-${operation.method.toLowerCase()}">${operation.method}</span>
+        <span class="import-url" title="${escapeHtml(operation.path)}">${escapeHtml(operation.path)}</span>
+        <span class="import-title" title="${escapeHtml(operation.title)}">${escapeHtml(operation.title)}</span>
+        <select class="form-select import-status" data-index="${index}" title="Response to mock">${options}</select>
+      </div>
+    `;
+  }).join('');
+  
+  if (errorMessage) {
+    elements.openApiSummary.textContent = errorMessage;
+  } else if (!openApiSpec) {
+    elements.openApiSummary.textContent = 'Each operation becomes a rule with a path template URL. Bodies come from the spec\'s examples, or are built from its schemas.';
+  } else {
+    const title = (openApiSpec.info && openApiSpec.info.title) || 'The spec';
+    elements.openApiSummary.textContent = `${title} has ${openApiOperations.length} operation${openApiOperations.length === 1 ? '' : 's'}. Pick the response each rule returns.`;
+  }
+  
+  updateOpenApiActions();
+}
+
+/**
+ * Get the checked operations with the response chosen for each
+ */
+function getOpenApiSelection() {
+  return [...elements.openApiPreview.querySelectorAll('.openapi-include:checked')].map(checkbox => {
+    const index = Number(checkbox.dataset.index);
+    const select = elements.openApiPreview.querySelector(`.import-status[data-index="${index}"]`);
+    return { operation: openApiOperations[index], key: select.value };
+  });
+}
+
+/**
+ * Enable the import button when operations are checked
+ */
+function updateOpenApiActions() {
+  const count = getOpenApiSelection().length;
+  elements.confirmOpenApiImportBtn.disabled = count === 0;
+  elements.confirmOpenApiImportBtn.textContent = count > 0 ? `Import ${count} Rules` : 'Import Rules';
+}
+
+/**
+ * Create a rule for each checked operation
+ */
+async function importOpenApi() {
+  const baseUrl = elements.openApiBaseUrl.value.trim();
+  if (baseUrl && !baseUrl.startsWith('/')) {
+    try {
+      new URL(baseUrl);
+    } catch (e) {
+      showNotification('Base URL must be an absolute URL, a path starting with /, or empty', 'error');
+      return;
+    }
+  }
+  
+  const rules = getOpenApiSelection().map(({ operation, key }) => OpenApiConverter.toRule(openApiSpec, operation, key, baseUrl));
+  if (rules.length === 0) return;
+  
+  try {
+    await sendMessage({ type: 'ADD_RULES', payload: { rules } });
+    await loadRules();
+    closeOpenApiModal();
+    showNotification(`Imported ${rules.length} rule${rules.length === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    console.error('Error importing OpenAPI spec:', error);
+    showNotification(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Open the collection import dialog
+ */
+function openCollectionModal() {
+  importedCollection = null;
+  collectionEnvironments = [];
+  elements.collectionFileInput.value = '';
+  elements.collectionEnvInput.value = '';
+  populateCollectionEnvironments();
+  renderCollectionPreview();
+  elements.collectionModal.classList.add('show');
+}
+
+/**
+ * Close the collection import dialog
+ */
+function closeCollectionModal() {
+  elements.collectionModal.classList.remove('show');
+  importedCollection = null;
+  collectionEnvironments = [];
+}
+
+/**
+ * Read the chosen Postman collection or Insomnia export
+ */
+async function loadCollectionFile() {
+  const file = elements.collectionFileInput.files[0];
+  if (!file) return;
+  
+  try {
+    importedCollection = CollectionConverter.parse(await file.text());
+  } catch (error) {
+    importedCollection = null;
+    showNotification(error.message, 'error');
+  }
+  
+  // Insomnia exports carry their environments; Postman environments are added from their own files
+  collectionEnvironments = [
+    ...(importedCollection ? importedCollection.environments : []),
+    ...collectionEnvironments.filter(environment => environment.file),
+  ];
+  populateCollectionEnvironments();
+  renderCollectionPreview();
+}
+
+/**
+ * Read a Postman environment file and select it
+ */
+async function loadCollectionEnvironment() {
+  const file = elements.collectionEnvInput.files[0];
+  if (!file) return;
+  
+  try {
+    collectionEnvironments.push({ ...CollectionConverter.parseEnvironment(await file.text()), file: true });
+    populateCollectionEnvironments(collectionEnvironments.length - 1);
+    renderCollectionPreview();
+  } catch (error) {
+    showNotification(error.message, 'error');
+  }
+  elements.collectionEnvInput.value = '';
+}
+
+/**
+ * Fill the environment select, choosing the given environment or the first one
+ */
+function populateCollectionEnvironments(selected = 0) {
+  elements.collectionEnvironment.innerHTML = '<option value="">Collection variables only</option>' +
+    collectionEnvironments.map((environment, index) => `
+      <option value="${index}" ${index === selected ? 'selected' : ''}>${escapeHtml(environment.name)}</option>
+    `).join('');
+}
+
+/**
+ * Build the rules the import would create with the current options
+ */
+function getCollectionRules() {
+  if (!importedCollection) return [];
+  
+  const index = elements.collectionEnvironment.value;
+  return CollectionConverter.toRules(importedCollection, index === '' ? null : collectionEnvironments[Number(index)], {
+    withoutExamples: elements.collectionWithoutExamples.checked,
+  });
+}
+
+/**
+ * Show the rules the import would create
+ */
+function renderCollectionPreview() {
+  const results = getCollectionRules();
+  
+  if (!importedCollection) {
+    elements.collectionSummary.textContent = 'Choose a collection exported from Postman or an export file from Insomnia.';
+  } else {
+    const disabled = results.filter(({ rule }) => !rule.enabled).length;
+    const unresolved = [...new Set(results.flatMap(result => result.unresolved))];
+    elements.collectionSummary.textContent = [
+      `${importedCollection.name}: ${results.length} rule${results.length === 1 ? '' : 's'} from ${importedCollection.requests.length} requests.`,
+      disabled > 0 ? `${disabled} alternative example${disabled === 1 ? '' : 's'} for the same request will be disabled.` : '',
+      unresolved.length > 0 ? `Unresolved variables: ${unresolved.join(', ')}.` : '',
+    ].filter(Boolean).join(' ');
+  }
+  
+  elements.collectionPreview.innerHTML = results.map(({ rule, unresolved }) => `
+    <div class="import-entry ${rule.enabled ? '' : 'disabled'}">
+      <span class="rule-method method-${rule.request.method.toLowerCase()}">${escapeHtml(rule.request.method)}</span>
+      <span class="rule-status ${getStatusClass(rule.response.status)}">${rule.response.status}</span>
+      <span class="import-url" title="${escapeHtml(rule.request.url)}">${escapeHtml(rule.request.url)}</span>
+      <span class="import-title" title="${escapeHtml(rule.name)}">${escapeHtml(rule.name)}</span>
+      ${unresolved.length > 0 ? `<span class="import-warning" title="Unresolved: ${escapeHtml(unresolved.join(', '))}">⚠</span>` : ''}
+    </div>
+  `).join('');
+  
+  elements.confirmCollectionImportBtn.disabled = results.length === 0;
+  elements.confirmCollectionImportBtn.textContent = results.length > 0 ? `Import ${results.length} Rules` : 'Import Rules';
+}
+
+/**
+ * Create rules from the collection
+ */
+async function importCollection() {
+  const rules = getCollectionRules().map(({ rule }) => rule);
+  if (rules.length === 0) return;
+  
+  try {
+    await sendMessage({ type: 'ADD_RULES', payload: { rules } });
+    await loadRules();
+    closeCollectionModal();
+    showNotification(`Imported ${rules.length} rule${rules.length === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    console.error('Error importing collection:', error);
+    showNotification(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Download the rules as a .har file
+ */
+async function exportHar() {
+  let rules;
+  try {
+    rules = await getWholeRules(allRules);
+  } catch (error) {
+    console.error('Error exporting HAR:', error);
+    showNotification(`Error: ${error.message}`, 'error');
+    return;
+  }
+  
+  const manifest = chrome.runtime.getManifest();
+  const { har, skipped } = HarConverter.fromRules(rules, { name: manifest.name, version: manifest.version });
+  
+  if (har.log.entries.length === 0) {
+    showNotification('No rules can be exported as HAR', 'error');
+    return;
+  }
+  
+  downloadFile(`mock-rules-${new Date().toISOString().slice(0, 10)}.har`, JSON.stringify(har, null, 2), 'application/json');
+  
+  showNotification(skipped > 0
+    ? `Exported ${har.log.entries.length} rules; ${skipped} that HAR can't express were skipped`
+    : `Exported ${har.log.entries.length} rules`, 'success');
+}
+
+/**
+ * Get listed rules with all of their response bodies, for exports
+ */
+async function getWholeRules(rules) {
+  const ids = new Set(rules.map(rule => rule.id));
+  const response = await sendMessage({ type: 'GET_RULES', payload: { withBodies: true } });
+  return response.rules.filter(rule => ids.has(rule.id));
+}
+
+/**
+ * Save text as a file through the browser's downloads
+ */
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 /**
  * Send message to background script
  */
@@ -0,0 +1,69 @@
+/**
+ * Handler Sandbox - Runs user-written response handlers
+ *
+ * This page is listed as a sandbox in the manifest, so it may compile code but has
+ * no access to extension APIs. It only talks to its parent (the offscreen document)
+ * through postMessage.
+ */
+
+(function() {
+  'use strict';
+
+  // Compiled handlers by source, so each one is compiled once
+  const compiled = new Map();
+
+  /**
+   * Compile a handler, reusing an earlier compilation of the same source
+   */
+  function getHandler(code) {
+    if (!compiled.has(code)) {
+      if (compiled.size > 100) compiled.clear();
+      compiled.set(code, ResponseHandler.compile(code));
+    }
+    return compiled.get(code);
+  }
+
+  /**
+   * Run a handler against a request
+   * @returns {Promise<Object>} { response, state } where response is null to pass through
+   */
+  async function runHandler({ code, request, state, ruleId, seed }) {
+    const handler = getHandler(code);
+    const ctx = ResponseHandler.createContext({
+      state: state || {},
+      params: request.params,
+      ruleId,
+      random: FakeData.createRandom(seed),
+    });
+
+    const result = await handler(request, ctx);
+
+    // Round-trip the state through JSON so it can be stored, and fail early if it can't
+    return {
+      response: ResponseHandler.normalize(result),
+      state: JSON.parse(JSON.stringify(ctx.state)),
+    };
+  }
+
+  window.addEventListener('message', async (event) => {
+    const { id, type, payload } = event.data || {};
+    if (!id) return;
+
+    let reply;
+    try {
+      if (type === 'CHECK_HANDLER') {
+        getHandler(payload.code);
+        reply = { id, result: { valid: true } };
+      } else if (type === 'RUN_HANDLER') {
+        reply = { id, result: await runHandler(payload) };
+      } else {
+        throw new Error(`Unknown sandbox message type: ${type}`);
+      }
+    } catch (error) {
+      reply = { id, error: error && error.message ? error.message : String(error) };
+    }
+
+    // The sandbox has an opaque origin, so the parent can't be addressed by origin
+    event.source.postMessage(reply, '*');
+  });
+})();
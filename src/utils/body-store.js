@@ -0,0 +1,277 @@
+/**
+ * Body Store - Keeps large response bodies in IndexedDB instead of chrome.storage
+ *
+ * Every request the page makes reads the stored rules, so they hold only an index of
+ * each rule: a response body longer than INLINE_BODY_LIMIT moves to a record keyed by
+ * the rule id, and the response keeps `bodySize` in its place. A rule's bodies are loaded
+ * when it matches a request, or when an editor asks for the whole rule.
+ *
+ * Binary bodies (`bodyEncoding: 'base64'`) always move, whatever their size, and are
+ * stored as their raw bytes rather than as base64 text. Request bodies, resource seed
+ * data and handler code stay in the index.
+ */
+
+// Bodies up to this many characters stay in the rule
+const INLINE_BODY_LIMIT = 4096;
+
+const BODY_DB_NAME = 'mock-your-apis';
+const BODY_DB_VERSION = 1;
+const BODY_STORE_NAME = 'bodies';
+
+// Open connection, shared by every call
+let bodyDatabase = null;
+
+class BodyStore {
+  /**
+   * Move a rule's large and binary bodies out of it
+   * @param {Object} rule - A whole rule
+   * @returns {Object} { rule, bodies } where bodies maps response indexes, as in
+   *   ResponseSequence.steps(), to their text or, for binary bodies, their bytes;
+   *   null when every body stays in the rule
+   */
+  static split(rule) {
+    const bodies = {};
+    const offload = (response, index) => {
+      if (!response || typeof response.body !== 'string' || !response.body) return response;
+
+      if (response.bodyEncoding === 'base64') {
+        bodies[index] = this.decodeBase64(response.body);
+      } else if (response.body.length > INLINE_BODY_LIMIT) {
+        bodies[index] = response.body;
+      } else {
+        return response;
+      }
+      return { ...response, body: '', bodySize: response.body.length };
+    };
+
+    const indexed = { ...rule, response: offload(rule.response, 0) };
+    if (rule.sequence && Array.isArray(rule.sequence.responses)) {
+      indexed.sequence = {
+        ...rule.sequence,
+        responses: rule.sequence.responses.map((response, index) => offload(response, index + 1)),
+      };
+    }
+
+    return { rule: indexed, bodies: Object.keys(bodies).length > 0 ? bodies : null };
+  }
+
+  /**
+   * Put a rule's bodies back into it; the reverse of split()
+   * @param {Object} rule - A rule from the index
+   * @param {Object} bodies - The rule's bodies by response index; missing bodies become empty
+   * @returns {Object} The whole rule
+   */
+  static join(rule, bodies) {
+    const restore = (response, index) => {
+      if (!this.isStored(response)) return response;
+      const { bodySize, ...rest } = response;
+      const body = bodies ? bodies[index] : undefined;
+      if (body instanceof Uint8Array) return { ...rest, body: this.encodeBase64(body) };
+      return { ...rest, body: typeof body === 'string' ? body : '' };
+    };
+
+    const whole = { ...rule, response: restore(rule.response, 0) };
+    if (rule.sequence && Array.isArray(rule.sequence.responses)) {
+      whole.sequence = {
+        ...rule.sequence,
+        responses: rule.sequence.responses.map((response, index) => restore(response, index + 1)),
+      };
+    }
+    return whole;
+  }
+
+  /**
+   * Decode base64 text to bytes
+   */
+  static decodeBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Encode bytes as base64 text
+   */
+  static encodeBase64(bytes) {
+    // Spreading a large body into one call would overflow the stack
+    let binary = '';
+    for (let start = 0; start < bytes.length; start += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(start, start + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Check whether a response's body is kept in the store
+   */
+  static isStored(response) {
+    return Boolean(response) && typeof response.bodySize === 'number';
+  }
+
+  /**
+   * Check whether any of a rule's bodies is kept in the store
+   */
+  static hasStoredBodies(rule) {
+    const sequence = rule.sequence && Array.isArray(rule.sequence.responses) ? rule.sequence.responses : [];
+    return [rule.response, ...sequence].some(response => this.isStored(response));
+  }
+
+  /**
+   * Store the large bodies of whole rules and get the rules to keep in the index
+   * Rules that are already indexed are passed through untouched, and whole rules whose
+   * bodies all fit inline write nothing. A whole rule replaces the bodies stored for its id,
+   * so one whose earlier version had stored bodies drops that record.
+   * @param {Array} rules - Whole and indexed rules
+   * @param {Array} previous - The indexed rules these replace, if any
+   * @returns {Promise<Array>} The indexed rules, in the same order
+   */
+  static async save(rules, previous = []) {
+    const stored = new Set(previous.filter(rule => this.hasStoredBodies(rule)).map(rule => rule.id));
+    const writes = [];
+    const indexed = rules.map(rule => {
+      if (this.hasStoredBodies(rule)) return rule;
+      const { rule: index, bodies } = this.split(rule);
+      if (bodies) {
+        writes.push({ id: rule.id, bodies });
+      } else if (stored.has(rule.id)) {
+        writes.push({ id: rule.id, remove: true });
+      }
+      return index;
+    });
+
+    if (writes.length > 0) {
+      await this.transaction('readwrite', store => {
+        writes.forEach(write => {
+          if (write.remove) {
+            store.delete(write.id);
+          } else {
+            store.put({ id: write.id, bodies: write.bodies });
+          }
+        });
+      });
+    }
+    return indexed;
+  }
+
+  /**
+   * Load a rule's bodies
+   * @param {Object} rule - A rule from the index
+   * @returns {Promise<Object>} The whole rule
+   */
+  static async load(rule) {
+    if (!this.hasStoredBodies(rule)) return rule;
+
+    let record;
+    await this.transaction('readonly', store => {
+      store.get(rule.id).onsuccess = (event) => {
+        record = event.target.result;
+      };
+    });
+    if (!record) {
+      console.warn(`The response bodies of rule ${rule.id} are missing, serving empty bodies`);
+    }
+    return this.join(rule, record && record.bodies);
+  }
+
+  /**
+   * Load the bodies of several rules in one read
+   * @param {Array} rules - Rules from the index
+   * @returns {Promise<Array>} The whole rules, in the same order
+   */
+  static async loadAll(rules) {
+    if (!rules.some(rule => this.hasStoredBodies(rule))) return rules;
+
+    let records = [];
+    await this.transaction('readonly', store => {
+      store.getAll().onsuccess = (event) => {
+        records = event.target.result;
+      };
+    });
+    const bodies = new Map(records.map(record => [record.id, record.bodies]));
+    return rules.map(rule => this.join(rule, bodies.get(rule.id)));
+  }
+
+  /**
+   * Delete the bodies of rules
+   * @param {Array<string>} ids - Rule ids
+   */
+  static async remove(ids) {
+    await this.transaction('readwrite', store => {
+      ids.forEach(id => store.delete(id));
+    });
+  }
+
+  /**
+   * Delete the bodies of every rule not in a list, e.g. after rules were replaced
+   * @param {Array<string>} ids - Ids of the rules to keep bodies for
+   */
+  static async prune(ids) {
+    const keep = new Set(ids);
+    await this.transaction('readwrite', store => {
+      store.getAllKeys().onsuccess = (event) => {
+        event.target.result.filter(id => !keep.has(id)).forEach(id => store.delete(id));
+      };
+    });
+  }
+
+  /**
+   * Delete every stored body
+   */
+  static async clear() {
+    await this.transaction('readwrite', store => store.clear());
+  }
+
+  /**
+   * Run requests against the body object store in one transaction
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} run - Called with the object store to make the requests
+   * @returns {Promise} Resolves when the transaction completes
+   */
+  static async transaction(mode, run) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(BODY_STORE_NAME, mode);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Body store transaction aborted'));
+      run(transaction.objectStore(BODY_STORE_NAME));
+    });
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   */
+  static open() {
+    if (!bodyDatabase) {
+      bodyDatabase = new Promise((resolve, reject) => {
+        const request = indexedDB.open(BODY_DB_NAME, BODY_DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(BODY_STORE_NAME, { keyPath: 'id' });
+        };
+        request.onsuccess = () => {
+          // Another version of the extension wants to upgrade the database
+          request.result.onversionchange = () => {
+            request.result.close();
+            bodyDatabase = null;
+          };
+          resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+      });
+      // A failed open is tried again on the next call
+      bodyDatabase.catch(() => {
+        bodyDatabase = null;
+      });
+    }
+    return bodyDatabase;
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.BodyStore = BodyStore;
+  window.INLINE_BODY_LIMIT = INLINE_BODY_LIMIT;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BodyStore, INLINE_BODY_LIMIT };
+}
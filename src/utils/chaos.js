@@ -0,0 +1,111 @@
+/**
+ * Chaos - Randomly injects faults into requests to soak-test error handling
+ *
+ * A share of requests, set by `rate`, gets one of the enabled faults: extra latency,
+ * an HTTP 5xx error or a network error. With a seed the faults repeat call for call.
+ */
+
+// Faults chaos mode can inject
+const CHAOS_FAULTS = {
+  LATENCY: 'latency',
+  HTTP_ERROR: 'http-error',
+  NETWORK_ERROR: 'network-error',
+};
+
+// Statuses used for injected HTTP errors
+const CHAOS_ERROR_STATUSES = [
+  { status: 500, statusText: 'Internal Server Error' },
+  { status: 502, statusText: 'Bad Gateway' },
+  { status: 503, statusText: 'Service Unavailable' },
+  { status: 504, statusText: 'Gateway Timeout' },
+];
+
+const DEFAULT_CHAOS_SETTINGS = {
+  enabled: false,
+  // Percentage of requests that get a fault
+  rate: 10,
+  // Also inject faults into requests no rule mocks
+  includeUnmatched: false,
+  faults: [CHAOS_FAULTS.LATENCY, CHAOS_FAULTS.HTTP_ERROR, CHAOS_FAULTS.NETWORK_ERROR],
+  // Upper bound of injected latency in milliseconds
+  maxLatency: 3000,
+  seed: '',
+};
+
+class Chaos {
+  /**
+   * Fill in missing settings with the defaults
+   */
+  static normalize(settings) {
+    return { ...DEFAULT_CHAOS_SETTINGS, ...(settings || {}) };
+  }
+
+  /**
+   * Validate chaos settings
+   * @returns {string|null} Error message, or null if the settings are valid
+   */
+  static validate(settings) {
+    const { rate, faults, maxLatency } = this.normalize(settings);
+
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0 || rate > 100) {
+      return 'Chaos rate must be a percentage between 0 and 100';
+    }
+    if (!Array.isArray(faults) || faults.some(fault => !Object.values(CHAOS_FAULTS).includes(fault))) {
+      return `Chaos faults must be some of: ${Object.values(CHAOS_FAULTS).join(', ')}`;
+    }
+    if (typeof maxLatency !== 'number' || !Number.isFinite(maxLatency) || maxLatency < 0) {
+      return 'Chaos latency must be a non-negative number of milliseconds';
+    }
+
+    return null;
+  }
+
+  /**
+   * Decide whether a request gets a fault, and which
+   * @param {Object} settings - Chaos settings
+   * @param {Function} random - Random number generator
+   * @returns {Object|null} { fault, delay } for latency, { fault, response } for errors, or null
+   */
+  static sample(settings, random = Math.random) {
+    const { enabled, rate, faults, maxLatency } = this.normalize(settings);
+    if (!enabled || faults.length === 0 || random() * 100 >= rate) return null;
+
+    const fault = faults[Math.floor(random() * faults.length)];
+
+    switch (fault) {
+      case CHAOS_FAULTS.LATENCY:
+        return { fault, delay: Math.round(random() * maxLatency) };
+
+      case CHAOS_FAULTS.HTTP_ERROR: {
+        const { status, statusText } = CHAOS_ERROR_STATUSES[Math.floor(random() * CHAOS_ERROR_STATUSES.length)];
+        return {
+          fault,
+          response: {
+            status,
+            statusText,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: statusText, injectedBy: 'chaos mode' }),
+          },
+        };
+      }
+
+      case CHAOS_FAULTS.NETWORK_ERROR:
+        return { fault, response: { status: 0, statusText: '', headers: {}, body: '', failure: 'network-error' } };
+
+      default:
+        return null;
+    }
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.Chaos = Chaos;
+  window.CHAOS_FAULTS = CHAOS_FAULTS;
+  window.DEFAULT_CHAOS_SETTINGS = DEFAULT_CHAOS_SETTINGS;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Chaos, CHAOS_FAULTS, DEFAULT_CHAOS_SETTINGS };
+}
@@ -0,0 +1,424 @@
+/**
+ * Collection Converter - Turns Postman and Insomnia collections into mock rules
+ *
+ * Reads Postman Collection v2.x files (with optional Postman environment files) and
+ * Insomnia v4 exports in JSON or YAML. Saved requests are flattened with their folder
+ * names, and `{{variable}}` references are resolved from the chosen environment.
+ */
+
+const COLLECTION_FORMATS = {
+  POSTMAN: 'postman',
+  INSOMNIA: 'insomnia',
+};
+
+// Variable references resolve in several passes, so variables may refer to other variables
+const MAX_VARIABLE_PASSES = 5;
+
+class CollectionConverter {
+  /**
+   * Parse a Postman collection or an Insomnia export
+   * @param {string} text - File contents
+   * @returns {Object} { format, name, variables, requests, environments }
+   * @throws {Error} If the text is not a supported collection
+   */
+  static parse(text) {
+    const data = this.parseDocument(text);
+
+    if (this.isPostmanCollection(data)) return this.parsePostman(data);
+    if (data._type === 'export' && Array.isArray(data.resources)) return this.parseInsomnia(data);
+
+    if (this.isPostmanEnvironment(data)) {
+      throw new Error('This is a Postman environment; load it as an environment after the collection');
+    }
+    throw new Error('Not a Postman Collection v2 or Insomnia v4 export');
+  }
+
+  /**
+   * Parse a Postman environment or globals file
+   * @returns {Object} { name, variables }
+   * @throws {Error} If the text is not a Postman environment
+   */
+  static parseEnvironment(text) {
+    const data = this.parseDocument(text);
+    if (!this.isPostmanEnvironment(data)) {
+      throw new Error('Not a Postman environment file');
+    }
+
+    return { name: data.name || 'Environment', variables: this.postmanVariables(data.values) };
+  }
+
+  static parseDocument(text) {
+    const source = String(text || '').trim();
+    try {
+      return source.startsWith('{') ? JSON.parse(source) : YamlParser.parse(source) || {};
+    } catch (e) {
+      throw new Error(`Can't read the file: ${e.message}`);
+    }
+  }
+
+  static isPostmanCollection(data) {
+    return Boolean(data.info && Array.isArray(data.item) &&
+      (!data.info.schema || /collection\/v2\.[01]/.test(data.info.schema)));
+  }
+
+  static isPostmanEnvironment(data) {
+    return Array.isArray(data.values) && !Array.isArray(data.item);
+  }
+
+  /**
+   * Convert Postman key/value pairs to an object, skipping disabled entries
+   */
+  static postmanVariables(pairs = []) {
+    const variables = {};
+    (pairs || []).forEach(pair => {
+      if (pair && pair.key && pair.enabled !== false && !pair.disabled) {
+        variables[pair.key] = pair.value === undefined || pair.value === null ? '' : pair.value;
+      }
+    });
+    return variables;
+  }
+
+  static parsePostman(collection) {
+    const requests = [];
+
+    const walk = (items, folders) => {
+      items.forEach(item => {
+        if (!item) return;
+        if (Array.isArray(item.item)) {
+          walk(item.item, [...folders, item.name || 'Folder']);
+          return;
+        }
+        if (!item.request) return;
+
+        const request = this.postmanRequest(item.request);
+        requests.push({
+          ...request,
+          name: item.name || request.url,
+          folder: folders.join(' / '),
+          variables: {},
+          examples: (item.response || []).map(example => this.postmanExample(example, request)),
+        });
+      });
+    };
+    walk(collection.item, []);
+
+    return {
+      format: COLLECTION_FORMATS.POSTMAN,
+      name: collection.info.name || 'Postman collection',
+      variables: this.postmanVariables(collection.variable),
+      requests,
+      environments: [],
+    };
+  }
+
+  /**
+   * Read a Postman request, whose URL may be a string or a URL object
+   */
+  static postmanRequest(request) {
+    if (typeof request === 'string') {
+      return { method: 'GET', url: request, headers: {}, body: null };
+    }
+
+    const headers = {};
+    (request.header || []).forEach(({ key, value, disabled }) => {
+      if (key && !disabled) headers[key] = value || '';
+    });
+
+    return {
+      method: (request.method || 'GET').toUpperCase(),
+      url: this.postmanUrl(request.url),
+      headers,
+      body: this.postmanBody(request.body),
+    };
+  }
+
+  /**
+   * Get a Postman URL as a string, filling in path variables such as `:id` that have values
+   */
+  static postmanUrl(url) {
+    if (!url) return '';
+    if (typeof url === 'string') return url;
+
+    let raw = url.raw;
+    if (!raw) {
+      const host = Array.isArray(url.host) ? url.host.join('.') : url.host || '';
+      const path = Array.isArray(url.path) ? url.path.join('/') : url.path || '';
+      const query = (url.query || []).filter(param => param && !param.disabled)
+        .map(({ key, value }) => (value === null || value === undefined ? key : `${key}=${value}`)).join('&');
+      raw = `${url.protocol ? `${url.protocol}://` : ''}${host}${url.port ? `:${url.port}` : ''}${path ? `/${path}` : ''}${query ? `?${query}` : ''}`;
+    }
+
+    (url.variable || []).forEach(({ key, value }) => {
+      if (key && value !== undefined && value !== null && value !== '') {
+        raw = raw.replace(new RegExp(`/:${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=[/?#]|$)`, 'g'), `/${value}`);
+      }
+    });
+
+    return raw;
+  }
+
+  /**
+   * Get a Postman request body as text; file uploads and form data have none
+   */
+  static postmanBody(body) {
+    if (!body || body.disabled) return null;
+
+    switch (body.mode) {
+      case 'raw':
+        return body.raw || null;
+      case 'urlencoded':
+        return this.encodeForm((body.urlencoded || []).filter(field => !field.disabled)
+          .map(({ key, value }) => [key, value || ''])) || null;
+      case 'graphql':
+        return body.graphql ? JSON.stringify({
+          query: body.graphql.query || '',
+          variables: this.parseJsonOr(body.graphql.variables, {}),
+        }) : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Read a saved Postman example; its original request may differ from the saved request
+   */
+  static postmanExample(example, request) {
+    const original = example.originalRequest ? this.postmanRequest(example.originalRequest) : {};
+
+    return {
+      name: example.name || '',
+      method: original.method || request.method,
+      url: original.url || request.url,
+      status: Number(example.code) || 200,
+      statusText: example.status || '',
+      headers: this.responseHeaders((example.header || []).filter(header => header && !header.disabled)
+        .map(({ key, value }) => ({ name: key, value }))),
+      body: example.body || '',
+    };
+  }
+
+  static parseInsomnia(data) {
+    const resources = data.resources.filter(Boolean);
+    const byId = new Map(resources.map(resource => [resource._id, resource]));
+    const workspaceIds = new Set(resources.filter(resource => resource._type === 'workspace').map(resource => resource._id));
+
+    // A folder's name and environment come from its ancestors too
+    const folderChain = (parentId) => {
+      const chain = [];
+      for (let parent = byId.get(parentId); parent && parent._type === 'request_group'; parent = byId.get(parent.parentId)) {
+        chain.unshift(parent);
+      }
+      return chain;
+    };
+
+    const requests = resources.filter(resource => resource._type === 'request').map(resource => {
+      const chain = folderChain(resource.parentId);
+      const headers = {};
+      (resource.headers || []).forEach(({ name, value, disabled }) => {
+        if (name && !disabled) headers[name] = value || '';
+      });
+
+      return {
+        name: resource.name || resource.url,
+        folder: chain.map(folder => folder.name).join(' / '),
+        method: (resource.method || 'GET').toUpperCase(),
+        url: resource.url || '',
+        headers,
+        body: this.insomniaBody(resource.body),
+        variables: Object.assign({}, ...chain.map(folder => folder.environment || {})),
+        examples: [],
+      };
+    });
+
+    // Sub environments are offered on top of their base environment
+    const environments = [];
+    const baseEnvironments = resources.filter(resource => resource._type === 'environment' &&
+      (workspaceIds.size === 0 || workspaceIds.has(resource.parentId)));
+    baseEnvironments.forEach(base => {
+      resources.filter(resource => resource._type === 'environment' && resource.parentId === base._id).forEach(sub => {
+        environments.push({ name: sub.name || 'Environment', variables: { ...(base.data || {}), ...(sub.data || {}) } });
+      });
+    });
+
+    const workspace = resources.find(resource => resource._type === 'workspace');
+
+    return {
+      format: COLLECTION_FORMATS.INSOMNIA,
+      name: (workspace && workspace.name) || 'Insomnia export',
+      variables: Object.assign({}, ...baseEnvironments.map(base => base.data || {})),
+      requests,
+      environments,
+    };
+  }
+
+  /**
+   * Get an Insomnia request body as text; multipart bodies and files have none
+   */
+  static insomniaBody(body) {
+    if (!body) return null;
+    if (typeof body.text === 'string') return body.text || null;
+    if (Array.isArray(body.params) && body.mimeType === 'application/x-www-form-urlencoded') {
+      return this.encodeForm(body.params.filter(param => !param.disabled)
+        .map(({ name, value }) => [name, value || ''])) || null;
+    }
+    return null;
+  }
+
+  static encodeForm(pairs) {
+    return pairs.map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`).join('&');
+  }
+
+  static parseJsonOr(text, fallback) {
+    try {
+      return text ? JSON.parse(text) : fallback;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Replace `{{name}}` references with variable values
+   * Insomnia's `{{ _.name }}` and dotted paths into object values are supported.
+   * Unknown variables and Postman's dynamic variables such as `{{$guid}}` are left as they are.
+   */
+  static resolveVariables(text, variables) {
+    if (typeof text !== 'string' || !text.includes('{{')) return text;
+
+    let result = text;
+    for (let pass = 0; pass < MAX_VARIABLE_PASSES; pass++) {
+      const next = result.replace(/\{\{\s*(?:_\.)?([^{}\s]+)\s*\}\}/g, (match, name) => {
+        const value = this.lookup(variables, name);
+        if (value === undefined || value === null) return match;
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+      });
+      if (next === result) break;
+      result = next;
+    }
+
+    return result;
+  }
+
+  static lookup(variables, name) {
+    if (Object.prototype.hasOwnProperty.call(variables, name)) return variables[name];
+
+    let value = variables;
+    for (const part of name.split('.')) {
+      if (!value || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, part)) return undefined;
+      value = value[part];
+    }
+    return value;
+  }
+
+  /**
+   * List the variables a text still refers to
+   */
+  static unresolvedVariables(text) {
+    return [...String(text || '').matchAll(/\{\{\s*(?:_\.)?([^{}\s$][^{}\s]*)\s*\}\}/g)].map(match => match[1]);
+  }
+
+  /**
+   * Turn a resolved request URL into a rule URL and match mode
+   * Postman path variables without values, e.g. `/users/:id`, need path matching.
+   */
+  static ruleUrl(url) {
+    let absolute = url.trim();
+    // Postman sends scheme-less URLs over http
+    if (absolute && !/^[a-z][a-z\d+.-]*:\/\//i.test(absolute) && !absolute.startsWith('/') && !absolute.startsWith('{{')) {
+      absolute = `http://${absolute}`;
+    }
+
+    try {
+      absolute = new URL(absolute).href;
+    } catch (e) {
+      // Unresolved variables can leave the URL unparseable; keep it as written
+    }
+
+    const { base } = UrlMatcher.splitUrl(absolute);
+    const pathStart = base.indexOf('/', base.indexOf('//') + 2);
+    const hasPathParams = pathStart !== -1 && /\/:[A-Za-z_$]/.test(base.slice(pathStart));
+
+    return { url: absolute, matchMode: hasPathParams ? 'path' : 'exact' };
+  }
+
+  /**
+   * Convert HAR-style response header pairs, dropping transfer headers
+   */
+  static responseHeaders(headers) {
+    return HarConverter.responseHeaders(headers);
+  }
+
+  /**
+   * Build rule data for every saved request and example
+   * Requests with several examples get one rule per example. Only the first rule for
+   * each method and URL is enabled, so alternative examples can be switched on later.
+   * @param {Object} collection - Result of parse()
+   * @param {Object|null} environment - { name, variables } to resolve variables from
+   * @param {Object} options - { withoutExamples } to also create rules for requests
+   *   without saved examples, answering 200 with an empty body
+   * @returns {Array} { rule, unresolved } where unresolved lists variables left in the URL
+   */
+  static toRules(collection, environment, { withoutExamples = true } = {}) {
+    const seen = new Set();
+    const results = [];
+
+    collection.requests.forEach(request => {
+      const variables = { ...collection.variables, ...(environment ? environment.variables : {}), ...request.variables };
+      const resolve = (text) => this.resolveVariables(text, variables);
+      const examples = request.examples.length > 0 ? request.examples : withoutExamples ? [null] : [];
+
+      examples.forEach(example => {
+        const method = (example ? example.method : request.method) || 'GET';
+        const resolvedUrl = resolve(example ? example.url : request.url);
+        const { url, matchMode } = this.ruleUrl(resolvedUrl);
+        const key = `${method} ${url}`;
+        const headers = {};
+        Object.entries(request.headers).forEach(([name, value]) => {
+          headers[name] = resolve(value);
+        });
+        const status = example ? example.status : 200;
+        const name = [request.folder, request.name].filter(Boolean).join(' / ');
+
+        results.push({
+          rule: {
+            type: 'http',
+            enabled: !seen.has(key),
+            name: example && example.name ? `${name} - ${example.name}` : name,
+            request: {
+              url,
+              matchMode,
+              queryMode: matchMode === 'path' ? 'ignore' : 'exact',
+              method,
+              headers,
+              headerConditions: [],
+              body: ['GET', 'HEAD'].includes(method) ? null : resolve(request.body),
+              bodyMatchMode: 'none',
+            },
+            response: {
+              status,
+              statusText: (example && example.statusText) ||
+                (typeof HTTP_STATUS_CODES !== 'undefined' && HTTP_STATUS_CODES[status]) || '',
+              headers: example ? example.headers : {},
+              body: example ? example.body : '',
+              delay: null,
+            },
+          },
+          unresolved: this.unresolvedVariables(resolvedUrl),
+        });
+        seen.add(key);
+      });
+    });
+
+    return results;
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.CollectionConverter = CollectionConverter;
+  window.COLLECTION_FORMATS = COLLECTION_FORMATS;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CollectionConverter, COLLECTION_FORMATS };
+}
@@ -0,0 +1,191 @@
+/**
+ * Fake Data - Seedable generators for realistic mock payloads
+ *
+ * Used from response templates as `{{fake 'person.fullName'}}`. All generators draw
+ * from the random function they are given, so a seeded random gives repeatable data.
+ */
+
+const FAKE_DATA_SETS = {
+  firstNames: ['Ada', 'Alan', 'Amara', 'Ben', 'Carla', 'Chen', 'Diego', 'Elena', 'Farah', 'Grace',
+    'Hiro', 'Ines', 'Jonas', 'Kemi', 'Liam', 'Maya', 'Noah', 'Olga', 'Priya', 'Quinn',
+    'Rosa', 'Sven', 'Tara', 'Umar', 'Vera', 'Wei', 'Yara', 'Zoe'],
+  lastNames: ['Adams', 'Bauer', 'Costa', 'Dubois', 'Evans', 'Fischer', 'Garcia', 'Hansen', 'Ito', 'Jensen',
+    'Khan', 'Lopez', 'Müller', 'Nakamura', 'Okafor', 'Patel', 'Rossi', 'Silva', 'Tanaka', 'Walker',
+    'Novak', 'Kowalski', 'Ivanova', 'Moreau'],
+  domains: ['example.com', 'example.org', 'example.net', 'mail.test', 'acme.test'],
+  streets: ['Main St', 'Oak Ave', 'Maple Rd', 'Cedar Ln', 'Park Blvd', 'Lake Dr', 'Hill St', 'River Rd',
+    'Station Rd', 'High St', 'Elm St', 'Sunset Ave'],
+  cities: ['Springfield', 'Riverside', 'Fairview', 'Lakeside', 'Greenville', 'Bristol', 'Madison',
+    'Georgetown', 'Clinton', 'Salem', 'Franklin', 'Ashford'],
+  countries: ['United States', 'Canada', 'United Kingdom', 'Germany', 'France', 'Spain', 'Italy',
+    'Netherlands', 'Sweden', 'Japan', 'India', 'Brazil', 'Australia', 'Nigeria'],
+  companySuffixes: ['Inc', 'LLC', 'Group', 'Labs', 'Systems', 'Partners', 'Co'],
+  productAdjectives: ['Ergonomic', 'Rustic', 'Sleek', 'Smart', 'Compact', 'Durable', 'Handmade', 'Wireless'],
+  productMaterials: ['Steel', 'Wooden', 'Cotton', 'Leather', 'Ceramic', 'Bamboo', 'Glass', 'Plastic'],
+  productNouns: ['Chair', 'Lamp', 'Keyboard', 'Backpack', 'Mug', 'Watch', 'Headphones', 'Table', 'Bottle', 'Shoes'],
+  words: ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do',
+    'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua', 'enim',
+    'ad', 'minim', 'veniam', 'quis', 'nostrud', 'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip'],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most words, sentences or characters a generator makes, the same cap as {{#repeat}}
+const MAX_FAKE_COUNT = 10000;
+
+class FakeData {
+  /**
+   * Create a random number generator
+   * @param {string|number|null} seed - Seed; without one Math.random is used
+   * @returns {Function} Function returning floats in [0, 1)
+   */
+  static createRandom(seed) {
+    if (seed === null || seed === undefined || seed === '') return Math.random;
+    return this.mulberry32(this.hashSeed(String(seed)));
+  }
+
+  /**
+   * Hash a seed string to a 32-bit integer (FNV-1a)
+   */
+  static hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Small, fast seeded PRNG
+   */
+  static mulberry32(seed) {
+    let state = seed;
+    return () => {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Generate a value of the given kind
+   * @param {string} kind - Generator name, e.g. 'person.fullName' (see FakeData.generators)
+   * @param {Function} random - Random number generator
+   * @param {...*} args - Generator arguments, e.g. min and max for 'commerce.price'
+   */
+  static generate(kind, random = Math.random, ...args) {
+    const generator = this.generators[kind];
+    if (!generator) {
+      throw new Error(`Unknown fake data kind: ${kind}`);
+    }
+    return generator(this.createTools(random), ...args);
+  }
+
+  /**
+   * Random helpers shared by the generators
+   */
+  static createTools(random) {
+    const int = (min, max) => Math.floor(random() * (max - min + 1)) + min;
+    const pick = (items) => items[Math.floor(random() * items.length)];
+    return { random, int, pick };
+  }
+
+  /**
+   * Read a count argument from a template, capped at MAX_FAKE_COUNT
+   * @throws {Error} If the count is not a finite number
+   */
+  static count(value, kind) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new Error(`Invalid count for ${kind}: ${value}`);
+    }
+    return Math.max(0, Math.min(Math.floor(number), MAX_FAKE_COUNT));
+  }
+
+  /**
+   * Midnight UTC today, in milliseconds
+   */
+  static startOfToday() {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    return today.getTime();
+  }
+}
+
+// Generators by kind; each receives the random helpers followed by its arguments
+FakeData.generators = {
+  'person.firstName': ({ pick }) => pick(FAKE_DATA_SETS.firstNames),
+  'person.lastName': ({ pick }) => pick(FAKE_DATA_SETS.lastNames),
+  'person.fullName': ({ pick }) => `${pick(FAKE_DATA_SETS.firstNames)} ${pick(FAKE_DATA_SETS.lastNames)}`,
+
+  'internet.username': ({ pick, int }) =>
+    `${pick(FAKE_DATA_SETS.firstNames).toLowerCase()}${pick(['', '.', '_'])}${pick(FAKE_DATA_SETS.lastNames).toLowerCase()}${int(1, 99)}`
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, ''),
+  'internet.email': (tools) =>
+    `${FakeData.generators['internet.username'](tools)}@${tools.pick(FAKE_DATA_SETS.domains)}`,
+  'internet.url': ({ pick }) => `https://${pick(FAKE_DATA_SETS.domains)}/${pick(FAKE_DATA_SETS.words)}`,
+  'internet.ip': ({ int }) => `${int(1, 223)}.${int(0, 255)}.${int(0, 255)}.${int(1, 254)}`,
+
+  'phone.number': ({ int }) => `+1-${int(200, 999)}-${int(200, 999)}-${String(int(0, 9999)).padStart(4, '0')}`,
+
+  'address.street': ({ pick, int }) => `${int(1, 9999)} ${pick(FAKE_DATA_SETS.streets)}`,
+  'address.city': ({ pick }) => pick(FAKE_DATA_SETS.cities),
+  'address.country': ({ pick }) => pick(FAKE_DATA_SETS.countries),
+  'address.zipCode': ({ int }) => String(int(10000, 99999)),
+  'address.full': (tools) => [
+    FakeData.generators['address.street'](tools),
+    FakeData.generators['address.city'](tools),
+    FakeData.generators['address.zipCode'](tools),
+    FakeData.generators['address.country'](tools),
+  ].join(', '),
+
+  'company.name': ({ pick }) => `${pick(FAKE_DATA_SETS.lastNames)} ${pick(FAKE_DATA_SETS.companySuffixes)}`,
+
+  'commerce.product': ({ pick }) =>
+    `${pick(FAKE_DATA_SETS.productAdjectives)} ${pick(FAKE_DATA_SETS.productMaterials)} ${pick(FAKE_DATA_SETS.productNouns)}`,
+  'commerce.price': ({ random }, min = 1, max = 500) =>
+    (Number(min) + random() * (Number(max) - Number(min))).toFixed(2),
+
+  'lorem.word': ({ pick }) => pick(FAKE_DATA_SETS.words),
+  'lorem.words': ({ pick }, count = 3) =>
+    Array.from({ length: FakeData.count(count, 'lorem.words') }, () => pick(FAKE_DATA_SETS.words)).join(' '),
+  'lorem.sentence': ({ pick, int }) => {
+    const words = Array.from({ length: int(6, 14) }, () => pick(FAKE_DATA_SETS.words)).join(' ');
+    return `${words[0].toUpperCase()}${words.slice(1)}.`;
+  },
+  'lorem.paragraph': (tools, sentences = 4) =>
+    Array.from({ length: FakeData.count(sentences, 'lorem.paragraph') }, () => FakeData.generators['lorem.sentence'](tools)).join(' '),
+
+  // Dates are relative to the start of today, so a seed gives the same dates all day
+  'date.past': ({ int }, days = 365) => new Date(FakeData.startOfToday() - int(1, Number(days) * DAY_MS)).toISOString(),
+  'date.future': ({ int }, days = 365) => new Date(FakeData.startOfToday() + int(1, Number(days) * DAY_MS)).toISOString(),
+  'date.between': ({ int }, from, to) => {
+    const start = from ? new Date(from).getTime() : FakeData.startOfToday() - 365 * DAY_MS;
+    const end = to ? new Date(to).getTime() : FakeData.startOfToday();
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      throw new Error(`Invalid date range: ${from} - ${to}`);
+    }
+    return new Date(int(start, end)).toISOString();
+  },
+
+  'image.url': ({ int }, width = 640, height = 480) =>
+    `https://picsum.photos/seed/${int(1, 100000)}/${width}/${height}`,
+  'id.short': ({ pick }, length = 10) => Array.from({ length: FakeData.count(length, 'id.short') },
+    () => pick('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'.split(''))).join(''),
+  'id.number': ({ int }, min = 1, max = 100000) => int(Number(min), Number(max)),
+
+  'number.int': ({ int }, min = 0, max = 100) => int(Number(min), Number(max)),
+  'datatype.boolean': ({ random }) => random() < 0.5,
+};
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.FakeData = FakeData;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FakeData;
+}
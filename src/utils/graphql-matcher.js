@@ -0,0 +1,208 @@
+/**
+ * GraphQL Matcher - Extracts GraphQL operations from requests and matches them against rules
+ */
+
+// Supported GraphQL operation types
+const GRAPHQL_OPERATION_TYPES = {
+  ANY: 'any',
+  QUERY: 'query',
+  MUTATION: 'mutation',
+  SUBSCRIPTION: 'subscription',
+};
+
+class GraphQLMatcher {
+  /**
+   * Extract the GraphQL operation from a request
+   * POST requests carry it in a JSON body, GET requests (e.g. persisted queries) in the query string.
+   * @param {Object} requestInfo - Request with url, method and body
+   * @returns {Object|null} Operation with operationName, operationType, variables and persistedQueryHash
+   */
+  static parseRequest(requestInfo) {
+    let payload = null;
+
+    if (requestInfo.method.toUpperCase() === 'GET') {
+      payload = this.parseQueryString(requestInfo.url);
+    } else if (requestInfo.body) {
+      try {
+        payload = JSON.parse(requestInfo.body);
+      } catch (e) {
+        return null;
+      }
+      // Batched requests are only supported when they contain a single operation
+      if (Array.isArray(payload)) {
+        payload = payload.length === 1 ? payload[0] : null;
+      }
+    }
+
+    if (!payload || typeof payload !== 'object') return null;
+
+    const query = typeof payload.query === 'string' ? payload.query : '';
+    const persistedQueryHash = payload.extensions?.persistedQuery?.sha256Hash || null;
+    if (!query && !persistedQueryHash) return null;
+
+    const definition = this.findOperationDefinition(query, payload.operationName);
+    const isGet = requestInfo.method.toUpperCase() === 'GET';
+
+    return {
+      operationName: payload.operationName || definition.name || null,
+      // Only queries may be sent via GET, which covers hash-only persisted queries
+      operationType: definition.type || (isGet ? GRAPHQL_OPERATION_TYPES.QUERY : null),
+      variables: payload.variables || {},
+      persistedQueryHash,
+    };
+  }
+
+  /**
+   * Read GraphQL params from a GET request's query string
+   */
+  static parseQueryString(url) {
+    let params;
+    try {
+      params = new URL(url).searchParams;
+    } catch (e) {
+      return null;
+    }
+
+    const parseJsonParam = (name) => {
+      const value = params.get(name);
+      if (!value) return undefined;
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return undefined;
+      }
+    };
+
+    return {
+      query: params.get('query') || '',
+      operationName: params.get('operationName') || undefined,
+      variables: parseJsonParam('variables'),
+      extensions: parseJsonParam('extensions'),
+    };
+  }
+
+  /**
+   * Find the type and name of an operation in a GraphQL document
+   * Uses the named operation when given, otherwise the first one.
+   */
+  static findOperationDefinition(query, operationName) {
+    const definitions = this.parseDefinitions(query);
+    const named = operationName && definitions.find(d => d.name === operationName);
+    return named || definitions[0] || { type: null, name: null };
+  }
+
+  /**
+   * List the top-level operation definitions in a GraphQL document
+   * Fragments are skipped and the `{ ... }` shorthand counts as an anonymous query.
+   */
+  static parseDefinitions(query) {
+    const source = query.replace(/#[^\n]*/g, '');
+    const definitions = [];
+    let braceDepth = 0;
+    let parenDepth = 0;
+    let awaitingSelection = false;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (char === '"') {
+        // Skip string literals
+        i++;
+        while (i < source.length && source[i] !== '"') {
+          if (source[i] === '\\') i++;
+          i++;
+        }
+      } else if (char === '(') {
+        parenDepth++;
+      } else if (char === ')') {
+        parenDepth--;
+      } else if (parenDepth > 0) {
+        continue;
+      } else if (char === '{') {
+        if (braceDepth === 0) {
+          if (!awaitingSelection) {
+            definitions.push({ type: GRAPHQL_OPERATION_TYPES.QUERY, name: null });
+          }
+          awaitingSelection = false;
+        }
+        braceDepth++;
+      } else if (char === '}') {
+        braceDepth--;
+      } else if (braceDepth === 0 && /[a-z]/.test(char) && !/\w/.test(source[i - 1] || '')) {
+        const match = source.slice(i).match(/^(query|mutation|subscription|fragment)\b\s*([_A-Za-z][_0-9A-Za-z]*)?/);
+        if (match) {
+          if (match[1] !== 'fragment') {
+            definitions.push({ type: match[1], name: match[2] || null });
+          }
+          awaitingSelection = true;
+          i += match[0].length - 1;
+        }
+      }
+    }
+
+    return definitions;
+  }
+
+  /**
+   * Check whether an operation satisfies a rule's GraphQL criteria
+   * @param {Object} criteria - Rule criteria: operationName, operationType, variables (JSON string), persistedQueryHash
+   * @param {Object} operation - Operation returned by parseRequest
+   * @returns {boolean}
+   */
+  static match(criteria, operation) {
+    if (!operation) return false;
+    if (!criteria) return true;
+
+    if (criteria.operationName && criteria.operationName !== operation.operationName) {
+      return false;
+    }
+
+    if (criteria.operationType && criteria.operationType !== GRAPHQL_OPERATION_TYPES.ANY &&
+        criteria.operationType !== operation.operationType) {
+      return false;
+    }
+
+    if (criteria.persistedQueryHash && criteria.persistedQueryHash !== operation.persistedQueryHash) {
+      return false;
+    }
+
+    if (criteria.variables && criteria.variables.trim()) {
+      try {
+        return RequestMatcher.jsonContains(operation.variables, JSON.parse(criteria.variables));
+      } catch (e) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate a rule's GraphQL criteria
+   * @returns {string|null} Error message, or null if the criteria are valid
+   */
+  static validate(criteria) {
+    if (!criteria.operationName && !criteria.persistedQueryHash) {
+      return 'GraphQL rules need an operation name or a persisted query hash';
+    }
+    if (criteria.variables && criteria.variables.trim()) {
+      try {
+        JSON.parse(criteria.variables);
+      } catch (e) {
+        return `GraphQL variables: ${e.message}`;
+      }
+    }
+    return null;
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.GraphQLMatcher = GraphQLMatcher;
+  window.GRAPHQL_OPERATION_TYPES = GRAPHQL_OPERATION_TYPES;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GraphQLMatcher, GRAPHQL_OPERATION_TYPES };
+}
@@ -0,0 +1,340 @@
+/**
+ * HAR Converter - Turns HAR entries into mock rules and mock rules into HAR
+ *
+ * HAR is the format of Chrome's network log, used both by the DevTools network API
+ * and by exported .har files. Each entry holds one request and the response it got.
+ */
+
+// Response headers that describe the original transfer rather than the content
+const SKIPPED_RESPONSE_HEADERS = [
+  'content-encoding',
+  'content-length',
+  'transfer-encoding',
+  'connection',
+  'keep-alive',
+  'date',
+  'set-cookie',
+  'alt-svc',
+  'report-to',
+  'nel',
+  'server-timing',
+];
+
+const HAR_VERSION = '1.2';
+
+class HarConverter {
+  /**
+   * Parse the text of a .har file
+   * @returns {Array} The log's entries
+   * @throws {Error} If the text is not a HAR document
+   */
+  static parse(text) {
+    let har;
+    try {
+      har = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not a HAR file: ${e.message}`);
+    }
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+      throw new Error('Not a HAR file: log.entries is missing');
+    }
+
+    // Skip entries without the parts a rule needs, e.g. requests that never got a response
+    return har.log.entries.filter(entry => entry && entry.request && entry.response &&
+      typeof entry.request.url === 'string' && /^https?:/i.test(entry.request.url) && entry.response.status > 0);
+  }
+
+  /**
+   * Get the host of an entry's URL
+   */
+  static hostOf(entry) {
+    try {
+      return new URL(entry.request.url).host;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Get the MIME type of an entry's response, without parameters
+   */
+  static mimeTypeOf(entry) {
+    const content = entry.response.content || {};
+    return (content.mimeType || '').split(';')[0].trim().toLowerCase();
+  }
+
+  /**
+   * Get the response body of an entry
+   * @returns {Object|null} { body, bodyEncoding } as in contentOf()
+   */
+  static bodyOf(entry) {
+    const content = entry.response.content || {};
+    return this.contentOf(content.text, content.encoding, content.mimeType);
+  }
+
+  /**
+   * Filter entries for import
+   * @param {Array} entries - HAR entries
+   * @param {Object} filters - { host, mimeType, status } where status is a class like "2xx";
+   *   empty values match everything. With `dedupe` only the last entry per method and URL is kept.
+   * @returns {Array} Matching entries with a usable body, in their original order
+   */
+  static filterEntries(entries, { host = '', mimeType = '', status = '', dedupe = true } = {}) {
+    const matching = entries.filter(entry => (!host || this.hostOf(entry) === host) &&
+      (!mimeType || this.mimeTypeOf(entry) === mimeType) &&
+      (!status || `${String(entry.response.status)[0]}xx` === status) &&
+      this.bodyOf(entry) !== null);
+
+    if (!dedupe) return matching;
+
+    // Requests that differ only in cache busters are the same request to a rule
+    const key = entry => `${entry.request.method.toUpperCase()} ${UrlMatcher.stripCacheBusters(entry.request.url)}`;
+    const last = new Map();
+    matching.forEach(entry => last.set(key(entry), entry));
+    return matching.filter(entry => last.get(key(entry)) === entry);
+  }
+
+  /**
+   * Build a HAR document from mock rules
+   * Only rules with a fixed URL and a static HTTP response can be expressed as entries;
+   * sequences export their first response.
+   * @param {Array} rules - Mock rules
+   * @param {Object} creator - { name, version } of the exporting app
+   * @returns {Object} { har, skipped } with the number of rules left out
+   */
+  static fromRules(rules, creator) {
+    const exportable = rules.filter(rule => this.isExportable(rule));
+
+    return {
+      har: {
+        log: {
+          version: HAR_VERSION,
+          creator,
+          entries: exportable.map(rule => this.toEntry(rule)),
+        },
+      },
+      skipped: rules.length - exportable.length,
+    };
+  }
+
+  /**
+   * Check whether a rule can be written as a HAR entry
+   */
+  static isExportable(rule) {
+    if (rule.type === 'resource' || rule.handler || rule.transform || rule.rewrite || rule.response.failure) {
+      return false;
+    }
+    // A GraphQL rule for any operation has no request body to write
+    if (rule.type === 'graphql' && !this.graphqlPayload(rule)) return false;
+    if ((rule.request.matchMode || 'exact') !== 'exact') return false;
+
+    try {
+      return /^https?:$/.test(new URL(rule.request.url).protocol);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Build a HAR entry from a mock rule
+   */
+  static toEntry(rule) {
+    const url = new URL(rule.request.url);
+    const method = rule.type === 'graphql' ? 'POST' : rule.request.method.toUpperCase();
+    const toPairs = (headers = {}) => Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+    const responseHeaders = toPairs(rule.response.headers);
+    const contentType = responseHeaders.find(({ name }) => name.toLowerCase() === 'content-type');
+    const requestHeaders = toPairs(rule.request.headers);
+    const requestType = requestHeaders.find(({ name }) => name.toLowerCase() === 'content-type');
+    const body = rule.response.body || '';
+    const isBinary = rule.response.bodyEncoding === 'base64';
+    // Four base64 characters hold three bytes, less the padding
+    const size = isBinary ? body.length / 4 * 3 - (body.match(/=*$/)[0].length) : body.length;
+    const graphqlPayload = rule.type === 'graphql' ? this.graphqlPayload(rule) : null;
+    const requestBody = graphqlPayload ? JSON.stringify(graphqlPayload) : rule.request.body || '';
+
+    const entry = {
+      startedDateTime: new Date(rule.createdAt || Date.now()).toISOString(),
+      time: 0,
+      request: {
+        method,
+        url: url.href,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: requestHeaders,
+        queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: requestBody.length,
+      },
+      response: {
+        status: rule.response.status,
+        statusText: rule.response.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: responseHeaders,
+        content: {
+          size,
+          mimeType: contentType ? contentType.value : 'text/plain',
+          text: body,
+          ...(isBinary ? { encoding: 'base64' } : {}),
+        },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: size,
+      },
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 },
+      comment: rule.name || '',
+    };
+
+    if (graphqlPayload) {
+      entry.request.postData = { mimeType: 'application/json', text: requestBody };
+    } else if (requestBody) {
+      entry.request.postData = { mimeType: requestType ? requestType.value : 'text/plain', text: requestBody };
+    }
+
+    return entry;
+  }
+
+  /**
+   * Build the request body of the operation a GraphQL rule matches
+   * Rules hold no query text, so the operation is named by operationName and/or a persisted query hash.
+   * @returns {Object|null} { operationName, variables, extensions }, or null if the rule matches any operation
+   */
+  static graphqlPayload(rule) {
+    const { operationName, variables, persistedQueryHash } = rule.graphql || {};
+    if (!operationName && !persistedQueryHash) return null;
+
+    const payload = {};
+    if (operationName) payload.operationName = operationName;
+    if (variables && variables.trim()) {
+      try {
+        payload.variables = JSON.parse(variables);
+      } catch (e) {
+        // Invalid variables never match, so there are none to write
+      }
+    }
+    if (persistedQueryHash) {
+      payload.extensions = { persistedQuery: { version: 1, sha256Hash: persistedQueryHash } };
+    }
+    return payload;
+  }
+
+  /**
+   * Check whether a MIME type holds text that can be a rule's response body
+   */
+  static isTextual(mimeType = '') {
+    const type = mimeType.split(';')[0].trim().toLowerCase();
+    return !type ||
+      type.startsWith('text/') ||
+      /[+/](json|xml|javascript|ecmascript|x-www-form-urlencoded|graphql)$/.test(type) ||
+      type === 'application/x-ndjson';
+  }
+
+  /**
+   * Get a response body as a rule holds it from HAR content
+   * Text is decoded; binary content such as an image stays base64 encoded.
+   * @param {string} text - Body, possibly base64 encoded
+   * @param {string} encoding - HAR content encoding, e.g. "base64"
+   * @param {string} mimeType - Response MIME type
+   * @returns {Object|null} { body, bodyEncoding } where bodyEncoding is "base64" for binary
+   *   content or null; null if the body can't be read, e.g. binary content saved without it
+   */
+  static contentOf(text, encoding, mimeType) {
+    const body = this.decodeContent(text, encoding, mimeType);
+    if (body !== null) return { body, bodyEncoding: null };
+    return text && encoding === 'base64' ? { body: text.replace(/\s+/g, ''), bodyEncoding: 'base64' } : null;
+  }
+
+  /**
+   * Decode a response body as captured in HAR content
+   * @param {string} text - Body, possibly base64 encoded
+   * @param {string} encoding - HAR content encoding, e.g. "base64"
+   * @param {string} mimeType - Response MIME type
+   * @returns {string|null} The body, or null for binary content
+   */
+  static decodeContent(text, encoding, mimeType) {
+    if (!this.isTextual(mimeType)) return null;
+    if (!text) return '';
+    if (encoding !== 'base64') return text;
+
+    try {
+      const bytes = Uint8Array.from(atob(text), char => char.charCodeAt(0));
+      return new TextDecoder().decode(bytes);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Convert HAR name/value header pairs to an object, dropping transfer headers
+   */
+  static responseHeaders(headers = []) {
+    const result = {};
+    headers.forEach(({ name, value }) => {
+      if (!name || name.startsWith(':') || SKIPPED_RESPONSE_HEADERS.includes(name.toLowerCase())) return;
+      // Repeated headers are joined, as the Headers API does
+      result[name] = name in result ? `${result[name]}, ${value}` : value;
+    });
+    return result;
+  }
+
+  /**
+   * Name a rule after its request, e.g. "GET /api/users"
+   */
+  static ruleName(method, url) {
+    try {
+      const parsed = new URL(url);
+      return `${method} ${parsed.pathname}${parsed.search}`;
+    } catch (e) {
+      return `${method} ${url}`;
+    }
+  }
+
+  /**
+   * Build the data for an ADD_RULE message from a HAR entry
+   * @param {Object} entry - HAR entry
+   * @param {Object} content - { body, bodyEncoding } from contentOf()
+   * @returns {Object} Rule data
+   */
+  static toRule(entry, { body, bodyEncoding } = {}) {
+    const method = entry.request.method.toUpperCase();
+    const { status, statusText, headers } = entry.response;
+    // Requests are matched without their cache busters, so an exact rule can't have them
+    const url = UrlMatcher.stripCacheBusters(entry.request.url);
+
+    return {
+      type: 'http',
+      name: this.ruleName(method, url),
+      request: {
+        url,
+        matchMode: 'exact',
+        queryMode: 'exact',
+        method,
+        headers: {},
+        headerConditions: [],
+        body: null,
+        bodyMatchMode: 'none',
+      },
+      response: {
+        status,
+        statusText: statusText || (typeof HTTP_STATUS_CODES !== 'undefined' && HTTP_STATUS_CODES[status]) || '',
+        headers: this.responseHeaders(headers),
+        body: body || '',
+        bodyEncoding: bodyEncoding || null,
+        delay: null,
+      },
+    };
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.HarConverter = HarConverter;
+  window.HAR_VERSION = HAR_VERSION;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { HarConverter, HAR_VERSION };
+}
@@ -0,0 +1,543 @@
+/**
+ * JSONPath - Evaluates JSONPath expressions against parsed JSON values
+ *
+ * Supports `$`, `.name`, `['name']`, `[0]`, `[-1]`, `[0,2]`, `[start:end:step]`,
+ * `*`, `..` (recursive descent) and filters such as `[?(@.qty > 1 && @.tag =~ /a/i)]`.
+ */
+
+class JsonPath {
+  /**
+   * Get all values selected by a JSONPath expression
+   * @param {*} root - Parsed JSON value
+   * @param {string} path - JSONPath expression, e.g. `$.users[*].name`
+   * @returns {Array} Selected values
+   */
+  static query(root, path) {
+    return this.nodes(root, path).map(node => node.value);
+  }
+
+  /**
+   * Get all nodes selected by a JSONPath expression
+   * Each node carries its value plus the parent container and key it lives under.
+   * @returns {Array<{value: *, parent: Object|Array|null, key: string|number|null}>}
+   */
+  static nodes(root, path, current = root) {
+    const { origin, segments } = this.parse(path);
+    return this.walk(root, origin === '@' ? current : root, segments);
+  }
+
+  /**
+   * Apply parsed segments starting from a value
+   * @param {*} root - Value `$` refers to in filters
+   * @param {*} start - Value the first segment applies to
+   * @param {Array} segments - Segments from parse()
+   */
+  static walk(root, start, segments) {
+    let nodes = [{ value: start, parent: null, key: null }];
+
+    for (const segment of segments) {
+      const next = [];
+      for (const node of nodes) {
+        const candidates = segment.descendant ? [node, ...this.descendants(node)] : [node];
+        for (const candidate of candidates) {
+          next.push(...this.applySegment(segment, candidate, root));
+        }
+      }
+      nodes = next;
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Evaluate a predicate against a JSON value
+   *
+   * A bare path is true when it selects anything; comparisons such as
+   * `$.user.role == 'admin'` compare the first selected value.
+   * @returns {boolean}
+   */
+  static test(root, expression) {
+    const parser = new JsonPathExpressionParser(expression);
+    const ast = parser.parseExpression();
+    parser.expectEnd();
+    return Boolean(this.evaluateExpression(ast, root, root, true));
+  }
+
+  /**
+   * Parse a JSONPath expression into segments
+   * @throws {Error} If the expression is malformed
+   */
+  static parse(path) {
+    if (this.cache.has(path)) {
+      return this.cache.get(path);
+    }
+
+    const source = path.trim();
+    const origin = source[0];
+    if (origin !== '$' && origin !== '@') {
+      throw new Error(`JSONPath must start with $ or @: ${path}`);
+    }
+
+    const segments = [];
+    let i = 1;
+
+    while (i < source.length) {
+      let descendant = false;
+
+      if (source.startsWith('..', i)) {
+        descendant = true;
+        i += 2;
+      } else if (source[i] === '.') {
+        i += 1;
+      } else if (source[i] !== '[') {
+        throw new Error(`Unexpected "${source[i]}" at position ${i} in ${path}`);
+      }
+
+      if (source[i] === '[') {
+        const { segment, end } = this.parseBracket(source, i);
+        segments.push({ ...segment, descendant });
+        i = end;
+      } else if (source[i] === '*') {
+        segments.push({ type: 'wildcard', descendant });
+        i += 1;
+      } else {
+        const name = source.slice(i).match(/^[\w$-]+/);
+        if (!name) {
+          throw new Error(`Expected a property name at position ${i} in ${path}`);
+        }
+        segments.push({ type: 'child', keys: [name[0]], descendant });
+        i += name[0].length;
+      }
+    }
+
+    const parsed = { origin, segments };
+    this.cache.set(path, parsed);
+    return parsed;
+  }
+
+  /**
+   * Parse a bracket segment starting at `start` (which points at `[`)
+   */
+  static parseBracket(source, start) {
+    let i = start + 1;
+    const skipSpaces = () => {
+      while (source[i] === ' ') i++;
+    };
+    skipSpaces();
+
+    // Filter expression
+    if (source[i] === '?') {
+      i++;
+      skipSpaces();
+      if (source[i] !== '(') {
+        throw new Error(`Expected "(" after "?" at position ${i}`);
+      }
+      const close = this.findClosingParen(source, i);
+      const parser = new JsonPathExpressionParser(source.slice(i + 1, close));
+      const expr = parser.parseExpression();
+      parser.expectEnd();
+      i = close + 1;
+      skipSpaces();
+      if (source[i] !== ']') {
+        throw new Error(`Expected "]" at position ${i}`);
+      }
+      return { segment: { type: 'filter', expr }, end: i + 1 };
+    }
+
+    // Wildcard
+    if (source[i] === '*') {
+      i++;
+      skipSpaces();
+      if (source[i] !== ']') {
+        throw new Error(`Expected "]" at position ${i}`);
+      }
+      return { segment: { type: 'wildcard' }, end: i + 1 };
+    }
+
+    // Slice
+    const slice = source.slice(i).match(/^(-?\d*)\s*:\s*(-?\d*)\s*(?::\s*(-?\d*))?\s*\]/);
+    if (slice) {
+      const toNumber = (value) => (value === undefined || value === '' ? null : parseInt(value, 10));
+      return {
+        segment: { type: 'slice', start: toNumber(slice[1]), end: toNumber(slice[2]), step: toNumber(slice[3]) },
+        end: i + slice[0].length,
+      };
+    }
+
+    // Union of names and/or indexes
+    const keys = [];
+    while (i < source.length) {
+      skipSpaces();
+      const quote = source[i];
+      if (quote === '"' || quote === "'") {
+        let value = '';
+        i++;
+        while (i < source.length && source[i] !== quote) {
+          if (source[i] === '\\') i++;
+          value += source[i];
+          i++;
+        }
+        i++;
+        keys.push(value);
+      } else {
+        const index = source.slice(i).match(/^-?\d+/);
+        if (!index) {
+          throw new Error(`Unexpected "${source[i]}" in brackets at position ${i}`);
+        }
+        keys.push(parseInt(index[0], 10));
+        i += index[0].length;
+      }
+      skipSpaces();
+      if (source[i] === ',') {
+        i++;
+        continue;
+      }
+      if (source[i] === ']') {
+        return { segment: { type: 'child', keys }, end: i + 1 };
+      }
+      throw new Error(`Expected "," or "]" at position ${i}`);
+    }
+
+    throw new Error('Unterminated bracket in JSONPath');
+  }
+
+  /**
+   * Find the parenthesis closing the one at `start`, skipping quoted strings
+   */
+  static findClosingParen(source, start) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+
+    throw new Error('Unterminated filter expression in JSONPath');
+  }
+
+  /**
+   * Apply one segment to a node, returning the selected child nodes
+   */
+  static applySegment(segment, node, root) {
+    const { value } = node;
+    if (value === null || typeof value !== 'object') return [];
+
+    switch (segment.type) {
+      case 'child':
+        return segment.keys.flatMap(key => {
+          if (Array.isArray(value)) {
+            if (typeof key !== 'number') return [];
+            const index = key < 0 ? value.length + key : key;
+            return index >= 0 && index < value.length ? [{ value: value[index], parent: value, key: index }] : [];
+          }
+          const name = String(key);
+          return Object.prototype.hasOwnProperty.call(value, name) ? [{ value: value[name], parent: value, key: name }] : [];
+        });
+
+      case 'wildcard':
+        return this.children(node);
+
+      case 'slice': {
+        if (!Array.isArray(value)) return [];
+        const length = value.length;
+        const step = segment.step || 1;
+        const normalize = (index, fallback) => {
+          if (index === null) return fallback;
+          return index < 0 ? Math.max(length + index, 0) : Math.min(index, length);
+        };
+        const result = [];
+        if (step > 0) {
+          for (let i = normalize(segment.start, 0); i < normalize(segment.end, length); i += step) {
+            result.push({ value: value[i], parent: value, key: i });
+          }
+        } else {
+          const start = segment.start === null ? length - 1 : Math.min(normalize(segment.start, 0), length - 1);
+          const end = segment.end === null ? -1 : normalize(segment.end, -1);
+          for (let i = start; i > end; i += step) {
+            result.push({ value: value[i], parent: value, key: i });
+          }
+        }
+        return result;
+      }
+
+      case 'filter':
+        return this.children(node).filter(child => this.evaluateExpression(segment.expr, root, child.value, true));
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Get the direct children of a node
+   */
+  static children(node) {
+    const { value } = node;
+    if (value === null || typeof value !== 'object') return [];
+    if (Array.isArray(value)) {
+      return value.map((item, index) => ({ value: item, parent: value, key: index }));
+    }
+    return Object.keys(value).map(key => ({ value: value[key], parent: value, key }));
+  }
+
+  /**
+   * Get all descendants of a node, depth first
+   */
+  static descendants(node) {
+    const result = [];
+    for (const child of this.children(node)) {
+      result.push(child, ...this.descendants(child));
+    }
+    return result;
+  }
+
+  /**
+   * Evaluate a filter expression AST
+   * @param {boolean} asCondition - Whether a bare path should be treated as an existence check
+   */
+  static evaluateExpression(ast, root, current, asCondition = false) {
+    switch (ast.type) {
+      case 'literal':
+        return ast.value;
+
+      case 'path': {
+        const nodes = this.nodes(root, ast.path, current);
+        if (asCondition) return nodes.length > 0;
+        return nodes.length > 0 ? nodes[0].value : undefined;
+      }
+
+      case 'not':
+        return !this.evaluateExpression(ast.operand, root, current, true);
+
+      case 'and':
+        return this.evaluateExpression(ast.left, root, current, true) &&
+          this.evaluateExpression(ast.right, root, current, true);
+
+      case 'or':
+        return this.evaluateExpression(ast.left, root, current, true) ||
+          this.evaluateExpression(ast.right, root, current, true);
+
+      case 'compare': {
+        const left = this.evaluateExpression(ast.left, root, current);
+        const right = this.evaluateExpression(ast.right, root, current);
+        return this.compare(ast.operator, left, right);
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Compare two values with a filter operator
+   */
+  static compare(operator, left, right) {
+    const equals = (a, b) => {
+      if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+        return JSON.stringify(a) === JSON.stringify(b);
+      }
+      return a === b;
+    };
+    const comparable = (typeof left === 'number' && typeof right === 'number') ||
+      (typeof left === 'string' && typeof right === 'string');
+
+    switch (operator) {
+      case '==': return equals(left, right);
+      case '!=': return !equals(left, right);
+      case '<': return comparable && left < right;
+      case '<=': return comparable && left <= right;
+      case '>': return comparable && left > right;
+      case '>=': return comparable && left >= right;
+      case '=~': return typeof left === 'string' && right instanceof RegExp && right.test(left);
+      default: return false;
+    }
+  }
+}
+
+// Parsed path cache, shared across calls
+JsonPath.cache = new Map();
+
+/**
+ * Recursive-descent parser for JSONPath filter expressions
+ */
+class JsonPathExpressionParser {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+  }
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  expectEnd() {
+    this.skipSpaces();
+    if (this.pos < this.source.length) {
+      throw new Error(`Unexpected "${this.source.slice(this.pos)}" in expression`);
+    }
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.consume('||')) {
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseUnary();
+    while (this.consume('&&')) {
+      left = { type: 'and', left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    this.skipSpaces();
+    if (this.source[this.pos] === '!' && this.source[this.pos + 1] !== '=') {
+      this.pos++;
+      return { type: 'not', operand: this.parseUnary() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseOperand();
+    this.skipSpaces();
+    const operator = ['==', '!=', '<=', '>=', '=~', '<', '>'].find(op => this.source.startsWith(op, this.pos));
+    if (!operator) {
+      return left;
+    }
+    this.pos += operator.length;
+    return { type: 'compare', operator, left, right: this.parseOperand() };
+  }
+
+  parseOperand() {
+    this.skipSpaces();
+    const char = this.source[this.pos];
+
+    if (char === '(') {
+      this.pos++;
+      const expr = this.parseOr();
+      if (!this.consume(')')) {
+        throw new Error('Expected ")" in expression');
+      }
+      return expr;
+    }
+
+    if (char === '$' || char === '@') {
+      return { type: 'path', path: this.readPath() };
+    }
+
+    if (char === '"' || char === "'") {
+      return { type: 'literal', value: this.readString(char) };
+    }
+
+    if (char === '/') {
+      return { type: 'literal', value: this.readRegex() };
+    }
+
+    const number = this.source.slice(this.pos).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+    if (number) {
+      this.pos += number[0].length;
+      return { type: 'literal', value: parseFloat(number[0]) };
+    }
+
+    const keyword = this.source.slice(this.pos).match(/^(true|false|null)\b/);
+    if (keyword) {
+      this.pos += keyword[0].length;
+      return { type: 'literal', value: JSON.parse(keyword[0]) };
+    }
+
+    throw new Error(`Unexpected "${char || 'end of expression'}" in expression`);
+  }
+
+  /**
+   * Read a path operand up to the next operator or whitespace outside brackets
+   */
+  readPath() {
+    const start = this.pos;
+    let depth = 0;
+    let quote = null;
+
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos];
+      if (quote) {
+        if (char === '\\') this.pos++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[' || char === '(') {
+        depth++;
+      } else if (char === ']' || (char === ')' && depth > 0)) {
+        depth--;
+      } else if (depth === 0 && /[\s)=!<>&|]/.test(char)) {
+        break;
+      }
+      this.pos++;
+    }
+
+    const path = this.source.slice(start, this.pos);
+    JsonPath.parse(path);
+    return path;
+  }
+
+  readString(quote) {
+    let value = '';
+    this.pos++;
+    while (this.pos < this.source.length && this.source[this.pos] !== quote) {
+      if (this.source[this.pos] === '\\') this.pos++;
+      value += this.source[this.pos];
+      this.pos++;
+    }
+    if (this.source[this.pos] !== quote) {
+      throw new Error('Unterminated string in expression');
+    }
+    this.pos++;
+    return value;
+  }
+
+  readRegex() {
+    const match = this.source.slice(this.pos).match(/^\/((?:\\.|[^/\\])*)\/([a-z]*)/);
+    if (!match) {
+      throw new Error('Unterminated regular expression in expression');
+    }
+    this.pos += match[0].length;
+    return new RegExp(match[1], match[2]);
+  }
+
+  consume(token) {
+    this.skipSpaces();
+    if (this.source.startsWith(token, this.pos)) {
+      this.pos += token.length;
+      return true;
+    }
+    return false;
+  }
+
+  skipSpaces() {
+    while (/\s/.test(this.source[this.pos] || '')) this.pos++;
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.JsonPath = JsonPath;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JsonPath;
+}
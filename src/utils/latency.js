@@ -0,0 +1,126 @@
+/**
+ * Latency - Samples simulated response delays for mock rules
+ */
+
+// Supported delay types
+const DELAY_TYPES = {
+  NONE: 'none',
+  FIXED: 'fixed',
+  RANGE: 'range',
+  NORMAL: 'normal',
+  LONG_TAIL: 'longtail',
+};
+
+// Pareto shape for long-tail delays; lower values give a heavier tail
+const LONG_TAIL_SHAPE = 1.5;
+
+class Latency {
+  /**
+   * Sample a delay for a rule's delay setting
+   * @param {Object} delay - { type, ms, min, max, mean, stdDev }
+   * @param {number} multiplier - Global slow network multiplier
+   * @returns {number} Delay in milliseconds
+   */
+  static sample(delay, multiplier = 1) {
+    const ms = this.sampleBase(delay);
+    return Math.max(0, Math.round(ms * (multiplier > 0 ? multiplier : 1)));
+  }
+
+  /**
+   * Sample a delay before the multiplier is applied
+   */
+  static sampleBase(delay) {
+    if (!delay) return 0;
+
+    const min = Number(delay.min) || 0;
+    const max = Number(delay.max) || 0;
+
+    switch (delay.type) {
+      case DELAY_TYPES.FIXED:
+        return Number(delay.ms) || 0;
+
+      case DELAY_TYPES.RANGE:
+        return min + Math.random() * Math.max(0, max - min);
+
+      case DELAY_TYPES.NORMAL: {
+        // Box-Muller transform
+        const u = 1 - Math.random();
+        const v = Math.random();
+        const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        return (Number(delay.mean) || 0) + z * (Number(delay.stdDev) || 0);
+      }
+
+      case DELAY_TYPES.LONG_TAIL: {
+        // Pareto distribution starting at min, capped at max
+        const scale = Math.max(min, 1);
+        const value = scale / Math.pow(1 - Math.random(), 1 / LONG_TAIL_SHAPE);
+        return max > 0 ? Math.min(value, max) : value;
+      }
+
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Short human readable description of a delay setting, e.g. "200-800ms"
+   * @returns {string} Description, or an empty string when there is no delay
+   */
+  static describe(delay) {
+    if (!delay) return '';
+
+    switch (delay.type) {
+      case DELAY_TYPES.FIXED:
+        return `${delay.ms}ms`;
+      case DELAY_TYPES.RANGE:
+        return `${delay.min}-${delay.max}ms`;
+      case DELAY_TYPES.NORMAL:
+        return `~${delay.mean}±${delay.stdDev}ms`;
+      case DELAY_TYPES.LONG_TAIL:
+        return `${delay.min}ms+ (long tail, max ${delay.max}ms)`;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Validate a delay setting
+   * @returns {string|null} Error message, or null if the delay is valid
+   */
+  static validate(delay) {
+    if (!delay || delay.type === DELAY_TYPES.NONE) return null;
+
+    const fields = {
+      [DELAY_TYPES.FIXED]: ['ms'],
+      [DELAY_TYPES.RANGE]: ['min', 'max'],
+      [DELAY_TYPES.NORMAL]: ['mean', 'stdDev'],
+      [DELAY_TYPES.LONG_TAIL]: ['min', 'max'],
+    }[delay.type];
+
+    if (!fields) return `Unknown delay type: ${delay.type}`;
+
+    for (const field of fields) {
+      const value = delay[field];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        return 'Delay values must be non-negative numbers of milliseconds';
+      }
+    }
+
+    if ((delay.type === DELAY_TYPES.RANGE || delay.type === DELAY_TYPES.LONG_TAIL) && delay.min > delay.max) {
+      return 'Delay minimum must not be greater than the maximum';
+    }
+
+    return null;
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.Latency = Latency;
+  window.DELAY_TYPES = DELAY_TYPES;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Latency, DELAY_TYPES };
+}
@@ -0,0 +1,348 @@
+/**
+ * OpenAPI Converter - Turns OpenAPI 3.x and Swagger 2.0 operations into mock rules
+ *
+ * Each operation becomes a path rule, e.g. `GET /pets/{petId}` matches `/pets/:petId`
+ * under the chosen base URL. Response bodies come from the spec's examples, or are
+ * synthesized from the response schema when there are none.
+ */
+
+const OPENAPI_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+// Schemas nested deeper than this synthesize as null, which also ends recursive schemas
+const MAX_SCHEMA_DEPTH = 8;
+
+// Sample values for string formats
+const STRING_FORMAT_SAMPLES = {
+  'date-time': '2024-01-01T12:00:00Z',
+  date: '2024-01-01',
+  time: '12:00:00',
+  email: 'user@example.com',
+  uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  hostname: 'example.com',
+  ipv4: '192.168.0.1',
+  ipv6: '::1',
+  byte: 'U3dhZ2dlciByb2Nrcw==',
+  binary: '',
+  password: '********',
+};
+
+class OpenApiConverter {
+  /**
+   * Parse an OpenAPI or Swagger document
+   * @param {string} text - JSON or YAML source
+   * @returns {Object} The spec
+   * @throws {Error} If the text is not a supported API document
+   */
+  static parse(text) {
+    const source = String(text || '').trim();
+    if (!source) {
+      throw new Error('Paste a spec or choose a file');
+    }
+
+    let spec;
+    try {
+      spec = source.startsWith('{') ? JSON.parse(source) : YamlParser.parse(source);
+    } catch (e) {
+      throw new Error(`Not a valid spec: ${e.message}`);
+    }
+
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error('Not a valid spec: expected an object at the top level');
+    }
+    if (!(typeof spec.openapi === 'string' && spec.openapi.startsWith('3.')) && String(spec.swagger) !== '2.0') {
+      throw new Error('Only OpenAPI 3.x and Swagger 2.0 documents are supported');
+    }
+    if (!spec.paths || typeof spec.paths !== 'object') {
+      throw new Error('The spec has no paths');
+    }
+
+    return spec;
+  }
+
+  /**
+   * Check whether a spec is Swagger 2.0 rather than OpenAPI 3.x
+   */
+  static isSwagger(spec) {
+    return String(spec.swagger) === '2.0';
+  }
+
+  /**
+   * Get the base URL the spec declares, without a trailing slash
+   * Server variables take their default values. Returns a path such as "/v1",
+   * or an empty string, when the spec names no host.
+   */
+  static baseUrl(spec) {
+    let url = '';
+
+    if (this.isSwagger(spec)) {
+      const basePath = spec.basePath || '';
+      url = spec.host ? `${(spec.schemes || ['https'])[0]}://${spec.host}${basePath}` : basePath;
+    } else if (Array.isArray(spec.servers) && spec.servers[0] && spec.servers[0].url) {
+      const { url: serverUrl, variables = {} } = spec.servers[0];
+      url = serverUrl.replace(/\{([^}]+)\}/g, (match, name) =>
+        variables[name] && variables[name].default !== undefined ? String(variables[name].default) : match);
+    }
+
+    return url.replace(/\/+$/, '');
+  }
+
+  /**
+   * List the spec's operations
+   * @returns {Array} { method, path, title, responses } where responses is a list of
+   *   { key, status } for the operation's documented responses
+   */
+  static operations(spec) {
+    const operations = [];
+
+    Object.entries(spec.paths).forEach(([path, item]) => {
+      const pathItem = this.resolveRef(spec, item) || {};
+
+      OPENAPI_METHODS.forEach(method => {
+        const operation = pathItem[method];
+        if (!operation || typeof operation !== 'object') return;
+
+        const responses = this.responseKeys(operation);
+        if (responses.length === 0) return;
+
+        operations.push({
+          method: method.toUpperCase(),
+          path,
+          title: operation.summary || operation.operationId || '',
+          operation,
+          responses,
+        });
+      });
+    });
+
+    return operations;
+  }
+
+  /**
+   * Map an operation's response keys to status codes
+   * Ranges such as "4XX" use their first code; "default" is used only when nothing else is documented.
+   */
+  static responseKeys(operation) {
+    const keys = Object.keys(operation.responses || {});
+    const responses = keys
+      .map(key => {
+        if (/^[1-5]\d\d$/.test(key)) return { key, status: Number(key) };
+        if (/^[1-5]XX$/i.test(key)) return { key, status: Number(key[0]) * 100 };
+        return null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.status - b.status);
+
+    if (responses.length === 0 && keys.includes('default')) {
+      responses.push({ key: 'default', status: 200 });
+    }
+    return responses;
+  }
+
+  /**
+   * Pick the response an operation is mocked with by default: the first success, else the first documented
+   */
+  static defaultResponse(operation) {
+    return operation.responses.find(({ status }) => status >= 200 && status < 300) || operation.responses[0];
+  }
+
+  /**
+   * Follow local `$ref`s such as "#/components/schemas/Pet"
+   * @returns {*} The referenced value, or null for external or missing references
+   */
+  static resolveRef(spec, value, seen = new Set()) {
+    if (!value || typeof value.$ref !== 'string') return value;
+
+    const ref = value.$ref;
+    if (!ref.startsWith('#/') || seen.has(ref)) return null;
+    seen.add(ref);
+
+    let target = spec;
+    for (const part of ref.slice(2).split('/')) {
+      const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+      if (!target || typeof target !== 'object' || !(key in target)) return null;
+      target = target[key];
+    }
+
+    return this.resolveRef(spec, target, seen);
+  }
+
+  /**
+   * Build an operation's response for one of its status codes
+   * @returns {Object} { status, contentType, body } where body is null when nothing is documented
+   */
+  static responseFor(spec, operation, key) {
+    const response = this.resolveRef(spec, operation.operation.responses[key]) || {};
+
+    if (this.isSwagger(spec)) {
+      const examples = response.examples || {};
+      const produces = operation.operation.produces || spec.produces || ['application/json'];
+      const exampleType = this.pickMediaType(Object.keys(examples));
+      const contentType = exampleType || this.pickMediaType(produces) || 'application/json';
+
+      if (exampleType) return { contentType, body: this.serialize(examples[exampleType], contentType) };
+      if (response.schema) return { contentType, body: this.serialize(this.synthesize(spec, response.schema), contentType) };
+      return { contentType: null, body: null };
+    }
+
+    const content = response.content || {};
+    const contentType = this.pickMediaType(Object.keys(content));
+    if (!contentType) return { contentType: null, body: null };
+
+    const media = content[contentType] || {};
+    let value;
+    if (media.example !== undefined) {
+      value = media.example;
+    } else if (media.examples && Object.keys(media.examples).length > 0) {
+      const example = this.resolveRef(spec, Object.values(media.examples)[0]) || {};
+      value = example.value;
+    }
+    if (value === undefined && media.schema) {
+      value = this.synthesize(spec, media.schema);
+    }
+
+    return { contentType, body: value === undefined ? null : this.serialize(value, contentType) };
+  }
+
+  /**
+   * Prefer a JSON media type, else the first one listed
+   */
+  static pickMediaType(types) {
+    return types.find(type => /[/+]json\b/i.test(type)) || types[0] || null;
+  }
+
+  /**
+   * Turn an example value into a response body
+   */
+  static serialize(value, contentType) {
+    if (typeof value === 'string' && !/[/+]json\b/i.test(contentType || '')) return value;
+    return JSON.stringify(value, null, 2);
+  }
+
+  /**
+   * Build a sample value from a JSON schema
+   * Uses the schema's example, default, const or first enum value where it has one.
+   */
+  static synthesize(spec, schema, depth = 0, refs = []) {
+    if (!schema || typeof schema !== 'object' || depth > MAX_SCHEMA_DEPTH) return null;
+
+    if (typeof schema.$ref === 'string') {
+      // A schema inside itself would never end
+      if (refs.includes(schema.$ref)) return null;
+      return this.synthesize(spec, this.resolveRef(spec, schema), depth, [...refs, schema.$ref]);
+    }
+
+    if (schema.example !== undefined) return schema.example;
+    if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+    if (schema.default !== undefined) return schema.default;
+    if (schema.const !== undefined) return schema.const;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+    if (Array.isArray(schema.allOf)) {
+      return schema.allOf.reduce((result, part) => {
+        const value = this.synthesize(spec, part, depth, refs);
+        return this.isObject(value) && this.isObject(result) ? { ...result, ...value } : value;
+      }, {});
+    }
+    const choices = schema.oneOf || schema.anyOf;
+    if (Array.isArray(choices) && choices.length > 0) {
+      return this.synthesize(spec, choices[0], depth, refs);
+    }
+
+    // OpenAPI 3.1 allows a list of types, e.g. ["string", "null"]
+    let type = Array.isArray(schema.type) ? schema.type.find(item => item !== 'null') || 'null' : schema.type;
+    if (!type) {
+      type = schema.properties || schema.additionalProperties ? 'object' : schema.items ? 'array' : null;
+    }
+
+    switch (type) {
+      case 'object': {
+        const result = {};
+        Object.entries(schema.properties || {}).forEach(([name, property]) => {
+          const resolved = this.resolveRef(spec, property) || {};
+          // Write-only properties are only ever sent by the client
+          if (resolved.writeOnly) return;
+          result[name] = this.synthesize(spec, property, depth + 1, refs);
+        });
+        if (Object.keys(result).length === 0 && this.isObject(schema.additionalProperties)) {
+          result.key = this.synthesize(spec, schema.additionalProperties, depth + 1, refs);
+        }
+        return result;
+      }
+      case 'array':
+        return depth < MAX_SCHEMA_DEPTH && schema.items ? [this.synthesize(spec, schema.items, depth + 1, refs)] : [];
+      case 'string':
+        return STRING_FORMAT_SAMPLES[schema.format] !== undefined ? STRING_FORMAT_SAMPLES[schema.format] : 'string';
+      case 'integer':
+        return typeof schema.minimum === 'number' ? Math.ceil(schema.minimum) : 0;
+      case 'number':
+        return typeof schema.minimum === 'number' ? schema.minimum : 0;
+      case 'boolean':
+        return true;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Convert an OpenAPI path to a path-mode URL template, e.g. "/pets/{petId}" to "/pets/:petId"
+   */
+  static pathTemplate(path) {
+    return path.replace(/\{([^}]*)\}/g, (match, name) => {
+      const param = name.replace(/[^\w$]/g, '_');
+      return `:${/^[A-Za-z_$]/.test(param) ? param : `_${param}`}`;
+    });
+  }
+
+  /**
+   * Build the data for an ADD_RULES message from an operation
+   * @param {Object} spec - The spec
+   * @param {Object} operation - An entry from operations()
+   * @param {string} key - Response key to mock, e.g. "200"
+   * @param {string} baseUrl - Origin and/or path prefix the operation's path is appended to
+   * @returns {Object} Rule data
+   */
+  static toRule(spec, operation, key, baseUrl) {
+    const { status } = operation.responses.find(response => response.key === key) || this.defaultResponse(operation);
+    const { contentType, body } = this.responseFor(spec, operation, key);
+    const base = (baseUrl || '').trim().replace(/\/+$/, '');
+
+    return {
+      type: 'http',
+      name: `${operation.method} ${operation.path}${operation.title ? ` - ${operation.title}` : ''}`,
+      request: {
+        url: `${base}${this.pathTemplate(operation.path.startsWith('/') ? operation.path : `/${operation.path}`)}`,
+        matchMode: 'path',
+        queryMode: 'ignore',
+        method: operation.method,
+        headers: {},
+        headerConditions: [],
+        body: null,
+        bodyMatchMode: 'none',
+      },
+      response: {
+        status,
+        statusText: (typeof HTTP_STATUS_CODES !== 'undefined' && HTTP_STATUS_CODES[status]) || '',
+        headers: contentType && body !== null ? { 'Content-Type': contentType } : {},
+        body: body || '',
+        delay: null,
+      },
+    };
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.OpenApiConverter = OpenApiConverter;
+  window.OPENAPI_METHODS = OPENAPI_METHODS;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OpenApiConverter, OPENAPI_METHODS };
+}
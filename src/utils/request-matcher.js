@@ -0,0 +1,209 @@
+/**
+ * Request Matcher - Matches request headers and bodies against mock rule conditions
+ */
+
+// Supported header condition operators
+const HEADER_OPERATORS = {
+  EQUALS: 'equals',
+  CONTAINS: 'contains',
+  REGEX: 'regex',
+  PRESENT: 'present',
+  ABSENT: 'absent',
+};
+
+// Supported request body match modes
+const BODY_MATCH_MODES = {
+  NONE: 'none',
+  JSON_PARTIAL: 'json-partial',
+  JSON_EXACT: 'json-exact',
+  JSONPATH: 'jsonpath',
+  FORM: 'form',
+  REGEX: 'regex',
+};
+
+class RequestMatcher {
+  /**
+   * Check whether request headers satisfy all of a rule's header conditions
+   * @param {Array} conditions - List of { name, operator, value } conditions
+   * @param {Object} headers - Request headers (any key casing)
+   * @returns {boolean} Whether every condition is met
+   */
+  static matchHeaders(conditions, headers) {
+    if (!conditions || conditions.length === 0) return true;
+
+    const normalized = {};
+    for (const [key, value] of Object.entries(headers || {})) {
+      normalized[key.toLowerCase()] = String(value);
+    }
+
+    return conditions.every(condition => this.matchHeaderCondition(condition, normalized));
+  }
+
+  /**
+   * Check a single header condition against lower-cased request headers
+   */
+  static matchHeaderCondition(condition, headers) {
+    const actual = headers[condition.name.toLowerCase()];
+    const expected = condition.value || '';
+
+    switch (condition.operator) {
+      case HEADER_OPERATORS.PRESENT:
+        return actual !== undefined;
+
+      case HEADER_OPERATORS.ABSENT:
+        return actual === undefined;
+
+      case HEADER_OPERATORS.CONTAINS:
+        return actual !== undefined && actual.includes(expected);
+
+      case HEADER_OPERATORS.REGEX:
+        try {
+          return actual !== undefined && new RegExp(expected).test(actual);
+        } catch (e) {
+          return false;
+        }
+
+      case HEADER_OPERATORS.EQUALS:
+      default:
+        return actual === expected;
+    }
+  }
+
+  /**
+   * Check whether a request body satisfies a rule's body match
+   * @param {string} mode - One of BODY_MATCH_MODES
+   * @param {string} expected - The rule's request body (JSON, JSONPath lines, form fields or regex)
+   * @param {string|null} body - The serialized request body
+   * @returns {boolean} Whether the body matches
+   */
+  static matchBody(mode, expected, body) {
+    if (!mode || mode === BODY_MATCH_MODES.NONE) return true;
+
+    const actual = body || '';
+
+    try {
+      switch (mode) {
+        case BODY_MATCH_MODES.JSON_PARTIAL:
+          return this.jsonContains(JSON.parse(actual), JSON.parse(expected));
+
+        case BODY_MATCH_MODES.JSON_EXACT:
+          return this.jsonEquals(JSON.parse(actual), JSON.parse(expected));
+
+        case BODY_MATCH_MODES.JSONPATH: {
+          const json = JSON.parse(actual);
+          return this.splitLines(expected).every(expression => JsonPath.test(json, expression));
+        }
+
+        case BODY_MATCH_MODES.FORM:
+          return UrlMatcher.matchQuery(expected, actual, QUERY_MATCH_MODES.SUBSET);
+
+        case BODY_MATCH_MODES.REGEX:
+          return new RegExp(expected).test(actual);
+
+        default:
+          return false;
+      }
+    } catch (e) {
+      // Unparseable bodies or patterns never match
+      return false;
+    }
+  }
+
+  /**
+   * Check whether `actual` contains everything in `expected`
+   * Objects may have extra keys; every expected array item must match some actual item.
+   */
+  static jsonContains(actual, expected) {
+    if (Array.isArray(expected)) {
+      return Array.isArray(actual) &&
+        expected.every(item => actual.some(candidate => this.jsonContains(candidate, item)));
+    }
+    if (expected !== null && typeof expected === 'object') {
+      return actual !== null && typeof actual === 'object' && !Array.isArray(actual) &&
+        Object.keys(expected).every(key => key in actual && this.jsonContains(actual[key], expected[key]));
+    }
+    return actual === expected;
+  }
+
+  /**
+   * Deep-compare two JSON values, ignoring object key order
+   */
+  static jsonEquals(a, b) {
+    if (Array.isArray(a)) {
+      return Array.isArray(b) && a.length === b.length && a.every((item, i) => this.jsonEquals(item, b[i]));
+    }
+    if (a !== null && typeof a === 'object') {
+      if (b === null || typeof b !== 'object' || Array.isArray(b)) return false;
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length && keys.every(key => key in b && this.jsonEquals(a[key], b[key]));
+    }
+    return a === b;
+  }
+
+  /**
+   * Split text into trimmed, non-empty lines
+   */
+  static splitLines(text) {
+    return (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
+  /**
+   * Validate a body match pattern for the given mode
+   * @returns {string|null} Error message, or null if the pattern is valid
+   */
+  static validateBody(mode, expected) {
+    if (!mode || mode === BODY_MATCH_MODES.NONE) return null;
+
+    try {
+      switch (mode) {
+        case BODY_MATCH_MODES.JSON_PARTIAL:
+        case BODY_MATCH_MODES.JSON_EXACT:
+          JSON.parse(expected);
+          break;
+
+        case BODY_MATCH_MODES.JSONPATH:
+          if (this.splitLines(expected).length === 0) {
+            return 'Enter at least one JSONPath expression';
+          }
+          this.splitLines(expected).forEach(expression => JsonPath.test({}, expression));
+          break;
+
+        case BODY_MATCH_MODES.REGEX:
+          new RegExp(expected);
+          break;
+      }
+    } catch (e) {
+      return `Request body: ${e.message}`;
+    }
+    return null;
+  }
+
+  /**
+   * Validate header conditions
+   * @returns {string|null} Error message, or null if all conditions are valid
+   */
+  static validateHeaderConditions(conditions) {
+    for (const condition of conditions || []) {
+      if (condition.operator === HEADER_OPERATORS.REGEX) {
+        try {
+          new RegExp(condition.value || '');
+        } catch (e) {
+          return `Header condition "${condition.name}": ${e.message}`;
+        }
+      }
+    }
+    return null;
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.RequestMatcher = RequestMatcher;
+  window.HEADER_OPERATORS = HEADER_OPERATORS;
+  window.BODY_MATCH_MODES = BODY_MATCH_MODES;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RequestMatcher, HEADER_OPERATORS, BODY_MATCH_MODES };
+}
@@ -0,0 +1,154 @@
+/**
+ * Request Rewrite - Changes outgoing requests for rewrite rules
+ *
+ * A rewrite rule sends the request on to the network after changing its URL,
+ * method, headers or body, e.g. to point a production API at a local dev server.
+ * The URL, header values and body may use response template syntax.
+ */
+
+const DEFAULT_REWRITE = {
+  // An origin such as `http://localhost:3000` keeps the path and query; anything else replaces the URL
+  url: '',
+  // Empty keeps the request's method
+  method: '',
+  setHeaders: {},
+  removeHeaders: [],
+  // null keeps the request's body
+  body: null,
+};
+
+const REWRITE_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+class RequestRewrite {
+  /**
+   * Fill in missing rewrite settings with the defaults
+   */
+  static normalize(rewrite) {
+    return { ...DEFAULT_REWRITE, ...(rewrite || {}) };
+  }
+
+  /**
+   * Validate rewrite settings
+   * @returns {string|null} Error message, or null if the settings are valid
+   */
+  static validate(rewrite) {
+    const { url, method, setHeaders, removeHeaders, body } = this.normalize(rewrite);
+
+    if (!url && !method && Object.keys(setHeaders).length === 0 && removeHeaders.length === 0 && body === null) {
+      return 'Add at least one change to the request';
+    }
+
+    if (method && !REWRITE_METHODS.includes(method)) {
+      return `Method must be one of: ${REWRITE_METHODS.join(', ')}`;
+    }
+
+    // Templated URLs can only be checked once they are rendered
+    if (url && !url.includes('{{') && !url.startsWith('/')) {
+      try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+          return 'Rewrite URL must use http or https';
+        }
+      } catch (e) {
+        return 'Rewrite URL must be an absolute URL, an origin or a path starting with /';
+      }
+    }
+
+    return [url, body, ...Object.values(setHeaders)].map(text => TemplateEngine.validate(text)).find(Boolean) || null;
+  }
+
+  /**
+   * Work out the request to send instead
+   * @param {Object} rewrite - Rewrite settings
+   * @param {Object} requestInfo - Request with url, method, headers and body; `originalUrl`, when
+   *   given, is the URL the page requested, with the cache-buster params matching strips from `url`
+   * @param {Object} params - Path or regex params from URL matching
+   * @returns {Object} { url, method, headers, body } where a null body keeps the original
+   */
+  static apply(rewrite, requestInfo, params = {}) {
+    const { url, method, setHeaders, removeHeaders, body } = this.normalize(rewrite);
+    const context = TemplateEngine.createRequestContext(requestInfo, params);
+    const render = (text) => TemplateEngine.render(text, context);
+
+    const headers = { ...(requestInfo.headers || {}) };
+    removeHeaders.forEach(name => this.removeHeader(headers, name));
+    for (const [name, value] of Object.entries(setHeaders)) {
+      this.removeHeader(headers, name);
+      headers[name] = render(value);
+    }
+
+    const newMethod = method || requestInfo.method.toUpperCase();
+    // The real request keeps the query params the page sent, cache busters included
+    const originalUrl = requestInfo.originalUrl || requestInfo.url;
+
+    return {
+      url: url ? this.resolveUrl(render(url).trim(), originalUrl) : originalUrl,
+      method: newMethod,
+      headers,
+      // GET and HEAD requests can't have a body
+      body: ['GET', 'HEAD'].includes(newMethod) ? null : body === null ? null : render(body),
+    };
+  }
+
+  /**
+   * Resolve a rewrite target against the original URL
+   * A bare origin keeps the original path and query; a path keeps the original origin.
+   */
+  static resolveUrl(target, originalUrl) {
+    const original = new URL(originalUrl);
+
+    if (/^https?:\/\/[^/?#]+\/?$/i.test(target)) {
+      const origin = new URL(target);
+      return `${origin.origin}${original.pathname}${original.search}`;
+    }
+
+    return new URL(target, original.origin).href;
+  }
+
+  /**
+   * Summarize a rewrite for rule cards, e.g. "→ localhost:3000, 1 header change"
+   */
+  static describe(rewrite) {
+    const { url, method, setHeaders, removeHeaders, body } = this.normalize(rewrite);
+    const parts = [];
+
+    if (url) {
+      let target = url;
+      try {
+        target = new URL(url).host || url;
+      } catch (e) {
+        // Paths and templates are shown as written
+      }
+      parts.push(`→ ${target}`);
+    }
+    if (method) parts.push(`as ${method}`);
+
+    const headerChanges = Object.keys(setHeaders).length + removeHeaders.length;
+    if (headerChanges > 0) parts.push(`${headerChanges} header change${headerChanges === 1 ? '' : 's'}`);
+    if (body !== null) parts.push('new body');
+
+    return parts.join(', ');
+  }
+
+  /**
+   * Remove a header, whatever its case
+   */
+  static removeHeader(headers, name) {
+    const lower = name.toLowerCase();
+    Object.keys(headers).filter(key => key.toLowerCase() === lower).forEach(key => {
+      delete headers[key];
+    });
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.RequestRewrite = RequestRewrite;
+  window.DEFAULT_REWRITE = DEFAULT_REWRITE;
+  window.REWRITE_METHODS = REWRITE_METHODS;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RequestRewrite, DEFAULT_REWRITE, REWRITE_METHODS };
+}
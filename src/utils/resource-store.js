@@ -0,0 +1,267 @@
+/**
+ * Resource Store - Stateful CRUD handling for resource rules
+ *
+ * A resource rule's URL is a collection, e.g. `/api/todos`. Requests to the collection
+ * list or create items and requests to `collection/:id` read, update or delete one item.
+ * The items live in a state object the service worker persists between calls.
+ */
+
+const RESOURCE_DEFAULTS = {
+  idField: 'id',
+  // JSON array of the items the collection starts with
+  seed: '[]',
+};
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+// Status texts for the responses the store produces
+const RESOURCE_STATUS_TEXTS = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  400: 'Bad Request',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  409: 'Conflict',
+};
+
+class ResourceStore {
+  /**
+   * Match a request URL against a resource rule's collection URL
+   * @param {Object} ruleRequest - The rule's request object (url, matchMode)
+   * @param {string} url - The normalized request URL
+   * @returns {Object|null} { id, params } where id is null for the collection, or null if no match
+   */
+  static route(ruleRequest, url) {
+    // Collections match with any query string
+    const request = { ...ruleRequest, queryMode: QUERY_MATCH_MODES.IGNORE };
+    const base = UrlMatcher.splitUrl(url).base.replace(/\/+$/, '');
+
+    const collection = UrlMatcher.match(request, base);
+    if (collection) {
+      return { id: null, params: collection.params };
+    }
+
+    const slash = base.lastIndexOf('/');
+    const segment = base.slice(slash + 1);
+    if (slash === -1 || !segment) return null;
+
+    const item = UrlMatcher.match(request, base.slice(0, slash));
+    if (!item) return null;
+
+    let id = segment;
+    try {
+      id = decodeURIComponent(segment);
+    } catch (e) {
+      // Keep the raw segment
+    }
+    return { id, params: item.params };
+  }
+
+  /**
+   * Fill in missing resource settings with the defaults
+   */
+  static normalize(resource) {
+    return { ...RESOURCE_DEFAULTS, ...(resource || {}) };
+  }
+
+  /**
+   * Validate resource settings
+   * @returns {string|null} Error message, or null if the settings are valid
+   */
+  static validate(resource) {
+    const { idField, seed } = this.normalize(resource);
+
+    if (!idField || typeof idField !== 'string') {
+      return 'Resource ID field is required';
+    }
+
+    let items;
+    try {
+      items = JSON.parse(seed || '[]');
+    } catch (e) {
+      return `Seed data must be valid JSON: ${e.message}`;
+    }
+
+    if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+      return 'Seed data must be a JSON array of objects';
+    }
+
+    const ids = items.map(item => item[idField]).filter(id => id !== undefined && id !== null).map(String);
+    if (new Set(ids).size !== ids.length) {
+      return `Seed data has duplicate "${idField}" values`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create the initial state of a collection from its seed data
+   * Seed items without an id are given one.
+   * @returns {Object} { items, nextId }
+   */
+  static createState(resource) {
+    const { idField, seed } = this.normalize(resource);
+    let items = [];
+    try {
+      const parsed = JSON.parse(seed || '[]');
+      if (Array.isArray(parsed)) items = parsed;
+    } catch (e) {
+      // Invalid seed data starts the collection empty; validate() reports it when saving
+    }
+
+    const state = { items: [], nextId: 1 };
+    state.nextId = items.reduce((max, item) => {
+      const id = Number(item && item[idField]);
+      return Number.isInteger(id) ? Math.max(max, id + 1) : max;
+    }, 1);
+
+    state.items = items.map(item => (item[idField] === undefined || item[idField] === null
+      ? { [idField]: state.nextId++, ...item }
+      : item));
+
+    return state;
+  }
+
+  /**
+   * Handle a request to a collection, updating the state in place
+   * @param {Object} state - Collection state from createState()
+   * @param {Object} resource - Resource settings
+   * @param {Object} request - { method, id, body } where id is null for the collection
+   * @returns {Object} { response, changed } where changed tells whether the state must be saved
+   */
+  static handle(state, resource, request) {
+    const { idField } = this.normalize(resource);
+    const method = request.method.toUpperCase();
+    const index = request.id === null ? -1 : state.items.findIndex(item => String(item[idField]) === String(request.id));
+
+    if (request.id === null) {
+      switch (method) {
+        case 'GET':
+        case 'HEAD':
+          return { response: this.json(200, state.items), changed: false };
+
+        case 'POST': {
+          const body = this.parseItem(request.body);
+          if (body.error) return { response: this.error(400, body.error), changed: false };
+
+          const item = body.item;
+          if (item[idField] === undefined || item[idField] === null) {
+            item[idField] = this.nextIdFor(state, idField);
+          } else if (state.items.some(existing => String(existing[idField]) === String(item[idField]))) {
+            return { response: this.error(409, `An item with ${idField} ${item[idField]} already exists`), changed: false };
+          }
+
+          state.items.push(item);
+          return { response: this.json(201, item), changed: true };
+        }
+
+        default:
+          return { response: this.methodNotAllowed('GET, POST'), changed: false };
+      }
+    }
+
+    if (!['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'].includes(method)) {
+      return { response: this.methodNotAllowed('GET, PUT, PATCH, DELETE'), changed: false };
+    }
+
+    if (index === -1) {
+      return { response: this.error(404, `No item with ${idField} ${request.id}`), changed: false };
+    }
+
+    const existing = state.items[index];
+
+    switch (method) {
+      case 'PUT':
+      case 'PATCH': {
+        const body = this.parseItem(request.body);
+        if (body.error) return { response: this.error(400, body.error), changed: false };
+
+        // The id in the URL wins over one in the body
+        const item = method === 'PUT'
+          ? { ...body.item, [idField]: existing[idField] }
+          : { ...existing, ...body.item, [idField]: existing[idField] };
+        state.items[index] = item;
+        return { response: this.json(200, item), changed: true };
+      }
+
+      case 'DELETE':
+        state.items.splice(index, 1);
+        return { response: { status: 204, statusText: RESOURCE_STATUS_TEXTS[204], headers: {}, body: '' }, changed: true };
+
+      default:
+        return { response: this.json(200, existing), changed: false };
+    }
+  }
+
+  /**
+   * Allocate an unused id for a created item
+   * Collections whose ids are all strings get string ids.
+   */
+  static nextIdFor(state, idField) {
+    const usesStrings = state.items.length > 0 && state.items.every(item => typeof item[idField] === 'string');
+    const taken = new Set(state.items.map(item => String(item[idField])));
+
+    let id = state.nextId++;
+    while (taken.has(String(id))) {
+      id = state.nextId++;
+    }
+    return usesStrings ? String(id) : id;
+  }
+
+  /**
+   * Parse a request body as a JSON object
+   * @returns {Object} { item } or { error }
+   */
+  static parseItem(body) {
+    let item;
+    try {
+      item = JSON.parse(body || '');
+    } catch (e) {
+      return { error: 'Request body must be a JSON object' };
+    }
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return { error: 'Request body must be a JSON object' };
+    }
+    return { item };
+  }
+
+  /**
+   * Build a JSON response
+   */
+  static json(status, data) {
+    return {
+      status,
+      statusText: RESOURCE_STATUS_TEXTS[status],
+      headers: { ...JSON_HEADERS },
+      body: JSON.stringify(data),
+    };
+  }
+
+  /**
+   * Build a JSON error response
+   */
+  static error(status, message) {
+    return this.json(status, { error: message });
+  }
+
+  /**
+   * Build a 405 response listing the allowed methods
+   */
+  static methodNotAllowed(allow) {
+    const response = this.error(405, `Method not allowed, use ${allow}`);
+    response.headers.Allow = allow;
+    return response;
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.ResourceStore = ResourceStore;
+  window.RESOURCE_DEFAULTS = RESOURCE_DEFAULTS;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ResourceStore, RESOURCE_DEFAULTS };
+}
@@ -0,0 +1,123 @@
+/**
+ * Response Handler - User-written functions that build a rule's response
+ *
+ * A handler is the source of a function `(request, ctx) => response`, which may be
+ * async. It is compiled and run only inside the extension's sandbox page; the service
+ * worker and the editors use this class to describe and normalize its results.
+ */
+
+// Starting point for a new handler
+const DEFAULT_HANDLER_CODE = `async (request, ctx) => {
+  // ctx.state persists between calls to this rule
+  ctx.state.calls = (ctx.state.calls || 0) + 1;
+
+  return ctx.json({
+    id: request.params.id,
+    calls: ctx.state.calls,
+    name: ctx.fake('person.fullName'),
+  });
+}`;
+
+// Longest a handler may take before it fails, counted from the request, so waiting for
+// other handlers or for the sandbox to start counts too. Keep it below the time the page
+// waits for HANDLER_RESULT in injected.js.
+const HANDLER_TIMEOUT_MS = 5000;
+
+class ResponseHandler {
+  /**
+   * Compile handler source into a function
+   * Only callable where eval is allowed, i.e. in the sandbox page.
+   * @throws {Error} If the source has a syntax error or is not a function
+   */
+  static compile(code) {
+    // Strict mode keeps a handler from leaking globals into the sandbox
+    const handler = new Function(`"use strict"; return (${code}\n);`)();
+    if (typeof handler !== 'function') {
+      throw new Error('Handler must be a function like (request, ctx) => response');
+    }
+    return handler;
+  }
+
+  /**
+   * Create the ctx argument passed to a handler
+   * @param {Object} options - { state, params, ruleId, random }
+   */
+  static createContext({ state, params, ruleId, random = Math.random }) {
+    return {
+      state,
+      params,
+      ruleId,
+      random,
+      json: (data, init = {}) => ({
+        ...init,
+        headers: { 'Content-Type': 'application/json', ...(init.headers || {}) },
+        body: JSON.stringify(data),
+      }),
+      fake: (kind, ...args) => FakeData.generate(kind, random, ...args),
+      render: (template, data = {}) => TemplateEngine.render(template, { ...data, params }, { random }),
+    };
+  }
+
+  /**
+   * Turn a handler's return value into a mock response
+   * Strings become the body, objects without a string body have it serialized as JSON
+   * and a numeric delay becomes a fixed delay.
+   * @returns {Object|null} Response, or null to let the request through to the network
+   */
+  static normalize(result) {
+    if (result === null || result === undefined) return null;
+
+    if (typeof result !== 'object') {
+      return { status: 200, statusText: 'OK', headers: {}, body: String(result) };
+    }
+
+    const headers = {};
+    for (const [key, value] of Object.entries(result.headers || {})) {
+      headers[key] = String(value);
+    }
+
+    let body = result.body === undefined || result.body === null ? '' : result.body;
+    if (typeof body !== 'string') {
+      body = JSON.stringify(body);
+      if (!Object.keys(headers).some(key => key.toLowerCase() === 'content-type')) {
+        headers['Content-Type'] = 'application/json';
+      }
+    }
+
+    const status = Number(result.status) || 200;
+    const delay = typeof result.delay === 'number' ? { type: 'fixed', ms: result.delay } : result.delay || null;
+
+    return {
+      status,
+      statusText: result.statusText || (typeof HTTP_STATUS_CODES !== 'undefined' && HTTP_STATUS_CODES[status]) || '',
+      headers,
+      body,
+      delay,
+      failure: result.failure || null,
+    };
+  }
+
+  /**
+   * Response served when a handler throws, so the failure is visible in the app too
+   */
+  static errorResponse(message) {
+    return {
+      status: 500,
+      statusText: 'Internal Server Error',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: `Mock handler failed: ${message}` }),
+    };
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.ResponseHandler = ResponseHandler;
+  window.DEFAULT_HANDLER_CODE = DEFAULT_HANDLER_CODE;
+  window.HANDLER_TIMEOUT_MS = HANDLER_TIMEOUT_MS;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ResponseHandler, DEFAULT_HANDLER_CODE, HANDLER_TIMEOUT_MS };
+}
@@ -0,0 +1,140 @@
+/**
+ * Response Sequence - Picks a rule's response for successive calls
+ *
+ * A rule's first response is `rule.response`; a sequence adds more in
+ * `rule.sequence.responses`. Ordered sequences serve them one per call and decide
+ * what happens after the last one; weighted sequences pick one at random per call.
+ */
+
+// How a sequence picks the response for a call
+const SEQUENCE_MODES = {
+  ORDERED: 'ordered',
+  WEIGHTED: 'weighted',
+};
+
+// What a sequence does once every response has been served
+const SEQUENCE_END_MODES = {
+  LOOP: 'loop',
+  LAST: 'last',
+  PASSTHROUGH: 'passthrough',
+};
+
+class ResponseSequence {
+  /**
+   * Get every response of a rule in order
+   * @param {Object} rule - Mock rule
+   * @returns {Array} Responses, starting with rule.response
+   */
+  static steps(rule) {
+    const rest = rule.sequence && Array.isArray(rule.sequence.responses) ? rule.sequence.responses : [];
+    return [rule.response, ...rest];
+  }
+
+  /**
+   * Check whether a rule returns more than one response
+   */
+  static isSequence(rule) {
+    return this.steps(rule).length > 1;
+  }
+
+  /**
+   * Check whether a rule picks its responses at random by weight
+   */
+  static isWeighted(rule) {
+    return this.isSequence(rule) && rule.sequence.mode === SEQUENCE_MODES.WEIGHTED;
+  }
+
+  /**
+   * Get a response's weight; responses without one weigh 1
+   */
+  static weightOf(response) {
+    const weight = Number(response.weight);
+    return response.weight === undefined || response.weight === null || !Number.isFinite(weight) ? 1 : Math.max(0, weight);
+  }
+
+  /**
+   * Pick the response for a call
+   * @param {Object} rule - Mock rule
+   * @param {number} callIndex - Zero-based number of earlier calls matched by the rule
+   * @param {Function} random - Random number generator used by weighted sequences
+   * @returns {Object|null} Response to serve, or null to let the request through to the network
+   */
+  static select(rule, callIndex, random = Math.random) {
+    const index = this.isWeighted(rule) ? this.pickWeighted(this.steps(rule), random) : this.stepIndex(rule, callIndex);
+    return index === null ? null : this.steps(rule)[index];
+  }
+
+  /**
+   * Pick a response index at random, in proportion to the response weights
+   * @returns {number} Index; the first response when every weight is 0
+   */
+  static pickWeighted(responses, random = Math.random) {
+    const weights = responses.map(response => this.weightOf(response));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) return 0;
+
+    let target = random() * total;
+    for (let i = 0; i < weights.length; i++) {
+      target -= weights[i];
+      if (target < 0) return i;
+    }
+    return weights.length - 1;
+  }
+
+  /**
+   * Get each response's share of a weighted sequence, as whole percentages
+   */
+  static percentages(rule) {
+    const weights = this.steps(rule).map(response => this.weightOf(response));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map(weight => (total > 0 ? Math.round((weight / total) * 100) : 0));
+  }
+
+  /**
+   * Validate the weights of a weighted sequence
+   * @returns {string|null} Error message, or null if the weights are valid
+   */
+  static validateWeights(responses) {
+    for (const response of responses) {
+      const weight = response.weight;
+      if (weight !== undefined && weight !== null && (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0)) {
+        return 'Response weights must be non-negative numbers';
+      }
+    }
+    if (responses.every(response => this.weightOf(response) === 0)) {
+      return 'At least one response needs a weight above 0';
+    }
+    return null;
+  }
+
+  /**
+   * Get the zero-based step an ordered sequence serves for a call
+   * @returns {number|null} Step index, or null when the call passes through
+   */
+  static stepIndex(rule, callIndex) {
+    const count = this.steps(rule).length;
+    if (callIndex < count) return callIndex;
+
+    switch (rule.sequence && rule.sequence.afterLast) {
+      case SEQUENCE_END_MODES.LOOP:
+        return callIndex % count;
+      case SEQUENCE_END_MODES.PASSTHROUGH:
+        return null;
+      case SEQUENCE_END_MODES.LAST:
+      default:
+        return count - 1;
+    }
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.ResponseSequence = ResponseSequence;
+  window.SEQUENCE_END_MODES = SEQUENCE_END_MODES;
+  window.SEQUENCE_MODES = SEQUENCE_MODES;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ResponseSequence, SEQUENCE_END_MODES, SEQUENCE_MODES };
+}
@@ -0,0 +1,465 @@
+/**
+ * Response Transform - Patches real server responses for modify rules
+ *
+ * A modify rule lets the request go to the network and changes the response before
+ * the page sees it: the JSON body through a merge patch, JSON Patch operations and
+ * JSONPath edits (applied in that order), then the headers and the status.
+ */
+
+const DEFAULT_TRANSFORM = {
+  // Replaces the real status when set
+  status: null,
+  setHeaders: {},
+  removeHeaders: [],
+  // JSON Merge Patch (RFC 7396) as JSON text
+  mergePatch: '',
+  // JSON Patch (RFC 6902) operations as JSON text
+  jsonPatch: '',
+  // One edit per line: `set $.path = <json>` or `delete $.path`
+  pathOps: '',
+};
+
+const JSON_PATCH_OPS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+class ResponseTransform {
+  /**
+   * Fill in missing transform settings with the defaults
+   */
+  static normalize(transform) {
+    return { ...DEFAULT_TRANSFORM, ...(transform || {}) };
+  }
+
+  /**
+   * Check whether a transform changes the body, so the page has to send it along
+   */
+  static needsBody(transform) {
+    const { mergePatch, jsonPatch, pathOps } = this.normalize(transform);
+    return Boolean(mergePatch.trim() || jsonPatch.trim() || pathOps.trim());
+  }
+
+  /**
+   * Validate transform settings
+   * @returns {string|null} Error message, or null if the settings are valid
+   */
+  static validate(transform) {
+    const { status, setHeaders, removeHeaders, mergePatch, jsonPatch, pathOps } = this.normalize(transform);
+
+    // Responses created in the page must have a status in this range
+    if (status !== null && (!Number.isInteger(status) || status < 200 || status > 599)) {
+      return 'Status override must be a status code between 200 and 599';
+    }
+
+    if (Object.keys(setHeaders).length === 0 && removeHeaders.length === 0 &&
+        status === null && !this.needsBody(transform)) {
+      return 'Add at least one change to the response';
+    }
+
+    try {
+      if (mergePatch.trim()) JSON.parse(mergePatch);
+    } catch (e) {
+      return `Merge patch must be valid JSON: ${e.message}`;
+    }
+
+    try {
+      this.parseJsonPatch(jsonPatch);
+      this.parsePathOps(pathOps);
+    } catch (e) {
+      return e.message;
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply a transform to a response
+   * @param {Object} transform - Transform settings
+   * @param {Object} response - { status, statusText, headers, body }
+   * @returns {Object} The transformed response
+   * @throws {Error} If the body has to change but is not JSON, or a patch fails
+   */
+  static apply(transform, response) {
+    const settings = this.normalize(transform);
+    const result = { ...response, headers: { ...(response.headers || {}) } };
+
+    if (this.needsBody(settings)) {
+      let data;
+      try {
+        data = JSON.parse(response.body);
+      } catch (e) {
+        throw new Error('Response body is not JSON');
+      }
+
+      if (settings.mergePatch.trim()) {
+        data = this.mergePatch(data, JSON.parse(settings.mergePatch));
+      }
+      for (const [index, operation] of this.parseJsonPatch(settings.jsonPatch).entries()) {
+        try {
+          data = this.applyJsonPatchOperation(data, operation);
+        } catch (e) {
+          throw new Error(`JSON Patch operation #${index + 1}: ${e.message}`);
+        }
+      }
+      for (const operation of this.parsePathOps(settings.pathOps)) {
+        data = this.applyPathOp(data, operation);
+      }
+
+      result.body = JSON.stringify(data);
+      this.removeHeader(result.headers, 'Content-Length');
+    }
+
+    settings.removeHeaders.forEach(name => this.removeHeader(result.headers, name));
+    for (const [name, value] of Object.entries(settings.setHeaders)) {
+      this.removeHeader(result.headers, name);
+      result.headers[name] = String(value);
+    }
+
+    if (settings.status !== null) {
+      result.status = settings.status;
+      result.statusText = (typeof HTTP_STATUS_CODES !== 'undefined' && HTTP_STATUS_CODES[settings.status]) || '';
+    }
+
+    return result;
+  }
+
+  /**
+   * Summarize a transform for rule cards, e.g. "status 503, merge patch, 2 header changes"
+   */
+  static describe(transform) {
+    const { status, setHeaders, removeHeaders, mergePatch, jsonPatch, pathOps } = this.normalize(transform);
+    const parts = [];
+
+    if (status !== null) parts.push(`status ${status}`);
+    if (mergePatch.trim()) parts.push('merge patch');
+    if (jsonPatch.trim()) parts.push('JSON Patch');
+    if (pathOps.trim()) parts.push('JSONPath edits');
+
+    const headerChanges = Object.keys(setHeaders).length + removeHeaders.length;
+    if (headerChanges > 0) parts.push(`${headerChanges} header change${headerChanges === 1 ? '' : 's'}`);
+
+    return parts.join(', ');
+  }
+
+  /**
+   * Apply a JSON Merge Patch (RFC 7396)
+   * Objects merge recursively, null removes a member and anything else replaces the target.
+   */
+  static mergePatch(target, patch) {
+    if (!this.isObject(patch)) return patch;
+
+    const result = this.isObject(target) ? { ...target } : {};
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === null) {
+        delete result[key];
+      } else {
+        result[key] = this.mergePatch(result[key], value);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Parse JSON Patch text into a list of operations
+   * @throws {Error} If the text is not a valid JSON Patch document
+   */
+  static parseJsonPatch(text) {
+    if (!text || !text.trim()) return [];
+
+    let operations;
+    try {
+      operations = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`JSON Patch must be valid JSON: ${e.message}`);
+    }
+    if (!Array.isArray(operations)) {
+      throw new Error('JSON Patch must be an array of operations');
+    }
+
+    operations.forEach((operation, index) => {
+      const position = `JSON Patch operation #${index + 1}`;
+      if (!this.isObject(operation) || !JSON_PATCH_OPS.includes(operation.op)) {
+        throw new Error(`${position} must have an "op" of ${JSON_PATCH_OPS.join(', ')}`);
+      }
+      if (typeof operation.path !== 'string') {
+        throw new Error(`${position} must have a "path"`);
+      }
+      if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+        throw new Error(`${position} must have a "from"`);
+      }
+      if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+        throw new Error(`${position} must have a "value"`);
+      }
+      this.parsePointer(operation.path);
+      if (typeof operation.from === 'string') this.parsePointer(operation.from);
+    });
+
+    return operations;
+  }
+
+  /**
+   * Apply one JSON Patch (RFC 6902) operation
+   * @returns {*} The patched document
+   */
+  static applyJsonPatchOperation(document, operation) {
+    const path = this.parsePointer(operation.path);
+
+    switch (operation.op) {
+      case 'add':
+        return this.addAt(document, path, this.clone(operation.value));
+
+      case 'remove':
+        return this.removeAt(document, path).document;
+
+      case 'replace':
+        this.getAt(document, path);
+        return this.addAt(this.removeAt(document, path).document, path, this.clone(operation.value));
+
+      case 'move': {
+        const from = this.parsePointer(operation.from);
+        const removed = this.removeAt(document, from);
+        return this.addAt(removed.document, path, removed.value);
+      }
+
+      case 'copy':
+        return this.addAt(document, path, this.clone(this.getAt(document, this.parsePointer(operation.from))));
+
+      case 'test':
+        if (JSON.stringify(this.getAt(document, path)) !== JSON.stringify(operation.value)) {
+          throw new Error(`test failed at ${operation.path}`);
+        }
+        return document;
+
+      default:
+        throw new Error(`Unknown op "${operation.op}"`);
+    }
+  }
+
+  /**
+   * Split a JSON Pointer (RFC 6901) into reference tokens
+   */
+  static parsePointer(pointer) {
+    if (pointer === '') return [];
+    if (pointer[0] !== '/') {
+      throw new Error(`JSON Pointer must be empty or start with "/": ${pointer}`);
+    }
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  /**
+   * Get the value a pointer refers to
+   */
+  static getAt(document, tokens) {
+    let value = document;
+    for (const token of tokens) {
+      const key = this.resolveKey(value, token, false);
+      value = value[key];
+    }
+    return value;
+  }
+
+  /**
+   * Add a value at a pointer, inserting into arrays
+   * @returns {*} The patched document
+   */
+  static addAt(document, tokens, value) {
+    if (tokens.length === 0) return value;
+
+    const parent = this.getAt(document, tokens.slice(0, -1));
+    const key = this.resolveKey(parent, tokens[tokens.length - 1], true);
+    if (Array.isArray(parent)) {
+      parent.splice(key, 0, value);
+    } else {
+      parent[key] = value;
+    }
+    return document;
+  }
+
+  /**
+   * Remove the value at a pointer
+   * @returns {Object} { document, value } with the patched document and the removed value
+   */
+  static removeAt(document, tokens) {
+    if (tokens.length === 0) return { document: null, value: document };
+
+    const parent = this.getAt(document, tokens.slice(0, -1));
+    const key = this.resolveKey(parent, tokens[tokens.length - 1], false);
+    const value = parent[key];
+    if (Array.isArray(parent)) {
+      parent.splice(key, 1);
+    } else {
+      delete parent[key];
+    }
+    return { document, value };
+  }
+
+  /**
+   * Resolve a pointer token against a container
+   * @param {boolean} forAdd - Whether the key may be new, or "-" for the end of an array
+   * @throws {Error} If the token does not refer to a member of the container
+   */
+  static resolveKey(container, token, forAdd) {
+    if (Array.isArray(container)) {
+      if (forAdd && token === '-') return container.length;
+      const index = /^(0|[1-9]\d*)$/.test(token) ? Number(token) : -1;
+      if (index < 0 || index > container.length || (!forAdd && index === container.length)) {
+        throw new Error(`index "${token}" is out of range`);
+      }
+      return index;
+    }
+
+    if (!this.isObject(container)) {
+      throw new Error(`cannot reach "${token}" inside a ${container === null ? 'null' : typeof container}`);
+    }
+    if (!forAdd && !Object.prototype.hasOwnProperty.call(container, token)) {
+      throw new Error(`no member "${token}"`);
+    }
+    return token;
+  }
+
+  /**
+   * Parse JSONPath edit lines
+   * @returns {Array} [{ op, path, segments, value }]
+   * @throws {Error} If a line is malformed
+   */
+  static parsePathOps(text) {
+    if (!text || !text.trim()) return [];
+
+    return text.split('\n').map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line && !line.startsWith('#'))
+      .map(({ line, number }) => {
+        const position = `JSONPath edit on line ${number}`;
+        const match = line.match(/^(set|delete)\s+(.+)$/);
+        if (!match) {
+          throw new Error(`${position} must start with "set" or "delete"`);
+        }
+
+        const [, op, rest] = match;
+        let path = rest;
+        let value;
+
+        if (op === 'set') {
+          const equals = this.findAssignment(rest);
+          if (equals === -1) {
+            throw new Error(`${position} must look like: set $.path = <JSON value>`);
+          }
+          path = rest.slice(0, equals).trim();
+          try {
+            value = JSON.parse(rest.slice(equals + 1));
+          } catch (e) {
+            throw new Error(`${position} has an invalid JSON value: ${e.message}`);
+          }
+        }
+
+        let parsed;
+        try {
+          parsed = JsonPath.parse(path.trim());
+        } catch (e) {
+          throw new Error(`${position}: ${e.message}`);
+        }
+        if (parsed.origin !== '$') {
+          throw new Error(`${position}: the path must start with $`);
+        }
+        if (op === 'delete' && parsed.segments.length === 0) {
+          throw new Error(`${position}: the whole document can't be deleted`);
+        }
+
+        return { op, path: path.trim(), segments: parsed.segments, value };
+      });
+  }
+
+  /**
+   * Find the "=" separating the path from the value, outside brackets and quotes
+   */
+  static findAssignment(text) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[' || char === '(') {
+        depth++;
+      } else if (char === ']' || char === ')') {
+        depth--;
+      } else if (char === '=' && depth === 0) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Apply one JSONPath edit
+   * `set` also creates a missing last property, so new fields can be added.
+   * @returns {*} The edited document
+   */
+  static applyPathOp(document, operation) {
+    const { op, segments, value } = operation;
+    if (segments.length === 0) return this.clone(value);
+
+    const nodes = JsonPath.walk(document, document, segments);
+
+    if (op === 'delete') {
+      // Remove array items from the end, so earlier indexes stay valid
+      const sorted = nodes.filter(node => node.parent !== null)
+        .sort((a, b) => (typeof a.key === 'number' && typeof b.key === 'number' ? b.key - a.key : 0));
+      sorted.forEach(({ parent, key }) => {
+        if (Array.isArray(parent)) {
+          parent.splice(key, 1);
+        } else {
+          delete parent[key];
+        }
+      });
+      return document;
+    }
+
+    nodes.forEach(({ parent, key }) => {
+      parent[key] = this.clone(value);
+    });
+
+    const last = segments[segments.length - 1];
+    if (nodes.length === 0 && last.type === 'child' && !last.descendant) {
+      JsonPath.walk(document, document, segments.slice(0, -1)).forEach(({ value: parent }) => {
+        if (!this.isObject(parent)) return;
+        last.keys.forEach(key => {
+          parent[key] = this.clone(value);
+        });
+      });
+    }
+
+    return document;
+  }
+
+  /**
+   * Remove a header, whatever its case
+   */
+  static removeHeader(headers, name) {
+    const lower = name.toLowerCase();
+    Object.keys(headers).filter(key => key.toLowerCase() === lower).forEach(key => {
+      delete headers[key];
+    });
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  static clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.ResponseTransform = ResponseTransform;
+  window.DEFAULT_TRANSFORM = DEFAULT_TRANSFORM;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ResponseTransform, DEFAULT_TRANSFORM };
+}
@@ -0,0 +1,198 @@
+/**
+ * Rule Bundle - Versioned JSON files for moving rule sets between machines
+ *
+ * A bundle holds whole rules, including their ids, so importing the same bundle
+ * again can update the rules it created instead of adding copies.
+ */
+
+const BUNDLE_FORMAT = 'mock-your-apis/rules';
+const BUNDLE_VERSION = 1;
+
+const IMPORT_STRATEGIES = {
+  // Rules with an existing id replace that rule; all others are added
+  MERGE: 'merge',
+  // All existing rules are deleted first
+  REPLACE: 'replace',
+  // Rules with an existing id or method and URL are left out
+  SKIP_DUPLICATES: 'skip-duplicates',
+};
+
+class RuleBundle {
+  /**
+   * Build a bundle from rules
+   * @param {Array} rules - Mock rules; the bundle keeps their evaluation order
+   * @param {Object} creator - { name, version } of the exporting app
+   * @returns {Object} The bundle
+   */
+  static create(rules, creator) {
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      // Lets imports upgrade rules saved with an older rule model
+      schemaVersion: RULE_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      creator,
+      // The array order is the rule order, so the order field would only add noise to diffs
+      rules: RuleOrder.sort(rules).map(({ order, ...rule }) => rule),
+    };
+  }
+
+  /**
+   * Parse the text of a bundle file
+   * @returns {Object} The bundle
+   * @throws {Error} If the text is not a bundle this version can read
+   */
+  static parse(text) {
+    let bundle;
+    try {
+      bundle = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not a rules file: ${e.message}`);
+    }
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.rules)) {
+      throw new Error('Not a rules file exported by this extension');
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+      throw new Error('The rules file has no valid version');
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+      throw new Error(`The rules file is version ${bundle.version}; update the extension to import it`);
+    }
+
+    // Files from before rule schema versioning hold unversioned rules
+    bundle.schemaVersion = Number.isInteger(bundle.schemaVersion) ? bundle.schemaVersion : 0;
+    if (bundle.schemaVersion > RULE_SCHEMA_VERSION) {
+      throw new Error('The rules file was made by a newer version of the extension; update the extension to import it');
+    }
+
+    bundle.rules.forEach((rule, index) => {
+      if (!rule || !rule.request || typeof rule.request.url !== 'string' || !rule.response) {
+        throw new Error(`Rule ${index + 1} in the file has no request URL or response`);
+      }
+    });
+
+    return bundle;
+  }
+
+  /**
+   * Key rules that answer the same requests: method and URL, plus the operation for GraphQL
+   */
+  static requestKey(rule) {
+    const method = rule.type === 'graphql' ? 'POST' : (rule.request.method || 'GET').toUpperCase();
+    const operation = rule.type === 'graphql' && rule.graphql ? ` ${rule.graphql.operationName || ''}` : '';
+    return `${method} ${rule.request.url}${operation}`;
+  }
+
+  /**
+   * Work out what importing rules would do
+   * @param {Array} existing - Current rules
+   * @param {Array} incoming - Rules from the bundle
+   * @param {string} strategy - One of IMPORT_STRATEGIES
+   * @returns {Object} { entries, removed } where each entry is { rule, action, conflict }:
+   *   action is "add", "replace" or "skip", and conflict is { by: "id" | "request", rule }
+   *   naming the existing rule it clashes with
+   */
+  static plan(existing, incoming, strategy) {
+    if (strategy === IMPORT_STRATEGIES.REPLACE) {
+      return {
+        entries: incoming.map(rule => ({ rule, action: 'add', conflict: null })),
+        removed: existing.length,
+      };
+    }
+
+    const byId = new Map(existing.map(rule => [rule.id, rule]));
+    const byRequest = new Map();
+    existing.forEach(rule => {
+      const key = this.requestKey(rule);
+      if (!byRequest.has(key)) byRequest.set(key, rule);
+    });
+
+    const entries = incoming.map(rule => {
+      let conflict = null;
+      if (rule.id && byId.has(rule.id)) {
+        conflict = { by: 'id', rule: byId.get(rule.id) };
+      } else if (byRequest.has(this.requestKey(rule))) {
+        conflict = { by: 'request', rule: byRequest.get(this.requestKey(rule)) };
+      }
+
+      let action = 'add';
+      if (conflict && strategy === IMPORT_STRATEGIES.SKIP_DUPLICATES) {
+        action = 'skip';
+      } else if (conflict && conflict.by === 'id') {
+        action = 'replace';
+      }
+
+      return { rule, action, conflict };
+    });
+
+    return { entries, removed: 0 };
+  }
+
+  /**
+   * Apply an import plan
+   * Replaced rules keep their place in the order; added rules go after all others.
+   * @param {Array} existing - Current rules
+   * @param {Object} plan - Result of plan()
+   * @param {Function} newId - Makes an id for added rules that would clash with another
+   * @returns {Array} The resulting rules
+   */
+  static apply(existing, { entries, removed }, newId) {
+    const replacements = new Map(entries.filter(entry => entry.action === 'replace')
+      .map(entry => [entry.rule.id, entry.rule]));
+
+    const kept = removed > 0 ? [] : RuleOrder.sort(existing).map(rule => (replacements.has(rule.id)
+      ? { ...replacements.get(rule.id), order: rule.order }
+      : rule));
+
+    const ids = new Set(kept.map(rule => rule.id));
+    let order = RuleOrder.next(kept);
+    const added = entries.filter(entry => entry.action === 'add').map(({ rule }) => {
+      // A bundle can repeat an id, and merging keeps rules that share a request
+      const id = rule.id && !ids.has(rule.id) ? rule.id : newId();
+      ids.add(id);
+      return { ...rule, id, order: order++ };
+    });
+
+    return [...kept, ...added];
+  }
+
+  /**
+   * Count the actions in a plan
+   * @returns {Object} { add, replace, skip, removed }
+   */
+  static summarize({ entries, removed }) {
+    const counts = { add: 0, replace: 0, skip: 0, removed };
+    entries.forEach(({ action }) => {
+      counts[action]++;
+    });
+    return counts;
+  }
+
+  /**
+   * Describe what happens to one imported rule, e.g. "Replaces “Get users” (same id)"
+   */
+  static describeEntry({ action, conflict }) {
+    if (!conflict) return 'New';
+
+    const name = `“${conflict.rule.name || this.requestKey(conflict.rule)}”`;
+    const reason = conflict.by === 'id' ? 'same id' : 'same method and URL';
+
+    if (action === 'skip') return `Skipped: ${reason} as ${name}`;
+    if (action === 'replace') return `Replaces ${name} (${reason})`;
+    return `Added next to ${name} (${reason})`;
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.RuleBundle = RuleBundle;
+  window.BUNDLE_FORMAT = BUNDLE_FORMAT;
+  window.BUNDLE_VERSION = BUNDLE_VERSION;
+  window.IMPORT_STRATEGIES = IMPORT_STRATEGIES;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RuleBundle, BUNDLE_FORMAT, BUNDLE_VERSION, IMPORT_STRATEGIES };
+}
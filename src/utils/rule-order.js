@@ -0,0 +1,135 @@
+/**
+ * Rule Order - Deterministic rule ordering and shadowed rule detection
+ *
+ * Rules are evaluated in ascending `order`; the first matching rule wins.
+ */
+
+class RuleOrder {
+  /**
+   * Sort rules by their order field
+   * Rules saved before ordering existed keep their storage position.
+   * @param {Array} rules - Mock rules
+   * @returns {Array} A new array sorted by evaluation order
+   */
+  static sort(rules) {
+    return rules
+      .map((rule, index) => ({ rule, key: typeof rule.order === 'number' ? rule.order : index }))
+      .sort((a, b) => a.key - b.key)
+      .map(entry => entry.rule);
+  }
+
+  /**
+   * Get the order value for a rule appended after all existing rules
+   */
+  static next(rules) {
+    return rules.reduce((max, rule, index) => {
+      const order = typeof rule.order === 'number' ? rule.order : index;
+      return Math.max(max, order + 1);
+    }, 0);
+  }
+
+  /**
+   * Find enabled rules that can never match because an earlier enabled rule
+   * matches every request they would
+   * @param {Array} rules - Mock rules
+   * @returns {Map<string, Object>} Map of shadowed rule id to the rule shadowing it
+   */
+  static findShadowed(rules) {
+    const shadowed = new Map();
+    const enabled = this.sort(rules).filter(rule => rule.enabled);
+
+    enabled.forEach((rule, index) => {
+      const shadowing = enabled.slice(0, index).find(earlier => this.shadows(earlier, rule));
+      if (shadowing) {
+        shadowed.set(rule.id, shadowing);
+      }
+    });
+
+    return shadowed;
+  }
+
+  /**
+   * Check whether rule `a` matches every request rule `b` matches
+   */
+  static shadows(a, b) {
+    if ((a.type || 'http') !== (b.type || 'http')) return false;
+
+    // GraphQL and resource rules accept any method they can handle
+    const anyMethod = a.type === 'graphql' || a.type === 'resource';
+    if (!anyMethod && a.request.method.toUpperCase() !== b.request.method.toUpperCase()) {
+      return false;
+    }
+
+    return this.urlCovers(a, b) &&
+      this.headerConditionsCover(a.request.headerConditions, b.request.headerConditions) &&
+      this.bodyMatchCovers(a.request, b.request) &&
+      this.graphqlCovers(a.graphql, b.graphql);
+  }
+
+  /**
+   * Check whether rule `a`'s URL pattern covers every URL rule `b`'s does
+   * Pattern-to-pattern checks treat `b`'s pattern text as a sample URL,
+   * which catches catch-all rules placed before specific ones.
+   */
+  static urlCovers(a, b) {
+    const queryModeOf = (rule) => (rule.type === 'graphql' || rule.type === 'resource' ? 'ignore' : rule.request.queryMode || 'exact');
+    const requestA = { ...a.request, queryMode: queryModeOf(a) };
+    const modeA = requestA.matchMode || 'exact';
+    const modeB = b.request.matchMode || 'exact';
+    const queryA = queryModeOf(a);
+    const queryB = queryModeOf(b);
+    const queryCovers = queryA === 'ignore' || queryA === queryB;
+
+    if (modeA === modeB && a.request.url === b.request.url && queryCovers) {
+      return true;
+    }
+
+    if (modeB === 'exact') {
+      if (queryB !== 'exact' && queryA !== 'ignore') return false;
+      return UrlMatcher.match(requestA, b.request.url) !== null;
+    }
+
+    if (modeA === 'exact' || !queryCovers) return false;
+    return UrlMatcher.match(requestA, b.request.url) !== null;
+  }
+
+  /**
+   * Check whether `a`'s header conditions are all present in `b`'s
+   */
+  static headerConditionsCover(conditionsA, conditionsB) {
+    return (conditionsA || []).every(conditionA => (conditionsB || []).some(conditionB =>
+      conditionA.name.toLowerCase() === conditionB.name.toLowerCase() &&
+      conditionA.operator === conditionB.operator &&
+      (conditionA.value || '') === (conditionB.value || '')
+    ));
+  }
+
+  /**
+   * Check whether `a`'s body match accepts every body `b`'s does
+   */
+  static bodyMatchCovers(requestA, requestB) {
+    const modeA = requestA.bodyMatchMode || 'none';
+    if (modeA === 'none') return true;
+    return modeA === (requestB.bodyMatchMode || 'none') && requestA.body === requestB.body;
+  }
+
+  /**
+   * Check whether `a`'s GraphQL criteria accept every operation `b`'s do
+   */
+  static graphqlCovers(graphqlA, graphqlB) {
+    if (!graphqlA) return true;
+    const b = graphqlB || {};
+    return ['operationName', 'variables', 'persistedQueryHash'].every(key => !graphqlA[key] || graphqlA[key] === b[key]) &&
+      (!graphqlA.operationType || graphqlA.operationType === 'any' || graphqlA.operationType === b.operationType);
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.RuleOrder = RuleOrder;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RuleOrder;
+}
@@ -0,0 +1,312 @@
+/**
+ * Rule Schema - Versions, migrates and validates stored mock rules
+ *
+ * Stored rules carry the schema version they were saved with (see RULE_SCHEMA_VERSION).
+ * When the rule model changes, add a migration that upgrades a rule from the previous
+ * version, bump the version, and existing rules and imported files are upgraded with it.
+ */
+
+const RULE_SCHEMA_VERSION = 2;
+
+const RULE_FAILURES = ['network-error', 'timeout', 'abort'];
+
+// Field types of a rule's settings objects; their own validators assume these types.
+// Fields may be left out, and get their defaults.
+const SETTING_FIELDS = {
+  graphql: { operationType: 'text', operationName: 'text', variables: 'text', persistedQueryHash: 'text' },
+  resource: { idField: 'text', seed: 'text' },
+  transform: {
+    status: 'number or null', setHeaders: 'headers', removeHeaders: 'names',
+    mergePatch: 'text', jsonPatch: 'text', pathOps: 'text',
+  },
+  rewrite: { url: 'text', method: 'text', setHeaders: 'headers', removeHeaders: 'names', body: 'text or null' },
+};
+
+// A binary response body, as padded base64 text
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+// Each migration upgrades one rule from `version - 1` to `version`. Rules saved before
+// versioning existed are version 0. Stored rules are migrated as the service worker indexes
+// them, so a response's body may be empty with its size in `bodySize` (see BodyStore).
+const RULE_MIGRATIONS = [
+  {
+    version: 1,
+    // Rules from before versioning may lack any field added since the first release;
+    // the defaults are the values matching has always assumed for a missing field
+    migrate: (rule, index) => ({
+      ...rule,
+      enabled: rule.enabled !== false,
+      order: typeof rule.order === 'number' ? rule.order : index,
+      type: rule.type || 'http',
+      name: rule.name || null,
+      request: {
+        matchMode: 'exact',
+        queryMode: 'exact',
+        method: 'GET',
+        headers: {},
+        headerConditions: [],
+        body: null,
+        bodyMatchMode: 'none',
+        ...rule.request,
+      },
+      graphql: rule.graphql || null,
+      resource: rule.resource || null,
+      handler: rule.handler || null,
+      transform: rule.transform || null,
+      rewrite: rule.rewrite || null,
+      sequence: rule.sequence && Array.isArray(rule.sequence.responses)
+        ? { ...rule.sequence, responses: rule.sequence.responses.map(step => ({ ...step, status: RuleSchema.toStatus(step.status) })) }
+        : rule.sequence || null,
+      response: {
+        status: 200,
+        statusText: 'OK',
+        headers: {},
+        body: '',
+        delay: null,
+        failure: null,
+        seed: null,
+        weight: null,
+        ...rule.response,
+        status: RuleSchema.toStatus(rule.response && rule.response.status !== undefined ? rule.response.status : 200),
+      },
+    }),
+  },
+  {
+    version: 2,
+    // Response templates became opt-in. Older rules may hold `{{` text that was never meant
+    // as a template, e.g. recorded or imported from another tool, so they stay literal.
+    migrate: (rule) => ({ ...rule, templated: false }),
+  },
+];
+
+class RuleSchema {
+  /**
+   * Upgrade rules to the current schema version
+   * @param {Array} rules - Rules saved with `fromVersion`
+   * @param {number} fromVersion - Schema version of the rules; 0 for unversioned data
+   * @returns {Array} The upgraded rules
+   * @throws {Error} If the rules come from a newer version or a migration fails
+   */
+  static migrate(rules, fromVersion = 0) {
+    if (fromVersion > RULE_SCHEMA_VERSION) {
+      throw new Error(`Rules were saved by a newer version of the extension (schema ${fromVersion}); update the extension`);
+    }
+
+    return RULE_MIGRATIONS
+      .filter(migration => migration.version > fromVersion)
+      .reduce((current, migration) => current.map((rule, index) => {
+        try {
+          return migration.migrate(rule, index);
+        } catch (e) {
+          throw new Error(`${this.label(rule, index)} can't be upgraded to schema ${migration.version}: ${e.message}`);
+        }
+      }), rules);
+  }
+
+  /**
+   * Check a rule against the current schema
+   * @param {Object} rule - A stored rule
+   * @returns {Array<string>} Problems found; empty if the rule is valid
+   */
+  static validate(rule) {
+    if (!this.isObject(rule)) return ['must be an object'];
+
+    const errors = [];
+    const check = (condition, message) => {
+      if (!condition) errors.push(message);
+    };
+    const isStringMap = (value) => this.isObject(value) && Object.values(value).every(item => typeof item === 'string');
+    const isOptionalObject = (value) => value === null || this.isObject(value);
+
+    check(typeof rule.id === 'string' && rule.id !== '', 'id must be a non-empty string');
+    check(['http', 'graphql', 'resource'].includes(rule.type), 'type must be http, graphql or resource');
+    check(typeof rule.enabled === 'boolean', 'enabled must be true or false');
+    check(Number.isFinite(rule.order), 'order must be a number');
+    check(rule.name === null || typeof rule.name === 'string', 'name must be text');
+    check(typeof rule.templated === 'boolean', 'templated must be true or false');
+
+    const { request } = rule;
+    if (!this.isObject(request)) {
+      errors.push('request must be an object');
+    } else {
+      if (typeof request.url !== 'string' || request.url.trim() === '') {
+        errors.push('request.url must be a non-empty string');
+      } else if (Object.values(URL_MATCH_MODES).includes(request.matchMode)) {
+        const urlError = UrlMatcher.validate(request.url, request.matchMode);
+        check(!urlError, `request.url is not a valid ${request.matchMode} pattern: ${urlError}`);
+      }
+      check(Object.values(URL_MATCH_MODES).includes(request.matchMode),
+        `request.matchMode must be one of: ${Object.values(URL_MATCH_MODES).join(', ')}`);
+      check(Object.values(QUERY_MATCH_MODES).includes(request.queryMode),
+        `request.queryMode must be one of: ${Object.values(QUERY_MATCH_MODES).join(', ')}`);
+      check(typeof request.method === 'string' && request.method !== '', 'request.method must be a non-empty string');
+      check(isStringMap(request.headers), 'request.headers must map header names to text');
+      check(Array.isArray(request.headerConditions) && request.headerConditions.every(condition => this.isObject(condition) &&
+        typeof condition.name === 'string'), 'request.headerConditions must be a list of conditions with a header name');
+      check(request.body === null || typeof request.body === 'string', 'request.body must be text or null');
+      check(Object.values(BODY_MATCH_MODES).includes(request.bodyMatchMode),
+        `request.bodyMatchMode must be one of: ${Object.values(BODY_MATCH_MODES).join(', ')}`);
+    }
+
+    if (!this.isObject(rule.response)) {
+      errors.push('response must be an object');
+    } else {
+      this.validateResponse(rule.response, 'response').forEach(error => errors.push(error));
+    }
+
+    const validators = { graphql: GraphQLMatcher, resource: ResourceStore, transform: ResponseTransform, rewrite: RequestRewrite };
+    Object.entries(validators).forEach(([field, validator]) => {
+      if (!isOptionalObject(rule[field])) {
+        errors.push(`${field} must be an object or null`);
+      } else if (rule[field] !== null) {
+        const fieldErrors = this.validateFields(rule[field], SETTING_FIELDS[field], field);
+        fieldErrors.forEach(error => errors.push(error));
+        const message = fieldErrors.length === 0 && validator.validate(rule[field]);
+        check(!message, `${field}: ${message}`);
+      }
+    });
+    check(rule.handler === null || typeof rule.handler === 'string', 'handler must be code or null');
+
+    const sources = ['handler', 'transform', 'rewrite'].filter(field => rule[field]);
+    check(sources.length <= 1, `only one of handler, transform and rewrite can be set, found ${sources.join(' and ')}`);
+
+    if (rule.sequence !== null) {
+      if (!this.isObject(rule.sequence) || !Array.isArray(rule.sequence.responses)) {
+        errors.push('sequence must be null or have a list of responses');
+      } else {
+        rule.sequence.responses.forEach((response, index) => {
+          this.validateResponse(response, `sequence.responses[${index}]`).forEach(error => errors.push(error));
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a rule's response or a sequence step
+   */
+  static validateResponse(response, path) {
+    if (!this.isObject(response)) return [`${path} must be an object`];
+
+    const errors = [];
+    const check = (condition, message) => {
+      if (!condition) errors.push(`${path}.${message}`);
+    };
+
+    if (response.failure !== null && response.failure !== undefined) {
+      check(RULE_FAILURES.includes(response.failure), `failure must be one of: ${RULE_FAILURES.join(', ')}`);
+    } else {
+      check(Number.isInteger(response.status) && response.status >= 100 && response.status <= 599,
+        'status must be a whole number from 100 to 599');
+    }
+    if (response.headers !== undefined) {
+      check(this.isObject(response.headers) && Object.values(response.headers).every(value => typeof value === 'string'),
+        'headers must map header names to text');
+    }
+    if (response.body !== undefined) {
+      check(typeof response.body === 'string', 'body must be text');
+    }
+    if (response.bodyEncoding !== undefined && response.bodyEncoding !== null) {
+      check(response.bodyEncoding === 'base64', 'bodyEncoding must be null or "base64"');
+      check(response.bodyEncoding !== 'base64' || typeof response.body !== 'string' || BASE64_PATTERN.test(response.body),
+        'body must be base64 encoded');
+    }
+    if (response.delay !== undefined && response.delay !== null) {
+      if (!this.isObject(response.delay) || !Object.values(DELAY_TYPES).includes(response.delay.type)) {
+        errors.push(`${path}.delay must be null or have a type of: ${Object.values(DELAY_TYPES).join(', ')}`);
+      } else {
+        const message = Latency.validate(response.delay);
+        check(!message, `delay: ${message}`);
+      }
+    }
+    if (response.weight !== undefined && response.weight !== null) {
+      check(typeof response.weight === 'number' && response.weight >= 0, 'weight must be a number of 0 or more');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check the field types of a settings object
+   * @param {Object} settings - The settings, e.g. a rule's transform
+   * @param {Object} fields - Field types by name, as in SETTING_FIELDS
+   * @param {string} path - Where the settings are in the rule
+   * @returns {Array<string>} Problems found
+   */
+  static validateFields(settings, fields, path) {
+    const isText = (value) => typeof value === 'string';
+    const types = {
+      'text': isText,
+      'text or null': (value) => value === null || isText(value),
+      'number or null': (value) => value === null || typeof value === 'number',
+      'headers': (value) => this.isObject(value) && Object.values(value).every(isText),
+      'names': (value) => Array.isArray(value) && value.every(isText),
+    };
+    const descriptions = {
+      'headers': 'map header names to text',
+      'names': 'be a list of header names',
+    };
+
+    return Object.entries(fields)
+      .filter(([name, type]) => settings[name] !== undefined && !types[type](settings[name]))
+      .map(([name, type]) => `${path}.${name} must ${descriptions[type] || `be ${type}`}`);
+  }
+
+  /**
+   * Throw if a rule is invalid
+   * @throws {Error} Listing the rule's problems
+   */
+  static assertValid(rule) {
+    const errors = this.validate(rule);
+    if (errors.length > 0) {
+      throw new Error(`Invalid rule: ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * Throw if any of several rules is invalid, naming each broken rule and its problems
+   * @param {Array} rules - Rules to check
+   * @throws {Error} Listing the problems of the invalid rules
+   */
+  static assertAllValid(rules) {
+    const problems = rules
+      .map((rule, index) => ({ rule, index, errors: this.validate(rule) }))
+      .filter(({ errors }) => errors.length > 0)
+      .map(({ rule, index, errors }) => `${this.label(rule, index)}: ${errors.join('; ')}`);
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid rule${problems.length === 1 ? '' : 's'}. ${problems.join('. ')}`);
+    }
+  }
+
+  /**
+   * Turn a status code saved as text, as early versions of the editor could, into a number
+   */
+  static toStatus(status) {
+    return typeof status === 'string' && /^\d+$/.test(status) ? Number(status) : status;
+  }
+
+  /**
+   * Name a rule in messages, e.g. `Rule 3 ("Get users")`
+   */
+  static label(rule, index) {
+    const name = this.isObject(rule) && (rule.name || (this.isObject(rule.request) && rule.request.url));
+    return `Rule ${index + 1}${name ? ` ("${name}")` : ''}`;
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.RuleSchema = RuleSchema;
+  window.RULE_SCHEMA_VERSION = RULE_SCHEMA_VERSION;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RuleSchema, RULE_SCHEMA_VERSION, RULE_FAILURES };
+}
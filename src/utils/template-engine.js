@@ -0,0 +1,557 @@
+/**
+ * Template Engine - Renders Handlebars-style templates in mock response bodies and headers
+ *
+ * Supports `{{path.to.value}}`, helpers (`{{randomInt 1 100}}`), sub-expressions
+ * (`{{#if (eq request.query.role 'admin')}}`), the block helpers `#each`, `#if`,
+ * `#unless`, `#with` and `#repeat` with `{{else}}`, and `{{! comments }}`.
+ *
+ * `\{{` writes a literal `{{`. A tag naming a value the context doesn't have, such as
+ * a Postman `{{$guid}}`, is written as it is; a missing field of a known value is empty.
+ */
+
+// Helpers that render a block of the template
+const BLOCK_HELPERS = ['each', 'if', 'unless', 'with', 'repeat'];
+
+// Most times one {{#repeat}} renders its block
+const MAX_REPEAT = 10000;
+
+// Most loop iterations in one render, counting every `#each` and `#repeat` at every
+// nesting level, so nested loops can't multiply into millions
+const MAX_TEMPLATE_ITERATIONS = 100000;
+
+class TemplateEngine {
+  /**
+   * Render a template
+   * @param {string} template - Template text
+   * @param {Object} context - Root values available to paths, e.g. { request, params }
+   * @param {Object} options - Render options; `random` replaces Math.random for helpers
+   * @returns {string} Rendered text
+   */
+  static render(template, context, options = {}) {
+    if (typeof template !== 'string' || !template.includes('{{')) return template;
+
+    const state = { random: options.random || Math.random, iterations: 0 };
+    return this.renderNodes(this.parse(template), [context], { root: context }, state);
+  }
+
+  /**
+   * Build the values available to templates for a request
+   * @param {Object} requestInfo - Request with url, method, headers and body
+   * @param {Object} params - Path or regex params from URL matching
+   * @returns {Object} Context with `request` and `params`
+   */
+  static createRequestContext(requestInfo, params = {}) {
+    const url = new URL(requestInfo.url);
+
+    // Repeated query params become arrays
+    const query = {};
+    url.searchParams.forEach((value, key) => {
+      query[key] = key in query ? [].concat(query[key], value) : value;
+    });
+
+    const headers = {};
+    for (const [key, value] of Object.entries(requestInfo.headers || {})) {
+      headers[key.toLowerCase()] = value;
+    }
+
+    return {
+      request: {
+        url: requestInfo.url,
+        method: requestInfo.method.toUpperCase(),
+        path: url.pathname,
+        query,
+        headers,
+        body: this.parseBody(requestInfo.body, headers['content-type']),
+        rawBody: requestInfo.body || '',
+        params,
+      },
+      params,
+    };
+  }
+
+  /**
+   * Parse a request body for templates
+   * JSON and form bodies become objects, anything else stays a string.
+   */
+  static parseBody(body, contentType = '') {
+    if (!body) return null;
+
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      // Not JSON
+    }
+
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+      return Object.fromEntries(new URLSearchParams(body));
+    }
+
+    return body;
+  }
+
+  /**
+   * Validate a template's syntax and helper names
+   * @returns {string|null} Error message, or null if the template is valid
+   */
+  static validate(template) {
+    try {
+      this.parse(template || '');
+      return null;
+    } catch (e) {
+      return `Template: ${e.message}`;
+    }
+  }
+
+  /**
+   * Parse a template into a tree of text, expression and block nodes
+   */
+  static parse(template) {
+    if (this.cache.has(template)) {
+      return this.cache.get(template);
+    }
+
+    const root = { nodes: [] };
+    const stack = [root];
+    const tagPattern = /\{\{([\s\S]*?)\}\}/g;
+    let lastIndex = 0;
+    let tag;
+
+    const current = () => {
+      const top = stack[stack.length - 1];
+      return top.inverse || top.nodes;
+    };
+
+    while ((tag = tagPattern.exec(template)) !== null) {
+      const escaped = template[tag.index - 1] === '\\';
+      const textEnd = escaped ? tag.index - 1 : tag.index;
+      if (textEnd > lastIndex) {
+        current().push({ type: 'text', value: template.slice(lastIndex, textEnd) });
+      }
+
+      if (escaped) {
+        // Only the braces are escaped, so a tag inside the literal one is still rendered
+        current().push({ type: 'text', value: '{{' });
+        tagPattern.lastIndex = tag.index + 2;
+        lastIndex = tagPattern.lastIndex;
+        continue;
+      }
+      lastIndex = tagPattern.lastIndex;
+
+      const content = tag[1].trim();
+
+      if (content.startsWith('!')) {
+        continue;
+      }
+
+      if (content.startsWith('#')) {
+        const expression = this.parseExpression(content.slice(1), true);
+        if (!BLOCK_HELPERS.includes(expression.name)) {
+          throw new Error(`Unknown block helper: #${expression.name}`);
+        }
+        const block = { type: 'block', name: expression.name, args: expression.args, nodes: [], inverse: null };
+        current().push(block);
+        stack.push(block);
+      } else if (content.startsWith('/')) {
+        const name = content.slice(1).trim();
+        const block = stack[stack.length - 1];
+        if (stack.length === 1 || block.name !== name) {
+          throw new Error(`Unexpected {{/${name}}}`);
+        }
+        stack.pop();
+      } else if (content === 'else') {
+        const block = stack[stack.length - 1];
+        if (stack.length === 1 || block.inverse) {
+          throw new Error('Unexpected {{else}}');
+        }
+        block.inverse = [];
+      } else {
+        current().push({ type: 'expression', expression: this.parseExpression(content, false), source: tag[0] });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Missing {{/${stack[stack.length - 1].name}}}`);
+    }
+    if (lastIndex < template.length) {
+      root.nodes.push({ type: 'text', value: template.slice(lastIndex) });
+    }
+
+    if (this.cache.size > 200) this.cache.clear();
+    this.cache.set(template, root.nodes);
+    return root.nodes;
+  }
+
+  /**
+   * Parse the contents of a tag into a helper call or a value
+   * @param {string} source - Tag contents without braces
+   * @param {boolean} isBlock - Whether the tag opens a block
+   */
+  static parseExpression(source, isBlock) {
+    const tokens = this.tokenize(source);
+    if (tokens.length === 0) {
+      throw new Error('Empty {{ }} tag');
+    }
+
+    let position = 0;
+    const parseArgument = () => {
+      const token = tokens[position++];
+      if (token === undefined || token === ')') {
+        throw new Error(`Incomplete expression: ${source}`);
+      }
+      if (token === '(') {
+        const name = tokens[position++];
+        if (!this.helpers[name]) {
+          throw new Error(`Unknown helper: ${name}`);
+        }
+        const args = [];
+        while (tokens[position] !== ')') {
+          args.push(parseArgument());
+        }
+        position++;
+        return { type: 'call', name, args };
+      }
+      return this.parseValue(token);
+    };
+
+    const first = tokens[0];
+    const isCall = isBlock || this.helpers[first] !== undefined || tokens.length > 1;
+
+    if (!isCall || (first === '(' && !isBlock)) {
+      const expression = parseArgument();
+      if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position]}" in: ${source}`);
+      }
+      return expression;
+    }
+
+    if (!isBlock && !this.helpers[first]) {
+      throw new Error(`Unknown helper: ${first}`);
+    }
+
+    position = 1;
+    const args = [];
+    while (position < tokens.length) {
+      args.push(parseArgument());
+    }
+    return { type: 'call', name: first, args };
+  }
+
+  /**
+   * Split an expression into words, quoted strings and parentheses
+   */
+  static tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '(' || char === ')') {
+        tokens.push(char);
+        i++;
+      } else if (char === '"' || char === '\'') {
+        let end = i + 1;
+        while (end < source.length && source[end] !== char) {
+          if (source[end] === '\\') end++;
+          end++;
+        }
+        if (end >= source.length) {
+          throw new Error(`Unterminated string in: ${source}`);
+        }
+        tokens.push(source.slice(i, end + 1));
+        i = end + 1;
+      } else {
+        let end = i;
+        while (end < source.length && !/[\s()]/.test(source[end])) end++;
+        tokens.push(source.slice(i, end));
+        i = end;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse a literal or path token
+   */
+  static parseValue(token) {
+    const quote = token[0];
+    if (quote === '"' || quote === '\'') {
+      return { type: 'literal', value: token.slice(1, -1).replace(/\\(.)/g, '$1') };
+    }
+    if (/^-?\d+(\.\d+)?$/.test(token)) return { type: 'literal', value: Number(token) };
+    if (token === 'true') return { type: 'literal', value: true };
+    if (token === 'false') return { type: 'literal', value: false };
+    if (token === 'null') return { type: 'literal', value: null };
+    return { type: 'path', path: token };
+  }
+
+  /**
+   * Render parsed nodes
+   * @param {Array} nodes - Parsed nodes
+   * @param {Array} scopes - Context stack, innermost last
+   * @param {Object} data - `@` variables such as @index and @root
+   * @param {Object} state - Render state shared with helpers
+   */
+  static renderNodes(nodes, scopes, data, state) {
+    let output = '';
+
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        output += node.value;
+      } else if (node.type === 'expression') {
+        output += this.isUnknownPath(node.expression, scopes)
+          ? node.source
+          : this.stringify(this.evaluate(node.expression, scopes, data, state));
+      } else {
+        output += this.renderBlock(node, scopes, data, state);
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Render a block helper
+   */
+  static renderBlock(block, scopes, data, state) {
+    const value = block.args.length > 0 ? this.evaluate(block.args[0], scopes, data, state) : undefined;
+    const renderInverse = () => (block.inverse ? this.renderNodes(block.inverse, scopes, data, state) : '');
+
+    switch (block.name) {
+      case 'if':
+        return this.isTruthy(value) ? this.renderNodes(block.nodes, scopes, data, state) : renderInverse();
+
+      case 'unless':
+        return this.isTruthy(value) ? renderInverse() : this.renderNodes(block.nodes, scopes, data, state);
+
+      case 'with':
+        return this.isTruthy(value) ? this.renderNodes(block.nodes, [...scopes, value], data, state) : renderInverse();
+
+      case 'each': {
+        if (value === null || typeof value !== 'object') return renderInverse();
+        const keys = Array.isArray(value) ? value.map((item, index) => index) : Object.keys(value);
+        if (keys.length === 0) return renderInverse();
+
+        this.countIterations(state, keys.length);
+        return keys.map((key, index) => this.renderNodes(block.nodes, [...scopes, value[key]], {
+          ...data,
+          index,
+          key,
+          first: index === 0,
+          last: index === keys.length - 1,
+        }, state)).join('');
+      }
+
+      case 'repeat': {
+        const count = Math.max(0, Math.min(parseInt(value, 10) || 0, MAX_REPEAT));
+        if (count === 0) return renderInverse();
+        this.countIterations(state, count);
+
+        let output = '';
+        for (let index = 0; index < count; index++) {
+          output += this.renderNodes(block.nodes, scopes, {
+            ...data,
+            index,
+            first: index === 0,
+            last: index === count - 1,
+          }, state);
+        }
+        return output;
+      }
+
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Add a loop's iterations to the render's total
+   * @throws {Error} If the render would loop more than MAX_TEMPLATE_ITERATIONS times
+   */
+  static countIterations(state, count) {
+    state.iterations += count;
+    if (state.iterations > MAX_TEMPLATE_ITERATIONS) {
+      throw new Error(`Template loops more than ${MAX_TEMPLATE_ITERATIONS} times in total`);
+    }
+  }
+
+  /**
+   * Evaluate a parsed expression
+   */
+  static evaluate(expression, scopes, data, state) {
+    switch (expression.type) {
+      case 'literal':
+        return expression.value;
+
+      case 'path':
+        return this.resolvePath(expression.path, scopes, data);
+
+      case 'call': {
+        const args = expression.args.map(arg => this.evaluate(arg, scopes, data, state));
+        return this.helpers[expression.name].apply(state, args);
+      }
+
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Look up a dotted path
+   * The first segment is searched from the innermost scope outwards, so
+   * `request` stays reachable inside `#each` blocks.
+   */
+  static resolvePath(path, scopes, data) {
+    const segments = path.split('.').filter(Boolean);
+    let value;
+
+    if (path === 'this' || path === '.') {
+      return scopes[scopes.length - 1];
+    }
+
+    const first = segments.shift();
+
+    if (first.startsWith('@')) {
+      value = data[first.slice(1)];
+    } else if (first === 'this') {
+      value = scopes[scopes.length - 1];
+    } else {
+      const scope = [...scopes].reverse().find(candidate =>
+        candidate !== null && typeof candidate === 'object' && first in candidate
+      );
+      value = scope ? scope[first] : undefined;
+    }
+
+    for (const segment of segments) {
+      if (value === null || value === undefined) return undefined;
+      value = value[segment];
+    }
+
+    return value;
+  }
+
+  /**
+   * Check whether an expression is a path whose first name no scope has
+   * Such a tag is probably not meant for this engine, e.g. a variable of another tool.
+   */
+  static isUnknownPath(expression, scopes) {
+    if (expression.type !== 'path') return false;
+
+    const first = expression.path.split('.').filter(Boolean)[0];
+    if (!first || first === 'this' || first.startsWith('@')) return false;
+    return !scopes.some(scope => scope !== null && typeof scope === 'object' && first in scope);
+  }
+
+  /**
+   * Handlebars truthiness: empty arrays are falsy too
+   */
+  static isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  }
+
+  /**
+   * Convert a value to template output
+   * Objects and arrays are written as JSON so they can be embedded in JSON bodies.
+   */
+  static stringify(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+}
+
+// Parsed template cache, shared across calls
+TemplateEngine.cache = new Map();
+
+// Inline helpers; `this` is the render state, with `this.random()` for randomness
+TemplateEngine.helpers = {
+  now(format = 'iso') {
+    const date = new Date();
+    switch (format) {
+      case 'unix':
+        return Math.floor(date.getTime() / 1000);
+      case 'ms':
+        return date.getTime();
+      case 'date':
+        return date.toISOString().slice(0, 10);
+      default:
+        return date.toISOString();
+    }
+  },
+
+  uuid() {
+    const hex = Array.from({ length: 32 }, () => Math.floor(this.random() * 16).toString(16));
+    hex[12] = '4';
+    hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    const text = hex.join('');
+    return `${text.slice(0, 8)}-${text.slice(8, 12)}-${text.slice(12, 16)}-${text.slice(16, 20)}-${text.slice(20)}`;
+  },
+
+  randomInt(min = 0, max = 100) {
+    const low = Math.ceil(Number(min));
+    const high = Math.floor(Number(max));
+    return low + Math.floor(this.random() * (high - low + 1));
+  },
+
+  randomFloat(min = 0, max = 1, decimals = 2) {
+    const value = Number(min) + this.random() * (Number(max) - Number(min));
+    return Number(value.toFixed(decimals));
+  },
+
+  fake(kind, ...args) {
+    return FakeData.generate(kind, this.random, ...args);
+  },
+
+  pick(...items) {
+    return items[Math.floor(this.random() * items.length)];
+  },
+
+  json(value) {
+    return JSON.stringify(value === undefined ? null : value);
+  },
+
+  default(value, fallback) {
+    return value === undefined || value === null || value === '' ? fallback : value;
+  },
+
+  upper(value) {
+    return String(value ?? '').toUpperCase();
+  },
+
+  lower(value) {
+    return String(value ?? '').toLowerCase();
+  },
+
+  length(value) {
+    if (value === null || value === undefined) return 0;
+    return typeof value === 'object' && !Array.isArray(value) ? Object.keys(value).length : value.length;
+  },
+
+  add: (a, b) => Number(a) + Number(b),
+  subtract: (a, b) => Number(a) - Number(b),
+  multiply: (a, b) => Number(a) * Number(b),
+
+  // Loose comparison, since query params and headers are always strings
+  eq: (a, b) => a == b,
+  ne: (a, b) => a != b,
+  gt: (a, b) => Number(a) > Number(b),
+  gte: (a, b) => Number(a) >= Number(b),
+  lt: (a, b) => Number(a) < Number(b),
+  lte: (a, b) => Number(a) <= Number(b),
+  and: (...values) => values.every(value => TemplateEngine.isTruthy(value)),
+  or: (...values) => values.some(value => TemplateEngine.isTruthy(value)),
+  not: (value) => !TemplateEngine.isTruthy(value),
+};
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.TemplateEngine = TemplateEngine;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TemplateEngine;
+}
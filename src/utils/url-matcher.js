@@ -0,0 +1,320 @@
+/**
+ * URL Matcher - Matches request URLs against mock rule URL patterns
+ */
+
+// Supported URL match modes
+const URL_MATCH_MODES = {
+  EXACT: 'exact',
+  GLOB: 'glob',
+  REGEX: 'regex',
+  PATH: 'path',
+};
+
+// Supported query string match modes
+const QUERY_MATCH_MODES = {
+  EXACT: 'exact',
+  IGNORE: 'ignore',
+  SUBSET: 'subset',
+};
+
+// Query params commonly appended to defeat caching; the page strips them before matching
+const CACHE_BUSTER_PARAMS = ['_', '_t', '_ts', '_dc', '_cb', 'cb', 'cachebust', 'cachebuster', 'cache_bust', 'nocache'];
+
+class UrlMatcher {
+  /**
+   * Match a URL against a rule's URL pattern
+   * @param {Object} ruleRequest - The rule's request object (url, matchMode, queryMode)
+   * @param {string} url - The normalized request URL
+   * @returns {Object|null} Match result with extracted params, or null if no match
+   */
+  static match(ruleRequest, url) {
+    const mode = ruleRequest.matchMode || URL_MATCH_MODES.EXACT;
+    const queryMode = ruleRequest.queryMode || this.defaultQueryMode(mode);
+    const target = this.splitUrl(url);
+
+    // Regex patterns see the whole URL unless the query is ignored
+    if (mode === URL_MATCH_MODES.REGEX) {
+      const regexTarget = queryMode === QUERY_MATCH_MODES.IGNORE ? target.base : url;
+      return this.matchRegex(ruleRequest.url, regexTarget);
+    }
+
+    const pattern = this.splitPattern(ruleRequest.url, mode);
+    let match;
+
+    switch (mode) {
+      case URL_MATCH_MODES.GLOB:
+        match = this.globToRegExp(pattern.base).test(target.base) ? { params: {} } : null;
+        break;
+
+      case URL_MATCH_MODES.PATH:
+        match = this.matchPath(pattern.base, target.base);
+        break;
+
+      case URL_MATCH_MODES.EXACT:
+      default:
+        match = pattern.base === target.base ? { params: {} } : null;
+    }
+
+    if (!match || !this.matchQuery(pattern.query, target.query, queryMode)) {
+      return null;
+    }
+
+    return match;
+  }
+
+  /**
+   * Remove cache-buster params from a URL, as the page does before matching
+   * @returns {string} The URL without them; unparseable URLs are returned unchanged
+   */
+  static stripCacheBusters(url) {
+    try {
+      const parsed = new URL(url);
+      const busters = CACHE_BUSTER_PARAMS.filter(name => parsed.searchParams.has(name));
+      if (busters.length === 0) return url;
+      busters.forEach(name => parsed.searchParams.delete(name));
+      parsed.search = parsed.searchParams.toString();
+      return parsed.href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * Get the query mode a rule uses when it doesn't set one
+   * Path templates describe a route, so they match any query string by default.
+   */
+  static defaultQueryMode(matchMode) {
+    return matchMode === URL_MATCH_MODES.PATH ? QUERY_MATCH_MODES.IGNORE : QUERY_MATCH_MODES.EXACT;
+  }
+
+  /**
+   * Split a request URL into its base (without query or fragment) and query string
+   */
+  static splitUrl(url) {
+    const withoutHash = url.split('#')[0];
+    const index = withoutHash.indexOf('?');
+    if (index === -1) {
+      return { base: withoutHash, query: '' };
+    }
+    return { base: withoutHash.slice(0, index), query: withoutHash.slice(index + 1) };
+  }
+
+  /**
+   * Split a rule URL pattern into its base and query string
+   *
+   * In glob and path patterns `?` also means "one character" or "optional",
+   * so only a `?` followed by a `key=` pair starts the query there.
+   */
+  static splitPattern(pattern, mode) {
+    if (mode === URL_MATCH_MODES.GLOB || mode === URL_MATCH_MODES.PATH) {
+      const queryStart = pattern.search(/\?(?=[^/?#]*=)/);
+      if (queryStart === -1) {
+        return { base: pattern, query: '' };
+      }
+      return { base: pattern.slice(0, queryStart), query: pattern.slice(queryStart + 1) };
+    }
+    return this.splitUrl(pattern);
+  }
+
+  /**
+   * Compare query strings according to the query match mode
+   *
+   * `exact` ignores key order, `subset` requires every rule param to be present
+   * in the request and treats `*` in rule values as a wildcard (an empty or `*`
+   * value only requires the key to be present).
+   */
+  static matchQuery(patternQuery, query, queryMode) {
+    if (queryMode === QUERY_MATCH_MODES.IGNORE) {
+      return true;
+    }
+
+    const expected = [...new URLSearchParams(patternQuery)];
+    const actual = new URLSearchParams(query);
+
+    if (queryMode === QUERY_MATCH_MODES.SUBSET) {
+      return expected.every(([key, value]) => {
+        const values = actual.getAll(key);
+        if (values.length === 0) return false;
+        if (value === '' || value === '*') return true;
+
+        const valueRegex = new RegExp(`^${value.split('*').map(part => this.escapeRegExp(part)).join('.*')}$`);
+        return values.some(v => valueRegex.test(v));
+      });
+    }
+
+    // Exact: same key/value pairs regardless of order
+    const serialize = (pairs) => pairs.map(([key, value]) => `${key}=${value}`).sort().join('&');
+    return serialize(expected) === serialize([...actual]);
+  }
+
+  /**
+   * Match a URL against a regular expression, exposing named capture groups as params
+   */
+  static matchRegex(pattern, url) {
+    let regex;
+    try {
+      regex = new RegExp(pattern);
+    } catch (e) {
+      // Invalid patterns never match
+      return null;
+    }
+
+    const result = regex.exec(url);
+    if (!result) return null;
+
+    return { params: { ...(result.groups || {}) } };
+  }
+
+  /**
+   * Match a URL against an Express-style path template
+   *
+   * Templates starting with `/` are matched against the path only, so they
+   * apply to any origin. The query string is left to match(), which compares it
+   * according to the rule's query mode.
+   */
+  static matchPath(template, url) {
+    let target;
+    try {
+      const parsed = new URL(url);
+      target = template.startsWith('/') ? parsed.pathname : parsed.origin + parsed.pathname;
+    } catch (e) {
+      target = url.split(/[?#]/)[0];
+    }
+
+    let regex;
+    try {
+      regex = this.pathToRegExp(template);
+    } catch (e) {
+      return null;
+    }
+
+    const result = regex.exec(target);
+    if (!result) return null;
+
+    const params = {};
+    for (const [name, value] of Object.entries(result.groups || {})) {
+      if (value === undefined) continue;
+      try {
+        params[name] = decodeURIComponent(value);
+      } catch (e) {
+        params[name] = value;
+      }
+    }
+
+    return { params };
+  }
+
+  /**
+   * Convert a path template into an anchored regular expression
+   *
+   * `:name` captures one path segment, `:name?` makes the segment (and its
+   * leading slash) optional and `{...}` wraps an optional group of segments.
+   * A trailing slash on the request path is tolerated.
+   */
+  static pathToRegExp(template) {
+    let source = '';
+    let i = 0;
+
+    while (i < template.length) {
+      const char = template[i];
+
+      if (char === ':' && /[A-Za-z_$]/.test(template[i + 1] || '')) {
+        const name = template.slice(i + 1).match(/^[A-Za-z_$][\w$]*/)[0];
+        i += name.length + 1;
+
+        if (template[i] === '?') {
+          i++;
+          if (source.endsWith('\\/')) {
+            source = source.slice(0, -2) + `(?:\\/(?<${name}>[^/]+))?`;
+          } else {
+            source += `(?<${name}>[^/]+)?`;
+          }
+        } else {
+          source += `(?<${name}>[^/]+)`;
+        }
+        continue;
+      }
+
+      if (char === '{') {
+        source += '(?:';
+      } else if (char === '}') {
+        source += ')?';
+      } else {
+        source += this.escapeRegExp(char);
+      }
+      i++;
+    }
+
+    return new RegExp(`^${source}\\/?$`);
+  }
+
+  /**
+   * Validate a URL pattern for the given match mode
+   * @returns {string|null} Error message, or null if the pattern is valid
+   */
+  static validate(pattern, mode) {
+    try {
+      if (mode === URL_MATCH_MODES.REGEX) {
+        new RegExp(pattern);
+      } else if (mode === URL_MATCH_MODES.PATH) {
+        this.pathToRegExp(pattern);
+      }
+    } catch (e) {
+      return e.message;
+    }
+    return null;
+  }
+
+  /**
+   * Convert a glob pattern into an anchored regular expression
+   *
+   * `**` matches across path segments, `*` matches within a single segment
+   * and `?` matches exactly one character other than `/`.
+   */
+  static globToRegExp(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+
+      if (char === '*' && glob[i + 1] === '*') {
+        // `**/` may also match zero segments
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else {
+        source += this.escapeRegExp(char);
+      }
+    }
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Escape characters with special meaning in regular expressions
+   */
+  static escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.UrlMatcher = UrlMatcher;
+  window.URL_MATCH_MODES = URL_MATCH_MODES;
+  window.QUERY_MATCH_MODES = QUERY_MATCH_MODES;
+  window.CACHE_BUSTER_PARAMS = CACHE_BUSTER_PARAMS;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { UrlMatcher, URL_MATCH_MODES, QUERY_MATCH_MODES, CACHE_BUSTER_PARAMS };
+}
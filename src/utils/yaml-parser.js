@@ -0,0 +1,648 @@
+/**
+ * YAML Parser - Parses the YAML used by API specifications into plain values
+ *
+ * Supports block mappings and sequences, flow collections (`[a, b]`, `{a: 1}`),
+ * plain, single- and double-quoted scalars, literal (`|`) and folded (`>`) block
+ * scalars, comments, anchors with aliases and `<<` merge keys. Tags are ignored.
+ * Scalars resolve as in the YAML 1.2 core schema.
+ */
+
+class YamlParser {
+  /**
+   * Parse a YAML document
+   * @param {string} text - YAML source
+   * @returns {*} The parsed value
+   * @throws {Error} If the document is malformed
+   */
+  static parse(text) {
+    const reader = new YamlReader(text);
+    const value = reader.parseNode(0);
+    reader.expectEnd();
+    return value;
+  }
+
+  /**
+   * Resolve a plain scalar to null, a boolean, a number or a string
+   */
+  static resolveScalar(text) {
+    if (/^(~|null|Null|NULL)?$/.test(text)) return null;
+    if (/^(true|True|TRUE)$/.test(text)) return true;
+    if (/^(false|False|FALSE)$/.test(text)) return false;
+    if (/^[-+]?[0-9]+$/.test(text)) return parseInt(text, 10);
+    if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+    if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+    if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(text)) return parseFloat(text);
+    if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+    if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+    return text;
+  }
+
+  /**
+   * Decode the content of a double-quoted scalar
+   */
+  static unescapeDouble(text) {
+    const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0', e: '\x1b', a: '\x07', '"': '"', '\\': '\\', '/': '/', ' ': ' ', N: '\x85', _: '\xa0' };
+
+    return text.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, code) => {
+      if (code.length > 1) return String.fromCodePoint(parseInt(code.slice(1), 16));
+      if (code in escapes) return escapes[code];
+      throw new Error(`Unknown escape "\\${code}" in double-quoted string`);
+    });
+  }
+
+  /**
+   * Fold the lines of a multi-line flow scalar: single breaks become spaces, blank lines breaks
+   */
+  static foldLines(lines) {
+    let result = '';
+    let breaks = 0;
+
+    lines.forEach((line, index) => {
+      const text = index === 0 ? line.replace(/\s+$/, '') : line.trim();
+      if (index > 0 && text === '') {
+        breaks++;
+        return;
+      }
+      if (index > 0) {
+        result += breaks > 0 ? '\n'.repeat(breaks) : ' ';
+      }
+      breaks = 0;
+      result += text;
+    });
+
+    return result + '\n'.repeat(breaks);
+  }
+}
+
+/**
+ * Line-based reader behind YamlParser
+ */
+class YamlReader {
+  constructor(text) {
+    this.lines = String(text).replace(/\r\n?/g, '\n').replace(/^﻿/, '').split('\n');
+    this.index = 0;
+    this.anchors = {};
+  }
+
+  /**
+   * Fail with the current line number
+   */
+  error(message) {
+    throw new Error(`YAML line ${this.index + 1}: ${message}`);
+  }
+
+  /**
+   * Skip blank lines, comment lines and document markers
+   */
+  skipBlank() {
+    while (this.index < this.lines.length) {
+      const line = this.lines[this.index];
+      const trimmed = line.trim();
+      if (trimmed === '' || trimmed.startsWith('#') || /^(---|\.\.\.)(\s|$)/.test(line) || /^%/.test(line)) {
+        this.index++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  expectEnd() {
+    this.skipBlank();
+    if (this.index < this.lines.length) {
+      this.error('unexpected content; check the indentation');
+    }
+  }
+
+  /**
+   * Get the indentation and content of the next non-blank line
+   */
+  peek() {
+    this.skipBlank();
+    if (this.index >= this.lines.length) return null;
+
+    const line = this.lines[this.index];
+    const indent = line.match(/^ */)[0].length;
+    if (line[indent] === '\t') {
+      this.error('tabs can\'t be used for indentation');
+    }
+    return { indent, content: line.slice(indent) };
+  }
+
+  /**
+   * Parse the node starting on the next line, if it is indented at least minIndent
+   */
+  parseNode(minIndent) {
+    const next = this.peek();
+    if (!next || next.indent < minIndent) return null;
+
+    if (this.isSequenceItem(next.content)) {
+      return this.parseSequence(next.indent);
+    }
+    if (this.findMappingColon(next.content) !== -1) {
+      return this.parseMapping(next.indent);
+    }
+
+    this.index++;
+    return this.parseInlineValue(next.content, next.indent - 1);
+  }
+
+  isSequenceItem(content) {
+    return content === '-' || content.startsWith('- ');
+  }
+
+  /**
+   * Parse a block sequence whose items start at the given indentation
+   */
+  parseSequence(indent) {
+    const items = [];
+
+    for (let next = this.peek(); next && next.indent === indent && this.isSequenceItem(next.content); next = this.peek()) {
+      const rest = next.content.slice(1).replace(/^ +/, '');
+      const offset = next.content.length - rest.length;
+
+      if (rest === '' || rest.startsWith('#')) {
+        this.index++;
+        items.push(this.parseNode(indent + 1));
+      } else {
+        // Read the rest of the line as if it started its own line, so "- key: value" begins a mapping
+        this.lines[this.index] = ' '.repeat(indent + offset) + rest;
+        items.push(this.parseNode(indent + 1));
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Parse a block mapping whose keys start at the given indentation
+   */
+  parseMapping(indent) {
+    const mapping = {};
+
+    for (let next = this.peek(); next && next.indent === indent; next = this.peek()) {
+      const colon = this.findMappingColon(next.content);
+      if (colon === -1) {
+        this.error(`expected "key: value", found "${next.content.trim()}"`);
+      }
+
+      const key = this.parseKey(next.content.slice(0, colon).trim());
+      const rest = next.content.slice(colon + 1).trim();
+      this.index++;
+
+      const value = this.parseValue(rest, indent);
+      if (key === '<<') {
+        this.merge(mapping, value);
+      } else {
+        mapping[key] = value;
+      }
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Apply a `<<` merge key; keys already in the mapping win
+   */
+  merge(mapping, value) {
+    const sources = Array.isArray(value) ? value : [value];
+    sources.forEach(source => {
+      if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        this.error('a merge key needs a mapping or a list of mappings');
+      }
+      Object.entries(source).forEach(([key, item]) => {
+        if (!(key in mapping)) mapping[key] = item;
+      });
+    });
+  }
+
+  /**
+   * Parse the value after a mapping key, which may continue on the following lines
+   */
+  parseValue(rest, indent) {
+    const { anchor, text } = this.readProperties(this.stripComment(rest));
+    let value;
+
+    if (text === '') {
+      // A nested block, or a sequence at the key's own indentation
+      const next = this.peek();
+      value = next && next.indent === indent && this.isSequenceItem(next.content)
+        ? this.parseSequence(indent)
+        : this.parseNode(indent + 1);
+    } else {
+      value = this.parseInlineValue(text, indent, true);
+    }
+
+    if (anchor) this.anchors[anchor] = value;
+    return value;
+  }
+
+  /**
+   * Split anchors and tags off the start of a value
+   */
+  readProperties(text) {
+    let anchor = null;
+    let rest = text;
+
+    for (;;) {
+      const match = rest.match(/^(&[^\s,[\]{}]+|![^\s]*)(\s+|$)/);
+      if (!match) break;
+      if (match[1].startsWith('&')) anchor = match[1].slice(1);
+      rest = rest.slice(match[0].length);
+    }
+
+    return { anchor, text: rest };
+  }
+
+  /**
+   * Parse a value that starts on the current line
+   * @param {string} text - Value text from the current line, already past its key
+   * @param {number} indent - Indentation of the owning key; continuation lines are deeper
+   * @param {boolean} hasProperties - Whether anchors and tags were already read
+   */
+  parseInlineValue(text, indent, hasProperties = false) {
+    let anchor = null;
+    if (!hasProperties) {
+      ({ anchor, text } = this.readProperties(this.stripComment(text)));
+    }
+
+    let value;
+    if (text.startsWith('*')) {
+      const name = text.slice(1).trim();
+      if (!(name in this.anchors)) this.error(`unknown alias "*${name}"`);
+      value = this.anchors[name];
+    } else if (/^[|>]/.test(text)) {
+      value = this.parseBlockScalar(text, indent);
+    } else if (text.startsWith('[') || text.startsWith('{')) {
+      value = this.parseFlow(this.collectFlow(text, indent));
+    } else if (text.startsWith('"') || text.startsWith("'")) {
+      value = this.parseQuoted(text, indent);
+    } else {
+      value = YamlParser.resolveScalar(this.collectPlain(text, indent));
+    }
+
+    if (anchor) this.anchors[anchor] = value;
+    return value;
+  }
+
+  /**
+   * Gather a plain scalar, folding continuation lines indented deeper than its key
+   */
+  collectPlain(text, indent) {
+    const lines = [text];
+
+    while (this.index < this.lines.length) {
+      const line = this.lines[this.index];
+      const trimmed = line.trim();
+      const lineIndent = line.match(/^ */)[0].length;
+
+      if (trimmed === '') {
+        lines.push('');
+        this.index++;
+        continue;
+      }
+      if (lineIndent <= indent || trimmed.startsWith('#') || this.findMappingColon(trimmed) !== -1) break;
+
+      lines.push(this.stripComment(trimmed));
+      this.index++;
+    }
+
+    // Trailing blank lines belong to whatever follows
+    while (lines.length > 1 && lines[lines.length - 1] === '') {
+      lines.pop();
+      this.index--;
+    }
+    return YamlParser.foldLines(lines).trim();
+  }
+
+  /**
+   * Parse a quoted scalar, which may span several lines
+   */
+  parseQuoted(text, indent) {
+    const quote = text[0];
+    const lines = [text.slice(1)];
+
+    for (;;) {
+      const current = lines[lines.length - 1];
+      const end = this.findClosingQuote(current, quote);
+
+      if (end !== -1) {
+        lines[lines.length - 1] = current.slice(0, end);
+        const after = current.slice(end + 1).trim();
+        if (after && !after.startsWith('#')) {
+          this.error(`unexpected "${after}" after a quoted string`);
+        }
+        break;
+      }
+
+      if (this.index >= this.lines.length) {
+        this.error('unterminated quoted string');
+      }
+      lines.push(this.lines[this.index]);
+      this.index++;
+    }
+
+    const folded = YamlParser.foldLines(lines);
+    return quote === '"' ? YamlParser.unescapeDouble(folded) : folded.replace(/''/g, "'");
+  }
+
+  /**
+   * Find the quote ending a quoted scalar, or -1 if it continues on the next line
+   */
+  findClosingQuote(text, quote) {
+    for (let i = 0; i < text.length; i++) {
+      if (quote === '"' && text[i] === '\\') {
+        i++;
+      } else if (text[i] === quote) {
+        if (quote === "'" && text[i + 1] === "'") {
+          i++;
+        } else {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Parse a literal (|) or folded (>) block scalar
+   */
+  parseBlockScalar(header, indent) {
+    const match = header.match(/^([|>])([+-]?)(\d?)([+-]?)\s*(#.*)?$/);
+    if (!match) this.error(`invalid block scalar header "${header}"`);
+
+    const folded = match[1] === '>';
+    const chomping = match[2] || match[4];
+    let blockIndent = match[3] ? indent + Number(match[3]) : null;
+    const lines = [];
+
+    while (this.index < this.lines.length) {
+      const line = this.lines[this.index];
+      const lineIndent = line.match(/^ */)[0].length;
+
+      if (line.trim() === '') {
+        lines.push('');
+        this.index++;
+        continue;
+      }
+      if (blockIndent === null) {
+        if (lineIndent <= indent) break;
+        blockIndent = lineIndent;
+      }
+      if (lineIndent < blockIndent) break;
+
+      lines.push(line.slice(blockIndent));
+      this.index++;
+    }
+
+    // Trailing blank lines are part of the scalar only for chomping, not for the next node
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+      trailing++;
+    }
+
+    let content;
+    if (folded) {
+      content = '';
+      lines.forEach((line, index) => {
+        if (index === 0) {
+          content = line;
+          return;
+        }
+        const previous = lines[index - 1];
+        // More-indented and empty lines keep their line breaks
+        const keepBreak = line === '' || previous === '' || /^\s/.test(line) || /^\s/.test(previous);
+        content += (keepBreak ? '\n' : ' ') + line;
+      });
+    } else {
+      content = lines.join('\n');
+    }
+
+    if (lines.length === 0) return chomping === '+' ? '\n'.repeat(trailing) : '';
+    if (chomping === '-') return content;
+    if (chomping === '+') return content + '\n'.repeat(trailing + 1);
+    return content + '\n';
+  }
+
+  /**
+   * Gather a flow collection that may span several lines
+   */
+  collectFlow(text, indent) {
+    let source = text;
+
+    while (!this.isFlowClosed(source)) {
+      if (this.index >= this.lines.length) {
+        this.error('unterminated flow collection');
+      }
+      source += ' ' + this.stripComment(this.lines[this.index].trim());
+      this.index++;
+    }
+
+    return source;
+  }
+
+  /**
+   * Check whether every bracket opened in a flow collection is closed
+   */
+  isFlowClosed(source) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (quote) {
+        if (quote === '"' && char === '\\') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+      }
+    }
+
+    return depth <= 0 && quote === null;
+  }
+
+  /**
+   * Parse a complete flow collection
+   */
+  parseFlow(source) {
+    let pos = 0;
+
+    const skipSpaces = () => {
+      while (/\s/.test(source[pos] || '')) pos++;
+    };
+
+    const fail = (message) => this.error(`${message} in "${source}"`);
+
+    const readScalar = (isKey) => {
+      skipSpaces();
+      const char = source[pos];
+
+      if (char === '"' || char === "'") {
+        const end = this.findClosingQuote(source.slice(pos + 1), char);
+        if (end === -1) fail('unterminated quoted string');
+        const text = source.slice(pos + 1, pos + 1 + end);
+        pos += end + 2;
+        return char === '"' ? YamlParser.unescapeDouble(text) : text.replace(/''/g, "'");
+      }
+
+      const start = pos;
+      while (pos < source.length && !/[,\]}]/.test(source[pos]) &&
+        !(source[pos] === ':' && (isKey || /[\s,\]}]/.test(source[pos + 1] || ' ')))) {
+        pos++;
+      }
+      const text = source.slice(start, pos).trim();
+
+      if (text.startsWith('*')) {
+        const name = text.slice(1);
+        if (!(name in this.anchors)) fail(`unknown alias "*${name}"`);
+        return this.anchors[name];
+      }
+      return isKey ? text : YamlParser.resolveScalar(text);
+    };
+
+    const readValue = () => {
+      skipSpaces();
+      let anchor = null;
+      const properties = source.slice(pos).match(/^(&([^\s,[\]{}]+)|![^\s,[\]{}]*)\s*/);
+      if (properties) {
+        anchor = properties[2] || null;
+        pos += properties[0].length;
+      }
+
+      let value;
+      if (source[pos] === '[') {
+        value = readSequence();
+      } else if (source[pos] === '{') {
+        value = readMapping();
+      } else {
+        value = readScalar(false);
+      }
+
+      if (anchor) this.anchors[anchor] = value;
+      return value;
+    };
+
+    const readSequence = () => {
+      const items = [];
+      pos++;
+      for (;;) {
+        skipSpaces();
+        if (source[pos] === ']') {
+          pos++;
+          return items;
+        }
+        items.push(readValue());
+        skipSpaces();
+        if (source[pos] === ',') {
+          pos++;
+        } else if (source[pos] !== ']') {
+          fail('expected "," or "]"');
+        }
+      }
+    };
+
+    const readMapping = () => {
+      const mapping = {};
+      pos++;
+      for (;;) {
+        skipSpaces();
+        if (source[pos] === '}') {
+          pos++;
+          return mapping;
+        }
+        const key = String(readScalar(true));
+        skipSpaces();
+        let value = null;
+        if (source[pos] === ':') {
+          pos++;
+          value = readValue();
+        }
+        mapping[key] = value;
+        skipSpaces();
+        if (source[pos] === ',') {
+          pos++;
+        } else if (source[pos] !== '}') {
+          fail('expected "," or "}"');
+        }
+      }
+    };
+
+    const value = readValue();
+    skipSpaces();
+    if (pos < source.length) {
+      fail(`unexpected "${source.slice(pos)}"`);
+    }
+    return value;
+  }
+
+  /**
+   * Parse a mapping key, unquoting it if needed
+   */
+  parseKey(text) {
+    if (text.startsWith('"') && text.endsWith('"') && text.length > 1) {
+      return YamlParser.unescapeDouble(text.slice(1, -1));
+    }
+    if (text.startsWith("'") && text.endsWith("'") && text.length > 1) {
+      return text.slice(1, -1).replace(/''/g, "'");
+    }
+    return text;
+  }
+
+  /**
+   * Find the colon separating a block mapping key from its value
+   * @returns {number} Index of the colon, or -1 if the line is not a mapping entry
+   */
+  findMappingColon(content) {
+    if (/^[[{]/.test(content) || content.startsWith('#')) return -1;
+
+    let i = 0;
+    if (content[0] === '"' || content[0] === "'") {
+      const end = this.findClosingQuote(content.slice(1), content[0]);
+      if (end === -1) return -1;
+      i = end + 2;
+      while (content[i] === ' ') i++;
+      return content[i] === ':' && /^(\s|$)/.test(content.slice(i + 1, i + 2)) ? i : -1;
+    }
+
+    for (; i < content.length; i++) {
+      if (content[i] === '#' && i > 0 && /\s/.test(content[i - 1])) return -1;
+      if (content[i] === ':' && /^(\s|$)/.test(content.slice(i + 1, i + 2))) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Remove a trailing comment outside quotes
+   */
+  stripComment(text) {
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (quote === '"' && char === '\\') i++;
+        else if (char === quote) quote = null;
+      } else if ((char === '"' || char === "'") && (i === 0 || /[\s[{,:]/.test(text[i - 1]))) {
+        quote = char;
+      } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+        return text.slice(0, i).trim();
+      }
+    }
+
+    return text.trim();
+  }
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.YamlParser = YamlParser;
+}
+
+// Export for module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { YamlParser };
+}
@@ -0,0 +1,84 @@
+/**
+ * Rule Schema tests - run with `node --test test/`
+ *
+ * The utils are classic scripts, so they are loaded into one global scope the way the
+ * service worker's importScripts() loads them.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+[
+  'url-matcher.js',
+  'json-path.js',
+  'request-matcher.js',
+  'graphql-matcher.js',
+  'latency.js',
+  'template-engine.js',
+  'fake-data.js',
+  'resource-store.js',
+  'response-transform.js',
+  'request-rewrite.js',
+  'rule-schema.js',
+].forEach(file => {
+  const filename = path.join(__dirname, '../src/utils', file);
+  vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+});
+
+// A bundle rule as an import reads it, before it is upgraded
+function bundleRule(fields) {
+  return {
+    id: 'rule-1',
+    type: 'http',
+    request: { url: 'https://api.example.com/users', method: 'GET' },
+    response: { status: 200, headers: { 'Content-Type': 'application/json' }, body: '[]' },
+    ...fields,
+  };
+}
+
+// Upgrade and check rules the way an import does
+function importRules(rules) {
+  RuleSchema.assertAllValid(RuleSchema.migrate(rules, 0));
+}
+
+test('imports a well-formed rule of each kind', () => {
+  assert.doesNotThrow(() => importRules([
+    bundleRule({}),
+    bundleRule({ type: 'graphql', graphql: { operationName: 'GetUser', variables: '{"id": 1}' } }),
+    bundleRule({ type: 'resource', resource: { idField: 'id', seed: '[{"id": 1}]' } }),
+    bundleRule({ transform: { mergePatch: '{"name": "Ada"}' } }),
+    bundleRule({ rewrite: { url: 'http://localhost:3000', setHeaders: { 'X-Env': 'dev' } } }),
+    bundleRule({ response: { status: 200, body: '', delay: { type: 'fixed', ms: 100 } } }),
+  ]));
+});
+
+test('serves the bodies of older rules as they are', () => {
+  const [rule] = RuleSchema.migrate([bundleRule({ response: { status: 200, body: '{"id": "{{$guid}}"}' } })], 0);
+  assert.strictEqual(rule.templated, false);
+});
+
+const malformed = {
+  'a merge patch that is not text': { transform: { mergePatch: 5 } },
+  'a merge patch that is not JSON': { transform: { mergePatch: '{' } },
+  'a transform that changes nothing': { transform: {} },
+  'GraphQL variables that are not text': { type: 'graphql', graphql: { operationName: 'GetUser', variables: { a: 1 } } },
+  'GraphQL criteria without an operation': { type: 'graphql', graphql: { variables: '{}' } },
+  'rewrite headers that are null': { rewrite: { url: 'http://localhost:3000', setHeaders: null } },
+  'removed rewrite headers that are not a list': { rewrite: { removeHeaders: 'Authorization' } },
+  'a rewrite to another protocol': { rewrite: { url: 'ftp://example.com' } },
+  'resource seed data that is not text': { type: 'resource', resource: { seed: [{ id: 1 }] } },
+  'resource seed data with duplicate ids': { type: 'resource', resource: { seed: '[{"id": 1}, {"id": 1}]' } },
+  'a delay without its value': { response: { status: 200, delay: { type: 'fixed' } } },
+  'a sequence step with a negative delay': {
+    sequence: { responses: [{ status: 200 }, { status: 500, delay: { type: 'range', min: -1, max: 10 } }] },
+  },
+};
+
+for (const [name, fields] of Object.entries(malformed)) {
+  test(`rejects a rule with ${name}`, () => {
+    assert.throws(() => importRules([bundleRule(fields)]), /Invalid rule/);
+  });
+}